@@ -21,6 +21,9 @@ export default [
 				setTimeout: 'readonly',
 				clearTimeout: 'readonly',
 				Blob: 'readonly',
+				TextEncoder: 'readonly',
+				TextDecoder: 'readonly',
+				createImageBitmap: 'readonly',
 			},
 		},
 		rules: {
@@ -32,6 +35,15 @@ export default [
 			'no-console': 'off',
 		},
 	},
+	{
+		// Headless CLI runs in Node instead of the browser
+		files: ['src/cli.js'],
+		languageOptions: {
+			globals: {
+				process: 'readonly',
+			},
+		},
+	},
 	{
 		ignores: ['dist/**', 'node_modules/**'],
 	},
@@ -1,10 +1,8 @@
 import { buildFromUI } from './utils/validators.js';
 import { MaterialColorGenerator } from './utils/MaterialColorGenerator.js';
-import { OKLCHPostProcessor } from './utils/OKLCHPostProcessor.js';
 import { UIManager } from './ui/managers/UIManager.js';
 import { URLManager } from './ui/managers/URLManager.js';
-import { FormatUtils } from './utils/format.js';
-import { W3cDtcgConverter } from './utils/W3cDtcgConverter.js';
+import { generateTheme, formatTheme } from './generateTheme.js';
 
 // Import Material Color Utilities for core color defaults
 import { argbFromHex, Hct, SpecVersion, Variant } from '@materialx/material-color-utilities';
@@ -17,8 +15,6 @@ class MaterialColorApp {
 	constructor() {
 		// Initialize services
 		this.colorGenerator = new MaterialColorGenerator();
-		this.formatUtils = new FormatUtils();
-		this.w3cConverter = new W3cDtcgConverter();
 		this.urlManager = new URLManager();
 		
 		// Initialize UI Manager
@@ -48,53 +44,6 @@ class MaterialColorApp {
 		this.regenerateWithExtendedColors();
 	}
 
-	/**
-	 * Handle generate button click
-	 */
-	async handleGenerate() {
-		try {
-			// Get color configuration from UI
-			const colorSettings = this.uiManager.getColorSettings();
-			const extendedColors = this.uiManager.getExtendedColors();
-
-			// Build data from UI inputs
-			const parsedData = buildFromUI(colorSettings);
-
-			// Update default core colors in UI when seed color or style changes
-			this.updateDefaultCoreColors(parsedData);
-
-			// Generate color scheme
-			const result = await this.colorGenerator.generateColorScheme(parsedData, extendedColors);
-
-			// Display the result
-			this.uiManager.displayResult(result, true);
-			
-			// Apply format settings right after generating
-			this.updateResultFormat();
-		} catch (error) {
-			console.error('Error generating colors:', error);
-			// Could add user-facing error handling here
-		}
-	}
-
-
-	/**
-	 * Transform W3C Design Tokens keys except the top-level collection name
-	 * @param {Object} w3cResult - W3C Design Tokens object
-	 * @param {string} namingFormat - Naming format to apply
-	 * @returns {Object} Transformed object with preserved collection name
-	 */
-	transformW3cKeysExceptTopLevel(w3cResult, namingFormat) {
-		const result = {};
-		
-		// Preserve top-level collection names, but transform their contents
-		Object.keys(w3cResult).forEach(topLevelKey => {
-			result[topLevelKey] = this.formatUtils.transformKeys(w3cResult[topLevelKey], namingFormat);
-		});
-		
-		return result;
-	}
-
 	/**
 	 * Update default core colors in UI
 	 */
@@ -129,39 +78,18 @@ class MaterialColorApp {
 		// Always regenerate, don't check for existing result
 
 		try {
-			// Get color configuration from UI
-			const colorSettings = this.uiManager.getColorSettings();
-			const extendedColors = this.uiManager.getExtendedColors();
-
-			// Build data from UI inputs
-			const parsedData = buildFromUI(colorSettings);
-
 			// Update default core colors in UI when seed color or style changes
-			this.updateDefaultCoreColors(parsedData);
-
-			// Generate color scheme
-			let result = await this.colorGenerator.generateColorScheme(parsedData, extendedColors);
-
-			// Apply OKLCH post-processing if preserveHue is enabled
-			if (colorSettings.preserveHue && result.tonalPalettes) {
-				// Process ALL tonal palettes to preserve hue consistency
-				// Each palette uses hue from its own source color (seed or core color)
-				// This includes:
-				// - primary, secondary, tertiary, error (chromatic core colors)
-				// - neutral, neutralVariant (low-chroma - use tone with highest chroma for stable hue)
-				// - extended colors (warning, success, etc.)
-				const palettesToProcess = Object.keys(result.tonalPalettes);
-			
-				result = OKLCHPostProcessor.processColorScheme(result, {
-					preserveHue: true,
-					affectedPalettes: palettesToProcess,
-					neutralHueFromPrimary: colorSettings.neutralHueFromPrimary
-				});
-			}
+			this.updateDefaultCoreColors(buildFromUI(this.uiManager.getColorSettings()));
+
+			// Run the same pipeline the public API exposes (generation, hue preservation, formatting)
+			const theme = await generateTheme(this.uiManager.getThemeConfig());
 
 			// Display result - this saves as original and applies current format
-			this.uiManager.displayResult(result, true);
-			this.updateResultFormat();
+			this.uiManager.displayResult(theme.raw, true);
+			this.uiManager.displayDiagnostics(theme.diagnostics, theme.raw.metadata?.contrastAdjustments);
+			this.uiManager.displayAccessibilityReport(theme.raw);
+			this.uiManager.displayColorVision(theme.raw);
+			this.displayFormattedResult(theme);
 			
 			// Save current settings to URL
 			this.saveSettingsToURL();
@@ -177,47 +105,29 @@ class MaterialColorApp {
 		const originalResult = this.uiManager.getOriginalResult();
 		if (!originalResult) {
 			// If no result exists yet, generate one first
-			this.handleGenerate();
+			this.regenerateWithExtendedColors();
 			return;
 		}
 		
-		const namingFormat = this.uiManager.getNamingFormat();
-		const collectionName = this.uiManager.getCollectionName();
-		const includeStateLayers = this.uiManager.getStateLayersEnabled();
-		const includeTonalPalettes = this.uiManager.getTonalPalettesEnabled();
-		const useW3cFormat = this.uiManager.getW3cFormatEnabled();
-		
-		let formattedResult;
-		
-		if (useW3cFormat) {
-			// For W3C format: apply filters first, then convert to W3C, then apply naming format
-			const filteredResult = this.formatUtils.applyFormatOptions(
-				originalResult,
-				includeStateLayers,
-				includeTonalPalettes
-			);
-			
-			// Convert to W3C Design Tokens format with dynamic collection name
-			const w3cResult = W3cDtcgConverter.convertToW3cDtcgFormat(filteredResult, collectionName);
-			
-			// Apply naming format to W3C structure, preserving top-level collection name
-			formattedResult = this.transformW3cKeysExceptTopLevel(w3cResult, namingFormat);
-		} else {
-			// Standard format: apply all formatting together
-			formattedResult = this.formatUtils.formatResult(
-				originalResult,
-				namingFormat,
-				includeStateLayers,
-				includeTonalPalettes
-			);
-		}
-		
-		this.uiManager.displayResult(formattedResult);
+		this.displayFormattedResult(formatTheme(originalResult, this.uiManager.getExportOptions()));
 		
 		// Save current settings to URL
 		this.saveSettingsToURL();
 	}
 
+	/**
+	 * Display the formatted result matching the export format and W3C toggle
+	 * @param {Object} theme - Formatted theme outputs by format, see formatTheme
+	 */
+	displayFormattedResult(theme) {
+		const format = this.uiManager.getExportFormat();
+		if (format !== 'json') {
+			this.uiManager.displayResult(theme[format]);
+			return;
+		}
+		this.uiManager.displayResult(this.uiManager.getW3cFormatEnabled() ? theme.w3c : theme.formatted);
+	}
+
 	/**
 	 * Save current app settings to URL
 	 */
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+import { EXPORT_FORMAT_OPTIONS } from './constants/materialDesign.js';
+import { validateThemeConfig } from './utils/validators.js';
+import { ZipArchive } from './utils/ZipArchive.js';
+import { generateTheme } from './generateTheme.js';
+
+/**
+ * Headless command-line entry point
+ * Turns a JSON theme config into the file the drawer shows for the config's export format
+ *
+ * Usage: node src/cli.js <config.json> [--out material-colors.json]
+ */
+
+const EXIT_CODES = {
+	OK: 0,
+	GENERATION_FAILED: 1,
+	USAGE: 2,
+	INVALID_CONFIG: 3,
+	WRITE_FAILED: 4
+};
+
+const USAGE = `Usage: material-theme-builder <config.json> [options]
+
+Options:
+  -o, --out <file>  Output file, by default named after the config's export.format:
+${EXPORT_FORMAT_OPTIONS.map(({ value, filename }) => `                      ${value.padEnd(11)}${filename}`).join('\n')}
+  -h, --help        Show this help
+
+export.format picks the output: JSON tokens (W3C with export.w3c), CSS, SCSS,
+Less, Tailwind, Dart, or a zip of the Android or iOS files.
+
+Exit codes:
+  0  Tokens written
+  1  Generation failed
+  2  Invalid arguments
+  3  Invalid or unreadable config
+  4  Output could not be written`;
+
+/**
+ * Parse arguments, generate tokens and write them to disk
+ * @param {Array<string>} argv - Command-line arguments (without node and script path)
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv) {
+	let args;
+	try {
+		args = parseArgs({
+			args: argv,
+			allowPositionals: true,
+			options: {
+				out: { type: 'string', short: 'o' },
+				help: { type: 'boolean', short: 'h', default: false }
+			}
+		});
+	} catch (error) {
+		console.error(`${error.message}\n\n${USAGE}`);
+		return EXIT_CODES.USAGE;
+	}
+
+	if (args.values.help) {
+		console.log(USAGE);
+		return EXIT_CODES.OK;
+	}
+
+	if (args.positionals.length !== 1) {
+		console.error(USAGE);
+		return EXIT_CODES.USAGE;
+	}
+
+	const [configPath] = args.positionals;
+	let config;
+	try {
+		config = JSON.parse(await readFile(configPath, 'utf8'));
+	} catch (error) {
+		console.error(`Could not read config ${configPath}: ${error.message}`);
+		return EXIT_CODES.INVALID_CONFIG;
+	}
+
+	const errors = validateThemeConfig(config);
+	if (errors.length > 0) {
+		console.error(`Invalid config ${configPath}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+		return EXIT_CODES.INVALID_CONFIG;
+	}
+
+	const format = config.export?.format ?? 'json';
+	const outPath = args.values.out ?? EXPORT_FORMAT_OPTIONS.find(option => option.value === format).filename;
+	let output;
+	try {
+		const theme = await generateTheme(config);
+		if (format === 'json') {
+			output = `${JSON.stringify(config.export?.w3c ? theme.w3c : theme.formatted, null, 2)}\n`;
+		} else {
+			const content = theme[format];
+			// Bundles (files by path) are written as a zip archive
+			output = typeof content === 'string' ? content : ZipArchive.create(content);
+		}
+	} catch (error) {
+		console.error('Error generating colors:', error);
+		return EXIT_CODES.GENERATION_FAILED;
+	}
+
+	try {
+		await writeFile(outPath, output);
+	} catch (error) {
+		console.error(`Could not write ${outPath}: ${error.message}`);
+		return EXIT_CODES.WRITE_FAILED;
+	}
+
+	console.log(`Tokens written to ${outPath}`);
+	return EXIT_CODES.OK;
+}
+
+process.exitCode = await run(process.argv.slice(2));
@@ -19,6 +19,17 @@ export const SPEC_OPTIONS = [
 	{ value: 'SPEC_2025', label: 'Spec 2025' }
 ];
 
+// Contrast levels match the ones Android and the official Material tooling produce.
+// modeSuffix is appended to 'light'/'dark' to build the scheme mode key.
+export const CONTRAST_OPTIONS = [
+	{ value: 'STANDARD', label: 'Standard', level: 0.0, modeSuffix: '' },
+	{ value: 'MEDIUM', label: 'Medium', level: 0.5, modeSuffix: 'MediumContrast' },
+	{ value: 'HIGH', label: 'High', level: 1.0, modeSuffix: 'HighContrast' }
+];
+
+// Special contrast selection that generates every level from CONTRAST_OPTIONS
+export const CONTRAST_ALL = 'ALL';
+
 export const CORE_COLOR_TYPES = [
 	{ key: 'primary', label: 'Primary', defaultColor: '#6750A4' },
 	{ key: 'secondary', label: 'Secondary', defaultColor: '#625B71' },
@@ -28,11 +39,72 @@ export const CORE_COLOR_TYPES = [
 	{ key: 'neutralVariant', label: 'Neutral Variant', defaultColor: '#68616A' }
 ];
 
+// Color spaces hue preservation can measure and pin hue in (see utils/HueSpace.js)
+export const HUE_SPACE_OPTIONS = [
+	{ value: 'OKLCH', label: 'OKLCH' },
+	{ value: 'CIELCH', label: 'CIELCh(ab)' },
+	{ value: 'CAM16', label: 'CAM16 (HCT)' }
+];
+
+// Hue curves offset the preserved hue by tone, per palette (see utils/HueCurve.js)
+export const HUE_CURVE_TYPES = [
+	{ value: 'linear', label: 'Linear' },
+	{ value: 'bezier', label: 'Bezier' }
+];
+// Maximum hue offset in degrees, either direction
+export const HUE_CURVE_MAX_OFFSET = 30;
+// Starting points of a new curve in the editor
+export const DEFAULT_HUE_CURVE_POINTS = [
+	{ tone: 10, offset: 0 },
+	{ tone: 50, offset: 0 },
+	{ tone: 90, offset: 0 }
+];
+
+// How tonal palettes are built: Material's HCT palettes, or OKLCH palettes with a fixed hue (see utils/OklchPalette.js)
+export const PALETTE_MODE_OPTIONS = [
+	{ value: 'HCT', label: 'HCT (Material)' },
+	{ value: 'OKLCH', label: 'OKLCH' }
+];
+
+// Chroma of OKLCH palettes across tones, peaking at the key color's tone
+export const CHROMA_CURVE_OPTIONS = [
+	{ value: 'SMOOTH', label: 'Smooth' },
+	{ value: 'LINEAR', label: 'Linear' },
+	{ value: 'FLAT', label: 'Flat' }
+];
+
 export const DEFAULT_SEED_COLOR = '#6750A4';
 export const DEFAULT_STYLE = 'TONAL_SPOT';
 export const DEFAULT_SPEC = 'SPEC_2025';
 export const DEFAULT_PRESERVE_HUE = false;
+export const DEFAULT_HUE_SPACE = 'OKLCH';
+export const DEFAULT_PALETTE_MODE = 'HCT';
+export const DEFAULT_CHROMA_CURVE = 'SMOOTH';
+export const DEFAULT_TONE_SET = 'DEFAULT';
+export const DEFAULT_CONTRAST = 'STANDARD';
+
+export const DEFAULT_INCLUDE_LEGACY_ROLES = true;
+
+// Entries of MaterialDynamicColors.allDynamicColors that aren't theme roles:
+// Android-internal colors (palette key colors are matched by their suffix)
+export const EXCLUDED_DYNAMIC_COLORS = [
+	'controlActivated',
+	'controlNormal',
+	'controlHighlight',
+	'textPrimaryInverse',
+	'textSecondaryAndTertiaryInverse',
+	'textPrimaryInverseDisableOnly',
+	'textSecondaryAndTertiaryInverseDisabled',
+	'textHintInverse'
+];
+
+// Roles deprecated by Material 3 in favor of surface/surface container roles
+export const LEGACY_COLOR_ROLES = ['background', 'onBackground', 'surfaceVariant'];
+
+// Roles that only exist in the 2025 specification
+export const SPEC_2025_COLOR_ROLES = ['primaryDim', 'secondaryDim', 'tertiaryDim', 'errorDim'];
 
+// Default state layer opacities, overridable per theme
 export const STATE_LAYER_OPACITIES = {
 	hover: 0.08,
 	focus: 0.12,
@@ -41,6 +113,315 @@ export const STATE_LAYER_OPACITIES = {
 	disabled: 0.12
 };
 
+// Roles that can get state layers
+export const STATE_LAYER_ROLE_OPTIONS = [
+	{ value: 'primary', label: 'Primary' },
+	{ value: 'onPrimary', label: 'On Primary' },
+	{ value: 'primaryContainer', label: 'Primary Container' },
+	{ value: 'onPrimaryContainer', label: 'On Primary Container' },
+	{ value: 'secondary', label: 'Secondary' },
+	{ value: 'onSecondary', label: 'On Secondary' },
+	{ value: 'secondaryContainer', label: 'Secondary Container' },
+	{ value: 'onSecondaryContainer', label: 'On Secondary Container' },
+	{ value: 'tertiary', label: 'Tertiary' },
+	{ value: 'onTertiary', label: 'On Tertiary' },
+	{ value: 'tertiaryContainer', label: 'Tertiary Container' },
+	{ value: 'onTertiaryContainer', label: 'On Tertiary Container' },
+	{ value: 'error', label: 'Error' },
+	{ value: 'onError', label: 'On Error' },
+	{ value: 'errorContainer', label: 'Error Container' },
+	{ value: 'onErrorContainer', label: 'On Error Container' },
+	{ value: 'surface', label: 'Surface' },
+	{ value: 'onSurface', label: 'On Surface' },
+	{ value: 'onSurfaceVariant', label: 'On Surface Variant' },
+	{ value: 'surfaceContainerLowest', label: 'Surface Container Lowest' },
+	{ value: 'surfaceContainerLow', label: 'Surface Container Low' },
+	{ value: 'surfaceContainer', label: 'Surface Container' },
+	{ value: 'surfaceContainerHigh', label: 'Surface Container High' },
+	{ value: 'surfaceContainerHighest', label: 'Surface Container Highest' },
+	{ value: 'inverseSurface', label: 'Inverse Surface' },
+	{ value: 'inverseOnSurface', label: 'Inverse On Surface' },
+	{ value: 'inversePrimary', label: 'Inverse Primary' }
+];
+
+export const DEFAULT_STATE_LAYER_ROLES = ['primary', 'secondary', 'tertiary', 'error', 'surface'];
+
+// State layers drawn on a surface or container use its content color
+// (the 'surface' layer has always been onSurface); other roles use their own color
+export const STATE_LAYER_CONTENT_ROLES = {
+	primaryContainer: 'onPrimaryContainer',
+	secondaryContainer: 'onSecondaryContainer',
+	tertiaryContainer: 'onTertiaryContainer',
+	errorContainer: 'onErrorContainer',
+	surface: 'onSurface',
+	surfaceContainerLowest: 'onSurface',
+	surfaceContainerLow: 'onSurface',
+	surfaceContainer: 'onSurface',
+	surfaceContainerHigh: 'onSurface',
+	surfaceContainerHighest: 'onSurface',
+	inverseSurface: 'inverseOnSurface'
+};
+
+// Surface each state layer is drawn on, used to pre-composite opaque state layers
+export const STATE_LAYER_BACKGROUND_ROLES = {
+	primary: 'surface',
+	onPrimary: 'primary',
+	primaryContainer: 'primaryContainer',
+	onPrimaryContainer: 'primaryContainer',
+	secondary: 'surface',
+	onSecondary: 'secondary',
+	secondaryContainer: 'secondaryContainer',
+	onSecondaryContainer: 'secondaryContainer',
+	tertiary: 'surface',
+	onTertiary: 'tertiary',
+	tertiaryContainer: 'tertiaryContainer',
+	onTertiaryContainer: 'tertiaryContainer',
+	error: 'surface',
+	onError: 'error',
+	errorContainer: 'errorContainer',
+	onErrorContainer: 'errorContainer',
+	surface: 'surface',
+	onSurface: 'surface',
+	onSurfaceVariant: 'surface',
+	surfaceContainerLowest: 'surfaceContainerLowest',
+	surfaceContainerLow: 'surfaceContainerLow',
+	surfaceContainer: 'surfaceContainer',
+	surfaceContainerHigh: 'surfaceContainerHigh',
+	surfaceContainerHighest: 'surfaceContainerHighest',
+	inverseSurface: 'inverseSurface',
+	inverseOnSurface: 'inverseSurface',
+	inversePrimary: 'inverseSurface'
+};
+
+// Foreground/background role pairs whose contrast Material's tone mapping guarantees,
+// re-checked after hue preservation. Accents on surface come first: a nudged accent
+// is then the background its on-color is checked against.
+// kind 'ui' marks non-text pairs (WCAG 1.4.11), every other pair is text.
+export const CONTRAST_ROLE_PAIRS = [
+	{ foreground: 'primary', background: 'surface' },
+	{ foreground: 'secondary', background: 'surface' },
+	{ foreground: 'tertiary', background: 'surface' },
+	{ foreground: 'error', background: 'surface' },
+	{ foreground: 'outline', background: 'surface', kind: 'ui' },
+	{ foreground: 'onPrimary', background: 'primary' },
+	{ foreground: 'onPrimaryContainer', background: 'primaryContainer' },
+	{ foreground: 'onPrimaryFixed', background: 'primaryFixed' },
+	{ foreground: 'onPrimaryFixedVariant', background: 'primaryFixed' },
+	{ foreground: 'onSecondary', background: 'secondary' },
+	{ foreground: 'onSecondaryContainer', background: 'secondaryContainer' },
+	{ foreground: 'onSecondaryFixed', background: 'secondaryFixed' },
+	{ foreground: 'onSecondaryFixedVariant', background: 'secondaryFixed' },
+	{ foreground: 'onTertiary', background: 'tertiary' },
+	{ foreground: 'onTertiaryContainer', background: 'tertiaryContainer' },
+	{ foreground: 'onTertiaryFixed', background: 'tertiaryFixed' },
+	{ foreground: 'onTertiaryFixedVariant', background: 'tertiaryFixed' },
+	{ foreground: 'onError', background: 'error' },
+	{ foreground: 'onErrorContainer', background: 'errorContainer' },
+	{ foreground: 'onSurface', background: 'surface' },
+	{ foreground: 'onSurface', background: 'surfaceContainerHighest' },
+	{ foreground: 'onSurfaceVariant', background: 'surface' },
+	{ foreground: 'onSurfaceVariant', background: 'surfaceContainerHighest' },
+	{ foreground: 'onSurfaceVariant', background: 'surfaceVariant' },
+	{ foreground: 'onBackground', background: 'background' },
+	{ foreground: 'inverseOnSurface', background: 'inverseSurface' },
+	{ foreground: 'inversePrimary', background: 'inverseSurface' }
+];
+
+// WCAG 2.x contrast levels: 3 (large text, UI components), 4.5 (AA), 7 (AAA)
+export const WCAG_CONTRAST_LEVELS = [3, 4.5, 7];
+
+// Every pairing the accessibility report lists: the guaranteed pairs plus content on each surface container
+export const ACCESSIBILITY_ROLE_PAIRS = [
+	...CONTRAST_ROLE_PAIRS,
+	{ foreground: 'onPrimaryFixed', background: 'primaryFixedDim' },
+	{ foreground: 'onSecondaryFixed', background: 'secondaryFixedDim' },
+	{ foreground: 'onTertiaryFixed', background: 'tertiaryFixedDim' },
+	{ foreground: 'onSurface', background: 'surfaceDim' },
+	{ foreground: 'onSurface', background: 'surfaceBright' },
+	{ foreground: 'onSurface', background: 'surfaceContainerLowest' },
+	{ foreground: 'onSurface', background: 'surfaceContainerLow' },
+	{ foreground: 'onSurface', background: 'surfaceContainer' },
+	{ foreground: 'onSurface', background: 'surfaceContainerHigh' },
+	{ foreground: 'onSurfaceVariant', background: 'surfaceContainerLowest' },
+	{ foreground: 'onSurfaceVariant', background: 'surfaceContainerLow' },
+	{ foreground: 'onSurfaceVariant', background: 'surfaceContainer' },
+	{ foreground: 'onSurfaceVariant', background: 'surfaceContainerHigh' },
+	{ foreground: 'outline', background: 'surfaceContainerHighest', kind: 'ui' }
+];
+
+// Minimum contrast for a pair to pass the report, by kind: WCAG 2.2 ratio and APCA Lc (absolute value)
+export const ACCESSIBILITY_THRESHOLDS = {
+	text: { wcag: 4.5, apca: 60 },
+	ui: { wcag: 3, apca: 30 }
+};
+
+// APCA Lc levels, highest first (APCA readability guidelines)
+export const APCA_LEVELS = [
+	{ label: 'Body text', lc: 75 },
+	{ label: 'Content text', lc: 60 },
+	{ label: 'Large text', lc: 45 },
+	{ label: 'Non-text', lc: 30 }
+];
+
+// Color vision deficiency simulations: Machado et al. (2009) for the dichromacies,
+// luminance only for achromatopsia
+export const CVD_SIMULATION_OPTIONS = [
+	{ value: 'PROTANOPIA', label: 'Protanopia' },
+	{ value: 'DEUTERANOPIA', label: 'Deuteranopia' },
+	{ value: 'TRITANOPIA', label: 'Tritanopia' },
+	{ value: 'ACHROMATOPSIA', label: 'Achromatopsia' }
+];
+export const DEFAULT_CVD_SIMULATION = 'PROTANOPIA';
+
+// Accent roles that must stay distinguishable from each other and from every extended color,
+// checked as accents and as containers
+export const CVD_DISTINGUISHABLE_ROLES = ['primary', 'tertiary', 'error'];
+
+// Smallest OKLab ΔE (Euclidean, lightness 0-1) between two simulated roles before they are flagged
+export const CVD_DELTA_E_THRESHOLD = 0.05;
+
+// How state layers are exported: translucent colors or pre-composited over their background
+export const STATE_LAYER_MODES = ['alpha', 'opaque'];
+export const DEFAULT_STATE_LAYER_MODE = 'alpha';
+
+// Extended color roles and the primary roles of the extended color's own scheme they are read from
+export const EXTENDED_COLOR_ROLES = {
+	color: 'primary',
+	onColor: 'onPrimary',
+	colorContainer: 'primaryContainer',
+	onColorContainer: 'onPrimaryContainer',
+	colorFixed: 'primaryFixed',
+	colorFixedDim: 'primaryFixedDim',
+	onColorFixed: 'onPrimaryFixed',
+	onColorFixedVariant: 'onPrimaryFixedVariant'
+};
+
+// Extended color roles that can get state layers (container layers use the on container color)
+export const EXTENDED_STATE_LAYER_ROLE_OPTIONS = [
+	{ value: 'color', label: 'Color' },
+	{ value: 'onColor', label: 'On Color' },
+	{ value: 'colorContainer', label: 'Container' },
+	{ value: 'onColorContainer', label: 'On Container' }
+];
+
+export const DEFAULT_EXTENDED_STATE_LAYER_ROLES = ['color'];
+
+export const NAMING_FORMATS = ['kebab-case', 'camelCase', 'Title Case'];
+
+// Output formats of the drawer, with the file name of their download and CLI output
+export const EXPORT_FORMAT_OPTIONS = [
+	{ value: 'json', label: 'JSON', filename: 'material-colors.json' },
+	{ value: 'css', label: 'CSS custom properties', filename: 'material-colors.css' },
+	{ value: 'scss', label: 'SCSS variables and maps', filename: '_material-colors.scss' },
+	{ value: 'less', label: 'Less variables and maps', filename: 'material-colors.less' },
+	{ value: 'tailwindV3', label: 'Tailwind CSS v3 config', filename: 'tailwind.config.js' },
+	{ value: 'tailwindV4', label: 'Tailwind CSS v4 @theme', filename: 'material-theme.css' },
+	{ value: 'android', label: 'Android XML and Compose (zip)', filename: 'material-theme-android.zip' },
+	{ value: 'flutter', label: 'Flutter ColorScheme (Dart)', filename: 'material_theme.dart' },
+	{ value: 'ios', label: 'iOS asset catalog and SwiftUI (zip)', filename: 'material-theme-ios.zip' }
+];
+export const DEFAULT_EXPORT_FORMAT = 'json';
+
+// How CSS custom properties (CSS and Tailwind exports) switch to the dark scheme
+export const CSS_STRATEGY_OPTIONS = [
+	{ value: 'light-dark', label: 'light-dark() values' },
+	{ value: 'media', label: '@media (prefers-color-scheme) blocks' },
+	{ value: 'data-attribute', label: '[data-theme="dark"] selectors' }
+];
+export const DEFAULT_CSS_STRATEGY = 'light-dark';
+export const DEFAULT_CSS_PREFIX = 'md-sys-color';
+
+// Prefix of SCSS and Less variables and maps ($md-primary, $md-schemes)
+export const SASS_VARIABLE_PREFIX = 'md';
+
+// Package of the generated Compose Color.kt and Theme.kt
+export const ANDROID_THEME_PACKAGE = 'com.example.ui.theme';
+
+// Parameters of Compose Material 3 lightColorScheme()/darkColorScheme(), other roles stay in Color.kt
+export const COMPOSE_COLOR_SCHEME_ROLES = [
+	'primary', 'onPrimary', 'primaryContainer', 'onPrimaryContainer', 'inversePrimary',
+	'secondary', 'onSecondary', 'secondaryContainer', 'onSecondaryContainer',
+	'tertiary', 'onTertiary', 'tertiaryContainer', 'onTertiaryContainer',
+	'background', 'onBackground', 'surface', 'onSurface', 'surfaceVariant', 'onSurfaceVariant',
+	'surfaceTint', 'inverseSurface', 'inverseOnSurface',
+	'error', 'onError', 'errorContainer', 'onErrorContainer',
+	'outline', 'outlineVariant', 'scrim',
+	'surfaceBright', 'surfaceContainer', 'surfaceContainerHigh', 'surfaceContainerHighest',
+	'surfaceContainerLow', 'surfaceContainerLowest', 'surfaceDim'
+];
+
+// Tonal palette each core role reads its tone from, tested in order (surfaceVariant before surface).
+// Extended roles read the palette of their color
+export const ROLE_PALETTE_PATTERNS = [
+	{ palette: 'primary', pattern: /^(on)?primary|^inversePrimary$|^surfaceTint$/i },
+	{ palette: 'secondary', pattern: /^(on)?secondary/i },
+	{ palette: 'tertiary', pattern: /^(on)?tertiary/i },
+	{ palette: 'error', pattern: /^(on)?error/i },
+	{ palette: 'neutralVariant', pattern: /^(on)?surfaceVariant$|^outline/i },
+	{ palette: 'neutral', pattern: /^(on)?(background|surface)|^inverse(On)?Surface$|^shadow$|^scrim$/i }
+];
+
+// Kotlin hard keywords: extended colors named after one are quoted with backticks (`class`)
+export const KOTLIN_HARD_KEYWORDS = [
+	'as', 'break', 'class', 'continue', 'do', 'else', 'false', 'for', 'fun', 'if', 'in', 'interface', 'is', 'null',
+	'object', 'package', 'return', 'super', 'this', 'throw', 'true', 'try', 'typealias', 'typeof', 'val', 'var',
+	'when', 'while'
+];
+
+// Name of the iOS asset catalog (MaterialColors.xcassets) and its tonal palette folder
+export const IOS_ASSET_CATALOG = 'MaterialColors';
+export const IOS_PALETTE_FOLDER = 'Palettes';
+
+// Swift keywords: colors named after one are quoted with backticks (`class`)
+export const SWIFT_KEYWORDS = [
+	'associatedtype', 'class', 'deinit', 'enum', 'extension', 'fileprivate', 'func', 'import', 'init', 'inout',
+	'internal', 'let', 'open', 'operator', 'private', 'precedencegroup', 'protocol', 'public', 'rethrows', 'static',
+	'struct', 'subscript', 'typealias', 'var', 'break', 'case', 'catch', 'continue', 'default', 'defer', 'do', 'else',
+	'fallthrough', 'for', 'guard', 'if', 'in', 'repeat', 'return', 'throw', 'switch', 'where', 'while', 'as', 'await',
+	'false', 'is', 'nil', 'self', 'super', 'throws', 'true', 'try'
+];
+
+// Flutter ColorScheme() parameter of each role. Dim roles have no parameter, and
+// background, onBackground and surfaceVariant are deprecated for surface roles
+export const FLUTTER_COLOR_SCHEME_ROLES = {
+	primary: 'primary', onPrimary: 'onPrimary', primaryContainer: 'primaryContainer', onPrimaryContainer: 'onPrimaryContainer',
+	primaryFixed: 'primaryFixed', primaryFixedDim: 'primaryFixedDim', onPrimaryFixed: 'onPrimaryFixed', onPrimaryFixedVariant: 'onPrimaryFixedVariant',
+	secondary: 'secondary', onSecondary: 'onSecondary', secondaryContainer: 'secondaryContainer', onSecondaryContainer: 'onSecondaryContainer',
+	secondaryFixed: 'secondaryFixed', secondaryFixedDim: 'secondaryFixedDim', onSecondaryFixed: 'onSecondaryFixed', onSecondaryFixedVariant: 'onSecondaryFixedVariant',
+	tertiary: 'tertiary', onTertiary: 'onTertiary', tertiaryContainer: 'tertiaryContainer', onTertiaryContainer: 'onTertiaryContainer',
+	tertiaryFixed: 'tertiaryFixed', tertiaryFixedDim: 'tertiaryFixedDim', onTertiaryFixed: 'onTertiaryFixed', onTertiaryFixedVariant: 'onTertiaryFixedVariant',
+	error: 'error', onError: 'onError', errorContainer: 'errorContainer', onErrorContainer: 'onErrorContainer',
+	surface: 'surface', onSurface: 'onSurface', surfaceDim: 'surfaceDim', surfaceBright: 'surfaceBright',
+	surfaceContainerLowest: 'surfaceContainerLowest', surfaceContainerLow: 'surfaceContainerLow', surfaceContainer: 'surfaceContainer',
+	surfaceContainerHigh: 'surfaceContainerHigh', surfaceContainerHighest: 'surfaceContainerHighest', onSurfaceVariant: 'onSurfaceVariant',
+	outline: 'outline', outlineVariant: 'outlineVariant', shadow: 'shadow', scrim: 'scrim',
+	inverseSurface: 'inverseSurface', inverseOnSurface: 'onInverseSurface', inversePrimary: 'inversePrimary', surfaceTint: 'surfaceTint'
+};
+
+// Dart reserved words, plus the members an ExtendedColors field would shadow: such
+// extended colors get a trailing underscore (class_)
+export const DART_RESERVED_WORDS = [
+	'assert', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do', 'else', 'enum',
+	'extends', 'false', 'final', 'finally', 'for', 'if', 'in', 'is', 'new', 'null', 'rethrow', 'return', 'super',
+	'switch', 'this', 'throw', 'true', 'try', 'var', 'void', 'while', 'with', 'yield',
+	'copyWith', 'hashCode', 'lerp', 'noSuchMethod', 'runtimeType', 'toString', 'type'
+];
+
 export const TONAL_VALUES = [0, 5, 10, 15, 20, 25, 30, 35, 40, 50, 60, 70, 80, 90, 95, 98, 99, 100];
 
+// Every integer tone, what hue preservation matches scheme roles against
+export const ALL_TONES = Array.from({ length: 101 }, (_, index) => index);
+
+// Tone stops generated for every tonal palette.
+// Tones are integers so palette keys keep ascending order in JSON objects.
+export const TONE_SET_OPTIONS = [
+	{ value: 'DEFAULT', label: 'Default', tones: TONAL_VALUES },
+	{ value: 'STANDARD', label: 'Standard', tones: [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 95, 99, 100] },
+	{ value: 'FINE_5', label: 'Every 5', tones: Array.from({ length: 21 }, (_, index) => index * 5) },
+	{ value: 'FINE_1', label: 'Every 1', tones: ALL_TONES }
+];
+
+// Special tone set selection that uses a user-entered list of tones
+export const TONE_SET_CUSTOM = 'CUSTOM';
+
 export const VALID_COLOR_ROLES = ['primary', 'secondary', 'tertiary', 'error', 'neutral', 'neutralVariant'];
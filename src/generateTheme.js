@@ -0,0 +1,250 @@
+import { buildFromUI, isValidHexColor, validateHueCurves } from './utils/validators.js';
+import { MaterialColorGenerator } from './utils/MaterialColorGenerator.js';
+import { OKLCHPostProcessor } from './utils/OKLCHPostProcessor.js';
+import { FormatUtils } from './utils/format.js';
+import { W3cDtcgConverter } from './utils/W3cDtcgConverter.js';
+import { StateLayerCompositor } from './utils/StateLayerCompositor.js';
+import { WideGamutMapper } from './utils/WideGamutMapper.js';
+import { CssExporter } from './utils/CssExporter.js';
+import { SassExporter } from './utils/SassExporter.js';
+import { TailwindExporter } from './utils/TailwindExporter.js';
+import { AndroidExporter } from './utils/AndroidExporter.js';
+import { FlutterExporter } from './utils/FlutterExporter.js';
+import { IosExporter } from './utils/IosExporter.js';
+import {
+	ALL_TONES,
+	DEFAULT_SEED_COLOR,
+	DEFAULT_STYLE,
+	DEFAULT_SPEC,
+	DEFAULT_CONTRAST,
+	DEFAULT_PRESERVE_HUE,
+	DEFAULT_HUE_SPACE,
+	DEFAULT_TONE_SET,
+	DEFAULT_STATE_LAYER_MODE,
+	DEFAULT_CSS_PREFIX,
+	DEFAULT_CSS_STRATEGY
+} from './constants/materialDesign.js';
+
+/**
+ * Public theme generation API
+ *
+ * DOM-free entry point that runs exactly the pipeline the web tool runs
+ * (validation, generation, hue preservation and formatting), so other apps
+ * and the CLI produce byte-identical tokens.
+ *
+ * @example
+ * import { generateTheme } from 'material-colors-builder';
+ *
+ * const { raw, formatted, w3c } = await generateTheme({
+ *   seed: '#0061A4',
+ *   style: 'VIBRANT',
+ *   extendedColors: [{ name: 'Warning', color: '#FFAA00' }],
+ *   export: { namingFormat: 'camelCase' }
+ * });
+ */
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {string} [namingFormat='kebab-case'] - kebab-case, camelCase or Title Case
+ * @property {string} [collectionName='Semantic colors'] - Top-level W3C collection name
+ * @property {boolean} [w3cAliases=false] - W3C scheme roles reference their tonal palette tokens
+ *     ({Semantic colors.Tonal Palettes.primary 40}), raw values remain where no palette tone matches exactly
+ * @property {boolean} [stateLayers=true] - Include state layers
+ * @property {string} [stateLayerMode='alpha'] - 'alpha' for translucent colors, 'opaque' to pre-composite
+ *     each state layer over its background (pairing written to metadata.stateLayers)
+ * @property {boolean} [tonalPalettes=true] - Include tonal palettes
+ * @property {string} [format='json'] - One of EXPORT_FORMAT_OPTIONS values, file the CLI writes
+ * @property {string} [cssPrefix='md-sys-color'] - Custom property prefix of the CSS and Tailwind exports
+ * @property {string} [cssStrategy='light-dark'] - One of CSS_STRATEGY_OPTIONS values, how the CSS and Tailwind exports
+ *     switch to dark
+ */
+
+/**
+ * @typedef {Object} StateLayerOptions
+ * @property {Object<string, number>} [opacities] - Opacity per state (hover, focus, pressed, dragged, disabled), 0-1
+ * @property {Array<string>} [roles] - STATE_LAYER_ROLE_OPTIONS values (default: primary, secondary, tertiary, error, surface)
+ * @property {Array<string>} [extendedRoles] - EXTENDED_STATE_LAYER_ROLE_OPTIONS values applied to every extended color (default: color)
+ */
+
+/**
+ * @typedef {Object} HueCurveConfig
+ * @property {string} type - 'linear' or 'bezier'
+ * @property {Array<{tone: number, offset: number}>} points - Hue offset in degrees (±30) at a tone (0-100)
+ */
+
+/**
+ * @typedef {Object} ThemeConfig
+ * @property {string} [seed='#6750A4'] - Seed color hex
+ * @property {string} [style='TONAL_SPOT'] - One of STYLE_OPTIONS values
+ * @property {string} [spec='SPEC_2025'] - SPEC_2021 or SPEC_2025
+ * @property {string} [contrast='STANDARD'] - One of CONTRAST_OPTIONS values or ALL
+ * @property {boolean} [includeLegacyRoles=true] - Include deprecated roles (background, onBackground, surfaceVariant)
+ * @property {string|Array<number>} [tones='DEFAULT'] - One of TONE_SET_OPTIONS values or a custom list of tones (0-100)
+ * @property {StateLayerOptions} [stateLayers] - State layer opacities and roles
+ * @property {Object<string, string>} [coreColors] - Custom core color overrides (primary, secondary...)
+ * @property {Array<{name: string, color: string, harmonize?: boolean}>} [extendedColors] - Extended colors
+ * @property {boolean} [preserveHue=false] - Apply OKLCH hue preservation. Role pairs that lose the WCAG level
+ *     they met are corrected and listed in metadata.contrastAdjustments
+ * @property {string} [hueSpace='OKLCH'] - One of HUE_SPACE_OPTIONS values, color space hue is preserved in
+ * @property {Object<string, HueCurveConfig>} [hueCurves] - Hue offset curves by palette name, applied with preserveHue
+ * @property {boolean} [neutralHueFromPrimary=false] - Use primary's hue for neutral palettes
+ * @property {string} [paletteMode='HCT'] - 'HCT' for Material palettes, 'OKLCH' to build palettes in OKLCH
+ *     (fixed hue, tone mapped to OKLCH lightness) and read scheme roles from them at Material's tones
+ * @property {string} [chromaCurve='SMOOTH'] - One of CHROMA_CURVE_OPTIONS values, chroma of OKLCH palettes across tones
+ * @property {boolean} [wideGamut=false] - Add Display P3 values next to the sRGB hex of every role and palette tone
+ * @property {ExportOptions} [export] - Formatting options
+ */
+
+const colorGenerator = new MaterialColorGenerator();
+const formatUtils = new FormatUtils();
+
+/**
+ * Generate a complete theme from a config
+ * Invalid values fall back to defaults the same way the web UI does
+ * @param {ThemeConfig} config - Theme config
+ * @returns {Promise<Object>} Unformatted result (raw), hue preservation diagnostics (null without preserveHue)
+ *     and the formatTheme outputs
+ */
+export async function generateTheme(config = {}) {
+	const parsedData = buildFromUI({
+		seedColor: config.seed ?? DEFAULT_SEED_COLOR,
+		style: config.style ?? DEFAULT_STYLE,
+		colorSpec: config.spec ?? DEFAULT_SPEC,
+		contrast: config.contrast ?? DEFAULT_CONTRAST,
+		includeLegacyRoles: config.includeLegacyRoles,
+		tones: config.tones ?? DEFAULT_TONE_SET,
+		stateLayers: config.stateLayers,
+		wideGamut: config.wideGamut,
+		paletteMode: config.paletteMode,
+		chromaCurve: config.chromaCurve,
+		customCoreColors: config.coreColors
+	});
+	const extendedColors = normalizeExtendedColors(config.extendedColors);
+	const preserveHue = config.preserveHue ?? DEFAULT_PRESERVE_HUE;
+
+	// Hue preservation matches scheme roles against palette tones: it gets every tone so sparse
+	// tone sets don't pair roles with distant tones, the tone set only filters its output
+	let result = await colorGenerator.generateColorScheme(preserveHue ? { ...parsedData, tones: ALL_TONES } : parsedData, extendedColors);
+
+	// Process ALL tonal palettes to preserve hue consistency
+	// Each palette uses hue from its own source color (seed, core or extended color)
+	if (preserveHue && result.tonalPalettes) {
+		result = OKLCHPostProcessor.processColorScheme(result, {
+			preserveHue: true,
+			affectedPalettes: Object.keys(result.tonalPalettes),
+			neutralHueFromPrimary: config.neutralHueFromPrimary ?? false,
+			hueSpace: config.hueSpace ?? DEFAULT_HUE_SPACE,
+			hueCurves: validateHueCurves(config.hueCurves)
+		});
+
+		// State layers were made from the schemes before hue preservation changed them
+		result.stateLayers = colorGenerator.generateModeStateLayers(result.schemes, parsedData.stateLayers, extendedColors);
+		result = filterTones(result, parsedData.tones);
+	}
+
+	// Display P3 values are mapped from the final (hue preserved) sRGB colors
+	result = WideGamutMapper.addDisplayP3(result);
+
+	// sourceColors, colorIntents and diagnostics are internal metadata, not part of the tokens
+	const { sourceColors: _sourceColors, colorIntents: _colorIntents, diagnostics = null, ...raw } = result;
+
+	// Copy the output getters, spreading would build every format
+	return Object.defineProperties({ raw, diagnostics }, Object.getOwnPropertyDescriptors(formatTheme(raw, config.export)));
+}
+
+/**
+ * Format an already generated theme
+ * Cheap compared to generateTheme, used when only export options change
+ * @param {Object} raw - Unformatted result from generateTheme
+ * @param {ExportOptions} exportOptions - Formatting options
+ * @returns {Object} Output by EXPORT_FORMAT_OPTIONS value, JSON being formatted (drawer JSON) and w3c; each output
+ *     is built the first time it's read. Bundle formats (android, ios) are files by path
+ */
+export function formatTheme(raw, exportOptions = {}) {
+	const namingFormat = exportOptions.namingFormat || 'kebab-case';
+	const includeStateLayers = exportOptions.stateLayers ?? true;
+	const includeTonalPalettes = exportOptions.tonalPalettes ?? true;
+	const stateLayerMode = exportOptions.stateLayerMode || DEFAULT_STATE_LAYER_MODE;
+
+	// Opaque state layers are blended over their background before any formatting
+	const result = includeStateLayers && stateLayerMode === 'opaque'
+		? StateLayerCompositor.compositeStateLayers(raw, name => formatUtils.formatKey(name, namingFormat))
+		: raw;
+
+	// Every format but the standard one applies the filters first, then its own naming
+	const filteredResult = formatUtils.applyFormatOptions(result, includeStateLayers, includeTonalPalettes);
+	const cssOptions = {
+		prefix: exportOptions.cssPrefix ?? DEFAULT_CSS_PREFIX,
+		strategy: exportOptions.cssStrategy || DEFAULT_CSS_STRATEGY,
+		namingFormat
+	};
+
+	return lazyOutputs({
+		// Standard format: apply all formatting together
+		// Wide gamut colors become {hex, wideGamut} pairs
+		formatted: () => formatUtils.formatResult(WideGamutMapper.pairColors(result), namingFormat, includeStateLayers, includeTonalPalettes),
+		// W3C: convert, then apply the naming format
+		w3c: () => {
+			const w3cResult = W3cDtcgConverter.convertToW3cDtcgFormat(filteredResult, exportOptions.collectionName, {
+				aliases: exportOptions.w3cAliases ?? false,
+				formatKey: key => formatUtils.formatKey(key, namingFormat)
+			});
+			return formatUtils.transformW3cKeysExceptTopLevel(w3cResult, namingFormat);
+		},
+		css: () => CssExporter.toCss(filteredResult, cssOptions),
+		scss: () => SassExporter.toScss(filteredResult, { namingFormat }),
+		less: () => SassExporter.toLess(filteredResult, { namingFormat }),
+		tailwindV3: () => TailwindExporter.toV3Config(filteredResult, cssOptions),
+		tailwindV4: () => TailwindExporter.toV4Theme(filteredResult, cssOptions),
+		android: () => AndroidExporter.toFiles(filteredResult),
+		flutter: () => FlutterExporter.toDart(filteredResult),
+		ios: () => IosExporter.toFiles(filteredResult)
+	});
+}
+
+/**
+ * Object whose properties are built on first read, then kept
+ * @param {Object<string, Function>} builders - Builder by property name
+ * @returns {Object} Object with an enumerable getter per builder
+ */
+function lazyOutputs(builders) {
+	const values = new Map();
+	return Object.defineProperties({}, Object.fromEntries(Object.entries(builders).map(([name, build]) => [name, {
+		enumerable: true,
+		get: () => {
+			if (!values.has(name)) values.set(name, build());
+			return values.get(name);
+		}
+	}])));
+}
+
+/**
+ * Keep only the tones of the tone set in tonal palettes and their hue preservation diagnostics
+ * @param {Object} result - Hue preserved result, generated with every tone
+ * @param {Array<number>} tones - Tones of the tone set
+ * @returns {Object} Result with filtered palettes
+ */
+function filterTones(result, tones) {
+	const pick = palette => Object.fromEntries(tones.filter(tone => tone in palette).map(tone => [tone, palette[tone]]));
+	const tonalPalettes = Object.fromEntries(Object.entries(result.tonalPalettes).map(([name, palette]) => [name, pick(palette)]));
+	const palettes = Object.fromEntries(Object.entries(result.diagnostics.palettes).map(([name, palette]) =>
+		[name, { ...palette, tones: palette.tones.filter(({ tone }) => tones.includes(tone)) }]
+	));
+
+	return { ...result, tonalPalettes, diagnostics: { ...result.diagnostics, palettes } };
+}
+
+/**
+ * Drop extended colors without a name or a valid hex value
+ * @param {Array} extendedColors - Extended colors from config
+ * @returns {Array} Extended colors ready for generation
+ */
+function normalizeExtendedColors(extendedColors) {
+	if (!Array.isArray(extendedColors)) {
+		return [];
+	}
+
+	return extendedColors
+		.filter(extendedColor => typeof extendedColor?.name === 'string' && extendedColor.name.trim() && isValidHexColor(extendedColor.color))
+		.map(({ name, color, harmonize = true }) => ({ name: name.trim(), color, harmonize }));
+}
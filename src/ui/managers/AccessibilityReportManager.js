@@ -0,0 +1,110 @@
+import { AccessibilityReport } from '../../utils/AccessibilityReport.js';
+import { FormatUtils } from '../../utils/format.js';
+
+/**
+ * Manager for the accessibility report panel in the drawer
+ * Shows WCAG and APCA results for every role pair per mode and exports them as Markdown or CSV.
+ */
+export class AccessibilityReportManager {
+	constructor() {
+		this.formatUtils = new FormatUtils();
+		this.rows = [];
+		this.initializeElements();
+		this.bindEvents();
+	}
+
+	/**
+	 * Initialize DOM element references
+	 */
+	initializeElements() {
+		this.summary = document.getElementById('accessibilitySummary');
+		this.content = document.getElementById('accessibilityContent');
+		this.markdownBtn = document.getElementById('accessibilityMarkdownBtn');
+		this.csvBtn = document.getElementById('accessibilityCsvBtn');
+	}
+
+	/**
+	 * Bind export buttons
+	 */
+	bindEvents() {
+		this.markdownBtn?.addEventListener('click', () => {
+			this.download(AccessibilityReport.toMarkdown(this.rows), 'accessibility-report.md', 'text/markdown');
+		});
+		this.csvBtn?.addEventListener('click', () => {
+			this.download(AccessibilityReport.toCsv(this.rows), 'accessibility-report.csv', 'text/csv');
+		});
+	}
+
+	/**
+	 * Build and render the report for a generated result
+	 * @param {Object} result - Unformatted result with schemes and tonalPalettes
+	 */
+	displayReport(result) {
+		if (!this.content) return;
+
+		this.rows = AccessibilityReport.build(result);
+		const failures = this.rows.filter(this.isFailing).length;
+		this.summary.textContent = `${this.rows.length} pairs · ${failures} failing`;
+
+		this.content.innerHTML = Object.entries(AccessibilityReport.groupByMode(this.rows))
+			.map(([mode, rows]) => this.renderMode(mode, rows))
+			.join('');
+	}
+
+	/**
+	 * Render one mode as a collapsible table
+	 */
+	renderMode(mode, rows) {
+		const failures = rows.filter(this.isFailing).length;
+		const tableRows = rows.map(row => `
+			<tr class="${this.isFailing(row) ? 'diagnostics-flag' : ''}">
+				<td>
+					<span class="accessibility-sample" style="color: ${row.foregroundHex}; background: ${row.backgroundHex}">Aa</span>
+					${row.foreground} / ${row.background}
+				</td>
+				<td>${row.wcag}:1 ${this.renderBadge(row.wcagPass, row.wcagLevel)}</td>
+				<td>${row.apca} ${this.renderBadge(row.apcaPass, row.apcaLevel)}</td>
+			</tr>`).join('');
+
+		return `
+			<details class="diagnostics-palette"${failures > 0 ? ' open' : ''}>
+				<summary>
+					<span>${this.formatUtils.camelToTitle(mode)}</span>
+					<span class="text-muted small">${rows.length} pairs</span>
+					${failures > 0 ? `<span class="diagnostics-badge">${failures}</span>` : ''}
+				</summary>
+				<table class="diagnostics-table">
+					<thead><tr><th>Pair</th><th>WCAG</th><th>APCA Lc</th></tr></thead>
+					<tbody>${tableRows}</tbody>
+				</table>
+			</details>`;
+	}
+
+	renderBadge(pass, level) {
+		return `<span class="accessibility-badge ${pass ? 'accessibility-pass' : 'accessibility-fail'}">${level}</span>`;
+	}
+
+	/**
+	 * Whether a row fails WCAG or APCA
+	 */
+	isFailing(row) {
+		return !row.wcagPass || !row.apcaPass;
+	}
+
+	/**
+	 * Download report text as a file
+	 */
+	download(text, filename, type) {
+		if (!this.rows.length) return;
+
+		const blob = new Blob([text], { type });
+		const url = URL.createObjectURL(blob);
+		const a = document.createElement('a');
+		a.href = url;
+		a.download = filename;
+		document.body.appendChild(a);
+		a.click();
+		document.body.removeChild(a);
+		URL.revokeObjectURL(url);
+	}
+}
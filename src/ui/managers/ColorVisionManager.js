@@ -0,0 +1,120 @@
+import { ColorVisionSimulator } from '../../utils/ColorVisionSimulator.js';
+import { FormatUtils } from '../../utils/format.js';
+import { CVD_DELTA_E_THRESHOLD, CVD_SIMULATION_OPTIONS, DEFAULT_CVD_SIMULATION, VALID_COLOR_ROLES } from '../../constants/materialDesign.js';
+
+/**
+ * Manager for the color vision deficiency panel in the drawer
+ * Previews accent roles and tonal palettes as seen with the selected deficiency,
+ * and lists role pairs that become hard to tell apart with any of them.
+ */
+export class ColorVisionManager {
+	constructor() {
+		this.formatUtils = new FormatUtils();
+		this.currentDeficiency = DEFAULT_CVD_SIMULATION;
+		this.result = null;
+		this.initializeElements();
+		this.bindEvents();
+	}
+
+	/**
+	 * Initialize DOM element references
+	 */
+	initializeElements() {
+		this.chips = document.getElementById('cvdSimulationChips');
+		this.summary = document.getElementById('cvdSummary');
+		this.preview = document.getElementById('cvdPreview');
+		this.warnings = document.getElementById('cvdWarnings');
+	}
+
+	/**
+	 * Bind deficiency chips
+	 */
+	bindEvents() {
+		this.chips?.addEventListener('click', (e) => {
+			if (!e.target.classList.contains('chip')) return;
+
+			this.currentDeficiency = e.target.dataset.value;
+			this.chips.querySelectorAll('.chip').forEach(chip => {
+				chip.classList.toggle('active', chip.dataset.value === this.currentDeficiency);
+			});
+			this.renderPreview();
+		});
+	}
+
+	/**
+	 * Simulate a generated result and check role distinguishability
+	 * @param {Object} result - Unformatted result with schemes and tonalPalettes
+	 */
+	displayResult(result) {
+		if (!this.preview) return;
+
+		this.result = result;
+		const warnings = ColorVisionSimulator.checkDistinguishability(result);
+		this.summary.textContent = `${warnings.length} ${warnings.length === 1 ? 'pair' : 'pairs'} below ΔE ${CVD_DELTA_E_THRESHOLD} (OKLab)`;
+
+		this.renderPreview();
+		this.warnings.innerHTML = CVD_SIMULATION_OPTIONS
+			.map(({ value, label }) => this.renderWarnings(label, warnings.filter(warning => warning.deficiency === value)))
+			.join('');
+	}
+
+	/**
+	 * Render the checked roles of each mode and every tonal palette with the selected deficiency
+	 */
+	renderPreview() {
+		if (!this.result) return;
+
+		const simulated = ColorVisionSimulator.simulateResult(this.result, this.currentDeficiency);
+		const roles = [...new Set(ColorVisionSimulator.getRolePairs(this.getExtendedNames()).flat())];
+
+		const schemes = Object.entries(simulated.schemes).map(([mode, scheme]) => `
+			<div class="text-muted small mb-1">${this.formatUtils.camelToTitle(mode)}</div>
+			<div class="cvd-swatches mb-2">
+				${roles.filter(role => scheme[role]).map(role => this.renderSwatch(role, this.result.schemes[mode][role], scheme[role])).join('')}
+			</div>`).join('');
+
+		const palettes = Object.entries(simulated.tonalPalettes).map(([name, tones]) => `
+			<div class="cvd-palette" title="${this.formatUtils.camelToTitle(name)}">
+				${Object.values(tones).map(hex => `<span style="background: ${hex}"></span>`).join('')}
+			</div>`).join('');
+
+		this.preview.innerHTML = schemes + `<div class="text-muted small mb-1">Tonal palettes</div>${palettes}`;
+	}
+
+	renderSwatch(role, originalHex, simulatedHex) {
+		return `
+			<div class="cvd-swatch" style="background: ${simulatedHex}" title="${role}: ${originalHex} → ${simulatedHex}">
+				<span class="cvd-swatch-original" style="background: ${originalHex}"></span>
+				<span class="image-swatch-label">${role}</span>
+			</div>`;
+	}
+
+	/**
+	 * Render one deficiency's warnings as a collapsible table
+	 */
+	renderWarnings(label, warnings) {
+		if (!warnings.length) {
+			return `<div class="diagnostics-palette">${label}: all checked roles distinguishable</div>`;
+		}
+
+		const rows = warnings.map(warning => `
+			<tr>
+				<td>${warning.mode}</td>
+				<td>${warning.first} / ${warning.second}</td>
+				<td>${warning.deltaE} (${warning.originalDeltaE})</td>
+			</tr>`).join('');
+
+		return `
+			<details class="diagnostics-palette">
+				<summary><span>${label}</span><span class="diagnostics-badge">${warnings.length}</span></summary>
+				<table class="diagnostics-table">
+					<thead><tr><th>Mode</th><th>Pair</th><th>ΔE (original)</th></tr></thead>
+					<tbody>${rows}</tbody>
+				</table>
+			</details>`;
+	}
+
+	getExtendedNames() {
+		return Object.keys(this.result?.tonalPalettes || {}).filter(name => !VALID_COLOR_ROLES.includes(name));
+	}
+}
@@ -240,6 +240,16 @@ export class CoreColorsManager {
 		});
 	}
 
+	/**
+	 * Clear all custom core colors (used when the seed comes from an image)
+	 */
+	clearCustomCoreColors() {
+		Object.keys(this.customCoreColors).forEach(colorKey => {
+			delete this.customCoreColors[colorKey];
+			this.updateResetButtonState(colorKey);
+		});
+	}
+
 	/**
 	 * Set custom core colors from configuration
 	 */
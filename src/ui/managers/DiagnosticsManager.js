@@ -0,0 +1,108 @@
+import { FormatUtils } from '../../utils/format.js';
+
+/**
+ * Manager for the hue preservation diagnostics panel in the drawer
+ * Lists each palette's reference hue and, per tone, hue deviation and chroma loss.
+ * Tones that hit the max deviation or lost too much chroma are highlighted.
+ */
+export class DiagnosticsManager {
+	constructor() {
+		this.formatUtils = new FormatUtils();
+		this.initializeElements();
+	}
+
+	/**
+	 * Initialize DOM element references
+	 */
+	initializeElements() {
+		this.section = document.getElementById('diagnosticsSection');
+		this.summary = document.getElementById('diagnosticsSummary');
+		this.content = document.getElementById('diagnosticsContent');
+	}
+
+	/**
+	 * Render diagnostics, or hide the panel without hue preservation
+	 * @param {Object|null} diagnostics - Diagnostics from generateTheme
+	 * @param {Array<Object>} contrastAdjustments - Role pairs corrected after hue preservation
+	 */
+	displayDiagnostics(diagnostics, contrastAdjustments = []) {
+		if (!this.section) return;
+
+		this.section.hidden = !diagnostics;
+		if (!diagnostics) {
+			this.content.innerHTML = '';
+			return;
+		}
+
+		const palettes = Object.entries(diagnostics.palettes);
+		const flaggedCount = palettes.reduce((count, [, palette]) => count + palette.tones.filter(this.isFlagged).length, 0);
+		this.summary.textContent = `${diagnostics.hueSpace} · ${palettes.length} palettes · ` +
+			`${flaggedCount} flagged ${flaggedCount === 1 ? 'tone' : 'tones'}`;
+
+		this.content.innerHTML = palettes.map(([name, palette]) => this.renderPalette(name, palette)).join('') +
+			this.renderContrastAdjustments(contrastAdjustments);
+	}
+
+	/**
+	 * Render one palette as a collapsible table
+	 */
+	renderPalette(name, palette) {
+		const title = this.formatUtils.camelToTitle(name);
+		if (palette.referenceHue === null) {
+			return `<div class="diagnostics-palette diagnostics-flag">${title}: ${palette.warning}</div>`;
+		}
+
+		const flagged = palette.tones.filter(this.isFlagged).length;
+		const rows = palette.tones.map(tone => `
+			<tr class="${this.isFlagged(tone) ? 'diagnostics-flag' : ''}">
+				<td>${tone.tone}</td>
+				<td>${tone.originalHue}°</td>
+				<td>${tone.targetHue}°</td>
+				<td class="${tone.hitMaxDeviation ? 'diagnostics-value-flag' : ''}">${tone.deviation > 0 ? '+' : ''}${tone.deviation}° / ±${tone.maxDeviation}°</td>
+				<td class="${tone.highChromaLoss ? 'diagnostics-value-flag' : ''}">${tone.chromaLoss}%</td>
+			</tr>`).join('');
+
+		return `
+			<details class="diagnostics-palette"${flagged > 0 ? ' open' : ''}>
+				<summary>
+					<span>${title}</span>
+					<span class="text-muted small">${palette.referenceHue}° from ${palette.hueSource}</span>
+					${flagged > 0 ? `<span class="diagnostics-badge">${flagged}</span>` : ''}
+				</summary>
+				<table class="diagnostics-table">
+					<thead><tr><th>Tone</th><th>Original</th><th>Target</th><th>Deviation</th><th>Chroma loss</th></tr></thead>
+					<tbody>${rows}</tbody>
+				</table>
+			</details>`;
+	}
+
+	/**
+	 * Render role pairs whose contrast was restored
+	 */
+	renderContrastAdjustments(contrastAdjustments) {
+		if (!contrastAdjustments?.length) return '';
+
+		const rows = contrastAdjustments.map(adjustment => `
+			<tr class="${adjustment.met ? '' : 'diagnostics-flag'}">
+				<td>${adjustment.mode}</td>
+				<td>${adjustment.foreground} / ${adjustment.background}</td>
+				<td>${adjustment.before} → ${adjustment.after} (${adjustment.target})</td>
+			</tr>`).join('');
+
+		return `
+			<details class="diagnostics-palette" open>
+				<summary><span>Contrast corrections</span><span class="diagnostics-badge">${contrastAdjustments.length}</span></summary>
+				<table class="diagnostics-table">
+					<thead><tr><th>Mode</th><th>Pair</th><th>Ratio (target)</th></tr></thead>
+					<tbody>${rows}</tbody>
+				</table>
+			</details>`;
+	}
+
+	/**
+	 * Whether a tone hit the max hue deviation or lost too much chroma
+	 */
+	isFlagged(tone) {
+		return tone.hitMaxDeviation || tone.highChromaLoss;
+	}
+}
@@ -1,9 +1,30 @@
+import { ZipArchive } from '../../utils/ZipArchive.js';
+import { STATE_LAYER_MODES, DEFAULT_STATE_LAYER_MODE, EXPORT_FORMAT_OPTIONS, DEFAULT_EXPORT_FORMAT, CSS_STRATEGY_OPTIONS, DEFAULT_CSS_STRATEGY, DEFAULT_CSS_PREFIX } from '../../constants/materialDesign.js';
+
+// Output label and MIME type by export format (file names are in EXPORT_FORMAT_OPTIONS)
+// Bundle formats output files by path, downloaded as a zip archive
+const DOWNLOADS = {
+	json: { label: 'JSON', type: 'application/json' },
+	css: { label: 'CSS', type: 'text/css' },
+	scss: { label: 'SCSS', type: 'text/x-scss' },
+	less: { label: 'Less', type: 'text/x-less' },
+	tailwindV3: { label: 'Tailwind v3', type: 'text/javascript' },
+	tailwindV4: { label: 'Tailwind v4', type: 'text/css' },
+	android: { label: 'Android', type: 'application/zip', bundle: true },
+	flutter: { label: 'Dart', type: 'text/x-dart' },
+	ios: { label: 'iOS', type: 'application/zip', bundle: true }
+};
+
+// Formats built on CSS custom properties, sharing the prefix and dark scheme options
+const CSS_VARIABLE_FORMATS = ['css', 'tailwindV3', 'tailwindV4'];
+
 /**
- * Manager for export functionality (copy/download JSON)
+ * Manager for export functionality (copy/download JSON, CSS, SCSS, Less, Tailwind, Android, Flutter or iOS)
  */
 export class ExportManager {
 	constructor() {
 		this.originalResult = null;
+		this.bundleFiles = null;
 		this.initializeElements();
 		this.bindEvents();
 	}
@@ -20,8 +41,16 @@ export class ExportManager {
 		this.namingFormatSelect = document.getElementById('namingFormat');
 		this.collectionNameInput = document.getElementById('collectionName');
 		this.stateLayersToggle = document.getElementById('stateLayersToggle');
+		this.stateLayerModeSelect = document.getElementById('stateLayerMode');
 		this.tonalPalettesToggle = document.getElementById('tonalPalettesToggle');
 		this.w3cFormatToggle = document.getElementById('w3cFormatToggle');
+		this.w3cFormatGroup = document.getElementById('w3cFormatGroup');
+		this.w3cAliasesToggle = document.getElementById('w3cAliasesToggle');
+		this.exportFormatSelect = document.getElementById('exportFormat');
+		this.cssOptionsGroup = document.getElementById('cssOptionsGroup');
+		this.cssPrefixInput = document.getElementById('cssPrefix');
+		this.cssStrategySelect = document.getElementById('cssStrategy');
+		this.outputTitle = document.getElementById('outputTitle');
 	}
 
 	/**
@@ -38,7 +67,7 @@ export class ExportManager {
 		// Download button
 		if (this.downloadBtn) {
 			this.downloadBtn.addEventListener('click', () => {
-				this.downloadJSON();
+				this.downloadResult();
 			});
 		}
 
@@ -63,6 +92,13 @@ export class ExportManager {
 			});
 		}
 
+		// Handle state layer mode change
+		if (this.stateLayerModeSelect) {
+			this.stateLayerModeSelect.addEventListener('change', () => {
+				this.onFormatChange?.();
+			});
+		}
+
 		// Handle tonal palettes toggle - now triggers instant updates
 		if (this.tonalPalettesToggle) {
 			this.tonalPalettesToggle.addEventListener('change', () => {
@@ -82,6 +118,33 @@ export class ExportManager {
 				this.onFormatChange?.();
 			});
 		}
+
+		// Handle W3C alias toggle
+		if (this.w3cAliasesToggle) {
+			this.w3cAliasesToggle.addEventListener('change', () => {
+				this.onFormatChange?.();
+			});
+		}
+
+		// Export format change: JSON and CSS have their own options
+		if (this.exportFormatSelect) {
+			this.exportFormatSelect.addEventListener('change', () => {
+				this.toggleFormatOptionsVisibility();
+				this.onFormatChange?.();
+			});
+		}
+
+		if (this.cssPrefixInput) {
+			this.cssPrefixInput.addEventListener('input', () => {
+				this.onFormatChange?.();
+			});
+		}
+
+		if (this.cssStrategySelect) {
+			this.cssStrategySelect.addEventListener('change', () => {
+				this.onFormatChange?.();
+			});
+		}
 	}
 
 	/**
@@ -113,6 +176,13 @@ export class ExportManager {
 		return this.stateLayersToggle?.checked ?? true;
 	}
 
+	/**
+	 * Get state layer mode (alpha or opaque)
+	 */
+	getStateLayerMode() {
+		return this.stateLayerModeSelect?.value || DEFAULT_STATE_LAYER_MODE;
+	}
+
 	/**
 	 * Get tonal palettes toggle state
 	 */
@@ -127,6 +197,34 @@ export class ExportManager {
 		return this.w3cFormatToggle?.checked ?? false;
 	}
 
+	/**
+	 * Get W3C alias mode state (scheme roles referencing tonal palette tokens)
+	 */
+	getW3cAliasesEnabled() {
+		return this.w3cAliasesToggle?.checked ?? false;
+	}
+
+	/**
+	 * Get export format (EXPORT_FORMAT_OPTIONS value)
+	 */
+	getExportFormat() {
+		return this.exportFormatSelect?.value || DEFAULT_EXPORT_FORMAT;
+	}
+
+	/**
+	 * Get CSS custom property prefix
+	 */
+	getCssPrefix() {
+		return this.cssPrefixInput?.value.trim() ?? DEFAULT_CSS_PREFIX;
+	}
+
+	/**
+	 * Get how the CSS export switches to the dark scheme
+	 */
+	getCssStrategy() {
+		return this.cssStrategySelect?.value || DEFAULT_CSS_STRATEGY;
+	}
+
 	/**
 	 * Get original result object
 	 */
@@ -136,14 +234,22 @@ export class ExportManager {
 
 	/**
 	 * Display result in the output area
+	 * Strings (CSS) are shown as is, bundles file after file, other objects as JSON
 	 */
 	displayResult(result, isOriginal = false) {
 		if (isOriginal) {
 			this.originalResult = result;
 		}
-		
+
+		const isBundle = !isOriginal && DOWNLOADS[this.getExportFormat()].bundle;
+		this.bundleFiles = isBundle ? result : null;
+
 		if (this.resultElement) {
-			this.resultElement.textContent = JSON.stringify(result, null, 2);
+			if (isBundle) {
+				this.resultElement.textContent = Object.entries(result).map(([path, content]) => `==> ${path} <==\n${content}`).join('\n');
+			} else {
+				this.resultElement.textContent = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+			}
 		}
 	}
 
@@ -173,16 +279,19 @@ export class ExportManager {
 	}
 
 	/**
-	 * Download JSON as file
+	 * Download the displayed result as a file of the export format, bundles as a zip archive
 	 */
-	downloadJSON() {
+	downloadResult() {
 		if (!this.resultElement?.textContent) return;
 		
-		const blob = new Blob([this.resultElement.textContent], { type: 'application/json' });
+		const format = this.getExportFormat();
+		const { type } = DOWNLOADS[format];
+		const { filename } = EXPORT_FORMAT_OPTIONS.find(option => option.value === format);
+		const blob = new Blob([this.bundleFiles ? ZipArchive.create(this.bundleFiles) : this.resultElement.textContent], { type });
 		const url = URL.createObjectURL(blob);
 		const a = document.createElement('a');
 		a.href = url;
-		a.download = 'material-colors.json';
+		a.download = filename;
 		document.body.appendChild(a);
 		a.click();
 		document.body.removeChild(a);
@@ -204,6 +313,22 @@ export class ExportManager {
 		}
 	}
 
+	/**
+	 * Show the options of the selected export format and label the output
+	 */
+	toggleFormatOptionsVisibility() {
+		const format = this.getExportFormat();
+		const isJson = format === 'json';
+
+		this.cssOptionsGroup?.classList.toggle('d-none', !CSS_VARIABLE_FORMATS.includes(format));
+		this.w3cFormatGroup?.classList.toggle('d-none', !isJson);
+		this.toggleCollectionNameVisibility(isJson && this.getW3cFormatEnabled());
+
+		const { label } = DOWNLOADS[format];
+		if (this.outputTitle) this.outputTitle.textContent = label;
+		if (this.downloadBtn) this.downloadBtn.textContent = `Download ${label}`;
+	}
+
 	/**
 	 * Set export settings from configuration
 	 */
@@ -213,10 +338,16 @@ export class ExportManager {
 		if (settings.namingFormat) this.namingFormatSelect.value = settings.namingFormat;
 		if (settings.collectionName) this.collectionNameInput.value = settings.collectionName;
 		if (typeof settings.stateLayersEnabled === 'boolean') this.stateLayersToggle.checked = settings.stateLayersEnabled;
+		if (STATE_LAYER_MODES.includes(settings.stateLayerMode)) this.stateLayerModeSelect.value = settings.stateLayerMode;
 		if (typeof settings.tonalPalettesEnabled === 'boolean') this.tonalPalettesToggle.checked = settings.tonalPalettesEnabled;
 		if (typeof settings.w3cFormatEnabled === 'boolean') {
 			this.w3cFormatToggle.checked = settings.w3cFormatEnabled;
 			this.toggleCollectionNameVisibility(settings.w3cFormatEnabled);
 		}
+		if (typeof settings.w3cAliasesEnabled === 'boolean') this.w3cAliasesToggle.checked = settings.w3cAliasesEnabled;
+		if (EXPORT_FORMAT_OPTIONS.some(option => option.value === settings.exportFormat)) this.exportFormatSelect.value = settings.exportFormat;
+		if (typeof settings.cssPrefix === 'string') this.cssPrefixInput.value = settings.cssPrefix;
+		if (CSS_STRATEGY_OPTIONS.some(option => option.value === settings.cssStrategy)) this.cssStrategySelect.value = settings.cssStrategy;
+		this.toggleFormatOptionsVisibility();
 	}
 }
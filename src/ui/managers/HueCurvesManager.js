@@ -0,0 +1,252 @@
+import { VALID_COLOR_ROLES, HUE_CURVE_TYPES, HUE_CURVE_MAX_OFFSET, DEFAULT_HUE_CURVE_POINTS } from '../../constants/materialDesign.js';
+import { validateHueCurves } from '../../utils/validators.js';
+import { HueCurve } from '../../utils/HueCurve.js';
+import { FormatUtils } from '../../utils/format.js';
+
+// Editor geometry in SVG units: tone on x, hue offset on y (positive up)
+const WIDTH = 240;
+const HEIGHT = 120;
+const PADDING = 12;
+
+/**
+ * Manager for per-palette hue curves and their SVG editor
+ * Click the chart to add a point, drag to move it, double-click to remove it.
+ */
+export class HueCurvesManager {
+	constructor() {
+		this.curves = {};
+		this.palettes = [...VALID_COLOR_ROLES];
+		this.currentPalette = this.palettes[0];
+		this.dragIndex = null;
+		this.dragChanged = false;
+		this.formatUtils = new FormatUtils();
+
+		this.initializeElements();
+		this.bindEvents();
+		this.render();
+	}
+
+	/**
+	 * Initialize DOM element references
+	 */
+	initializeElements() {
+		this.settingsContainer = document.getElementById('hueCurvesSettings');
+		this.paletteChips = document.getElementById('hueCurvePaletteChips');
+		this.typeChips = document.getElementById('hueCurveTypeChips');
+		this.editor = document.getElementById('hueCurveEditor');
+	}
+
+	/**
+	 * Bind events
+	 */
+	bindEvents() {
+		if (!this.settingsContainer) return;
+
+		this.paletteChips.addEventListener('click', (e) => {
+			if (e.target.classList.contains('chip')) {
+				this.currentPalette = e.target.dataset.value;
+				this.render();
+			}
+		});
+
+		this.typeChips.addEventListener('click', (e) => {
+			if (!e.target.classList.contains('chip')) return;
+
+			const type = e.target.dataset.value;
+			const curve = this.curves[this.currentPalette];
+			if (!type) {
+				delete this.curves[this.currentPalette];
+			} else {
+				this.curves[this.currentPalette] = {
+					type,
+					points: curve ? curve.points : DEFAULT_HUE_CURVE_POINTS.map(point => ({ ...point }))
+				};
+			}
+			this.render();
+			this.onUpdate?.();
+		});
+
+		this.editor.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+		this.editor.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+		this.editor.addEventListener('pointerup', () => this.handlePointerUp());
+		this.editor.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+	}
+
+	/**
+	 * Set callback for hue curve update
+	 */
+	setUpdateCallback(callback) {
+		this.onUpdate = callback;
+	}
+
+	/**
+	 * Update the palettes curves can be drawn for (core palettes and extended colors)
+	 * Curves of palettes that no longer exist are dropped
+	 * @param {Array<string>} palettes - Tonal palette names
+	 */
+	setPalettes(palettes) {
+		if (!palettes?.length || palettes.join(',') === this.palettes.join(',')) return;
+
+		this.palettes = [...palettes];
+		Object.keys(this.curves).forEach(paletteName => {
+			if (!this.palettes.includes(paletteName)) delete this.curves[paletteName];
+		});
+		if (!this.palettes.includes(this.currentPalette)) {
+			this.currentPalette = this.palettes[0];
+		}
+		this.render();
+	}
+
+	/**
+	 * Get hue curves by palette name
+	 * @returns {Object<string, {type: string, points: Array<{tone: number, offset: number}>}>} Valid curves
+	 */
+	getCurves() {
+		return validateHueCurves(this.curves);
+	}
+
+	/**
+	 * Set hue curves (for URL restoration)
+	 */
+	setCurves(curves) {
+		this.curves = validateHueCurves(curves);
+		this.render();
+	}
+
+	/**
+	 * Render palette chips, type chips and the curve chart
+	 */
+	render() {
+		if (!this.settingsContainer) return;
+
+		this.paletteChips.innerHTML = this.palettes.map(paletteName => {
+			const classes = ['chip'];
+			if (paletteName === this.currentPalette) classes.push('active');
+			if (this.curves[paletteName]) classes.push('has-curve');
+			return `<button class="${classes.join(' ')}" data-value="${paletteName}">${this.formatUtils.camelToTitle(paletteName)}</button>`;
+		}).join('');
+
+		const curve = this.curves[this.currentPalette];
+		this.typeChips.innerHTML = [{ value: '', label: 'Off' }, ...HUE_CURVE_TYPES].map(({ value, label }) =>
+			`<button class="chip${(curve?.type ?? '') === value ? ' active' : ''}" data-value="${value}">${label}</button>`
+		).join('');
+
+		this.renderEditor(curve);
+	}
+
+	/**
+	 * Draw grid, curve path and control points
+	 * @param {Object|undefined} curve - Curve of the selected palette
+	 */
+	renderEditor(curve) {
+		const zeroY = this.toY(0);
+		const grid = [0, 50, 100].map(tone =>
+			`<line class="hue-curve-grid" x1="${this.toX(tone)}" y1="${PADDING}" x2="${this.toX(tone)}" y2="${HEIGHT - PADDING}"/>` +
+			`<text class="hue-curve-label" x="${this.toX(tone)}" y="${HEIGHT - 2}">${tone}</text>`
+		).join('');
+
+		let content = `<line class="hue-curve-zero" x1="${PADDING}" y1="${zeroY}" x2="${WIDTH - PADDING}" y2="${zeroY}"/>` +
+			`<text class="hue-curve-label" x="2" y="${PADDING + 4}">+${HUE_CURVE_MAX_OFFSET}°</text>` +
+			`<text class="hue-curve-label" x="2" y="${HEIGHT - PADDING}">-${HUE_CURVE_MAX_OFFSET}°</text>`;
+
+		if (curve) {
+			const path = Array.from({ length: 101 }, (_, tone) =>
+				`${tone === 0 ? 'M' : 'L'}${this.toX(tone).toFixed(1)},${this.toY(HueCurve.getOffset(curve, tone)).toFixed(1)}`
+			).join(' ');
+			content += `<path class="hue-curve-path" d="${path}"/>` + curve.points.map((point, index) =>
+				`<circle class="hue-curve-point" data-index="${index}" cx="${this.toX(point.tone)}" cy="${this.toY(point.offset)}" r="5">` +
+				`<title>Tone ${point.tone}: ${point.offset > 0 ? '+' : ''}${point.offset}°</title></circle>`
+			).join('');
+		}
+
+		this.editor.setAttribute('viewBox', `0 0 ${WIDTH} ${HEIGHT}`);
+		this.editor.classList.toggle('disabled', !curve);
+		this.editor.innerHTML = grid + content;
+	}
+
+	/**
+	 * Start dragging a point, or add one where the chart was clicked
+	 */
+	handlePointerDown(e) {
+		const curve = this.curves[this.currentPalette];
+		if (!curve) return;
+
+		if (e.target.dataset?.index !== undefined) {
+			this.dragIndex = Number(e.target.dataset.index);
+			this.dragChanged = false;
+		} else {
+			const { tone, offset } = this.getPointerValue(e);
+			if (curve.points.some(point => point.tone === tone)) return;
+
+			curve.points = [...curve.points, { tone, offset }].sort((a, b) => a.tone - b.tone);
+			this.dragIndex = curve.points.findIndex(point => point.tone === tone);
+			this.dragChanged = true;
+			this.renderEditor(curve);
+		}
+
+		this.editor.setPointerCapture(e.pointerId);
+	}
+
+	/**
+	 * Move the dragged point, keeping it between its neighbours
+	 */
+	handlePointerMove(e) {
+		if (this.dragIndex === null) return;
+
+		const curve = this.curves[this.currentPalette];
+		const points = curve.points;
+		const { tone, offset } = this.getPointerValue(e);
+		const minTone = this.dragIndex > 0 ? points[this.dragIndex - 1].tone + 1 : 0;
+		const maxTone = this.dragIndex < points.length - 1 ? points[this.dragIndex + 1].tone - 1 : 100;
+
+		points[this.dragIndex] = { tone: Math.max(minTone, Math.min(maxTone, tone)), offset };
+		this.dragChanged = true;
+		this.renderEditor(curve);
+	}
+
+	/**
+	 * Finish dragging and regenerate once
+	 */
+	handlePointerUp() {
+		if (this.dragIndex === null) return;
+
+		this.dragIndex = null;
+		if (this.dragChanged) this.onUpdate?.();
+	}
+
+	/**
+	 * Remove a point (a curve keeps at least one)
+	 */
+	handleDoubleClick(e) {
+		const curve = this.curves[this.currentPalette];
+		if (!curve || e.target.dataset?.index === undefined || curve.points.length <= 1) return;
+
+		curve.points = curve.points.filter((_, index) => index !== Number(e.target.dataset.index));
+		this.renderEditor(curve);
+		this.onUpdate?.();
+	}
+
+	/**
+	 * Convert pointer position to a rounded tone and offset
+	 */
+	getPointerValue(e) {
+		const rect = this.editor.getBoundingClientRect();
+		const x = (e.clientX - rect.left) / rect.width * WIDTH;
+		const y = (e.clientY - rect.top) / rect.height * HEIGHT;
+		const tone = Math.round((x - PADDING) / (WIDTH - 2 * PADDING) * 100);
+		const offset = Math.round((HEIGHT / 2 - y) / (HEIGHT / 2 - PADDING) * HUE_CURVE_MAX_OFFSET);
+
+		return {
+			tone: Math.max(0, Math.min(100, tone)),
+			offset: Math.max(-HUE_CURVE_MAX_OFFSET, Math.min(HUE_CURVE_MAX_OFFSET, offset))
+		};
+	}
+
+	toX(tone) {
+		return PADDING + tone / 100 * (WIDTH - 2 * PADDING);
+	}
+
+	toY(offset) {
+		return HEIGHT / 2 - offset / HUE_CURVE_MAX_OFFSET * (HEIGHT / 2 - PADDING);
+	}
+}
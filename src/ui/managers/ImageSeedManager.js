@@ -0,0 +1,163 @@
+import { ImageColorExtractor } from '../../utils/ImageColorExtractor.js';
+
+/**
+ * Manager for extracting seed colors from an image (file, drag & drop or paste)
+ */
+export class ImageSeedManager {
+	// Images are downscaled before quantization, plenty for color extraction
+	static MAX_IMAGE_SIDE = 128;
+
+	constructor() {
+		this.initializeElements();
+		this.bindEvents();
+	}
+
+	/**
+	 * Initialize DOM element references
+	 */
+	initializeElements() {
+		this.dropZone = document.getElementById('imageSeedDropZone');
+		this.fileInput = document.getElementById('imageSeedInput');
+		this.browseBtn = document.getElementById('imageSeedBrowseBtn');
+		this.resultsContainer = document.getElementById('imageSeedResults');
+		this.seedCandidates = document.getElementById('imageSeedCandidates');
+		this.extendedSuggestions = document.getElementById('imageExtendedSuggestions');
+		this.extendedSuggestionsGroup = document.getElementById('imageExtendedSuggestionsGroup');
+	}
+
+	/**
+	 * Bind events
+	 */
+	bindEvents() {
+		if (!this.dropZone) return;
+
+		this.browseBtn?.addEventListener('click', () => {
+			this.fileInput?.click();
+		});
+
+		this.fileInput?.addEventListener('change', () => {
+			const [file] = this.fileInput.files;
+			if (file) {
+				this.handleImageFile(file);
+			}
+			// Allow picking the same file again
+			this.fileInput.value = '';
+		});
+
+		// Drag & drop
+		this.dropZone.addEventListener('dragover', (e) => {
+			e.preventDefault();
+			this.dropZone.classList.add('drag-over');
+		});
+		this.dropZone.addEventListener('dragleave', () => {
+			this.dropZone.classList.remove('drag-over');
+		});
+		this.dropZone.addEventListener('drop', (e) => {
+			e.preventDefault();
+			this.dropZone.classList.remove('drag-over');
+			const file = [...(e.dataTransfer?.files || [])].find(item => item.type.startsWith('image/'));
+			if (file) {
+				this.handleImageFile(file);
+			}
+		});
+
+		// Paste anywhere on the page (text pastes are left alone)
+		document.addEventListener('paste', (e) => {
+			const item = [...(e.clipboardData?.items || [])].find(entry => entry.type.startsWith('image/'));
+			const file = item?.getAsFile();
+			if (file) {
+				e.preventDefault();
+				this.handleImageFile(file);
+			}
+		});
+	}
+
+	/**
+	 * Set callback for seed candidate selection
+	 */
+	setSeedSelectCallback(callback) {
+		this.onSeedSelect = callback;
+	}
+
+	/**
+	 * Set callback for extended color suggestion selection
+	 */
+	setExtendedSelectCallback(callback) {
+		this.onExtendedSelect = callback;
+	}
+
+	/**
+	 * Read, downscale and quantize an image file
+	 * @param {File} file - Image file
+	 */
+	async handleImageFile(file) {
+		try {
+			const imageBytes = await this.readImageBytes(file);
+			const { seeds, extended } = ImageColorExtractor.extractFromImageBytes(imageBytes);
+			this.renderResults(seeds, extended);
+		} catch (error) {
+			console.error('Failed to extract colors from image:', error);
+		}
+	}
+
+	/**
+	 * Draw an image file on a small canvas and return its RGBA bytes
+	 * @param {File} file - Image file
+	 * @returns {Promise<Uint8ClampedArray>} RGBA bytes
+	 */
+	async readImageBytes(file) {
+		const bitmap = await createImageBitmap(file);
+		const scale = Math.min(1, ImageSeedManager.MAX_IMAGE_SIDE / Math.max(bitmap.width, bitmap.height));
+		const width = Math.max(1, Math.round(bitmap.width * scale));
+		const height = Math.max(1, Math.round(bitmap.height * scale));
+
+		const canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+		const context = canvas.getContext('2d');
+		context.drawImage(bitmap, 0, 0, width, height);
+		bitmap.close();
+
+		return context.getImageData(0, 0, width, height).data;
+	}
+
+	/**
+	 * Render clickable swatches for seed candidates and extended suggestions
+	 * @param {Array<string>} seeds - Seed candidate hex colors
+	 * @param {Array<string>} extended - Extended color suggestion hex colors
+	 */
+	renderResults(seeds, extended) {
+		if (!this.resultsContainer) return;
+
+		this.seedCandidates.innerHTML = '';
+		seeds.forEach(color => {
+			this.seedCandidates.appendChild(this.createSwatch(color, `Use ${color} as seed color`, () => {
+				this.onSeedSelect?.(color);
+			}));
+		});
+
+		this.extendedSuggestions.innerHTML = '';
+		extended.forEach(color => {
+			this.extendedSuggestions.appendChild(this.createSwatch(color, `Add ${color} as an extended color`, () => {
+				this.onExtendedSelect?.(color);
+			}));
+		});
+
+		this.extendedSuggestionsGroup?.classList.toggle('d-none', extended.length === 0);
+		this.resultsContainer.classList.remove('d-none');
+	}
+
+	/**
+	 * Create a swatch button
+	 */
+	createSwatch(color, title, onClick) {
+		const swatch = document.createElement('button');
+		swatch.type = 'button';
+		swatch.className = 'image-swatch';
+		swatch.title = title;
+		swatch.style.setProperty('--swatch-color', color);
+		swatch.innerHTML = `<span class="image-swatch-label">${color}</span>`;
+		swatch.addEventListener('click', onClick);
+		return swatch;
+	}
+}
@@ -0,0 +1,143 @@
+import {
+	STATE_LAYER_OPACITIES,
+	STATE_LAYER_ROLE_OPTIONS,
+	DEFAULT_STATE_LAYER_ROLES,
+	EXTENDED_STATE_LAYER_ROLE_OPTIONS,
+	DEFAULT_EXTENDED_STATE_LAYER_ROLES
+} from '../../constants/materialDesign.js';
+import { validateStateLayerOptions } from '../../utils/validators.js';
+
+/**
+ * Manager for state layer opacities and roles
+ */
+export class StateLayersManager {
+	constructor() {
+		this.initializeElements();
+		this.render();
+		this.bindEvents();
+	}
+
+	/**
+	 * Initialize DOM element references
+	 */
+	initializeElements() {
+		this.settingsContainer = document.getElementById('stateLayersSettings');
+		this.opacityInputs = document.getElementById('stateLayerOpacities');
+		this.roleChips = document.getElementById('stateLayerRoleChips');
+		this.extendedRoleChips = document.getElementById('stateLayerExtendedRoleChips');
+		this.stateLayersToggle = document.getElementById('stateLayersToggle');
+	}
+
+	/**
+	 * Render opacity inputs and role chips from constants
+	 */
+	render() {
+		if (!this.settingsContainer) return;
+
+		this.opacityInputs.innerHTML = Object.entries(STATE_LAYER_OPACITIES).map(([state, opacity]) => `
+			<div class="state-opacity-field">
+				<label class="form-label small mb-1" for="stateOpacity_${state}">${state.charAt(0).toUpperCase() + state.slice(1)}</label>
+				<input type="number" class="form-control form-control-sm" id="stateOpacity_${state}" data-state="${state}" min="0" max="1" step="0.01" value="${opacity}">
+			</div>
+		`).join('');
+
+		this.roleChips.innerHTML = STATE_LAYER_ROLE_OPTIONS.map(({ value, label }) =>
+			`<button class="chip" data-value="${value}">${label}</button>`
+		).join('');
+		this.extendedRoleChips.innerHTML = EXTENDED_STATE_LAYER_ROLE_OPTIONS.map(({ value, label }) =>
+			`<button class="chip" data-value="${value}">${label}</button>`
+		).join('');
+
+		this.setOptions({ roles: DEFAULT_STATE_LAYER_ROLES, extendedRoles: DEFAULT_EXTENDED_STATE_LAYER_ROLES });
+	}
+
+	/**
+	 * Bind events
+	 */
+	bindEvents() {
+		if (!this.settingsContainer) return;
+
+		this.opacityInputs.addEventListener('change', (e) => {
+			if (e.target.matches('input[data-state]')) {
+				this.onUpdate?.();
+			}
+		});
+
+		// Multi-select chips: every click toggles one role
+		[this.roleChips, this.extendedRoleChips].forEach(container => {
+			container.addEventListener('click', (e) => {
+				if (e.target.classList.contains('chip')) {
+					e.target.classList.toggle('active');
+					this.onUpdate?.();
+				}
+			});
+		});
+
+		// Settings only matter while state layers are exported
+		this.stateLayersToggle?.addEventListener('change', () => {
+			this.toggleSettingsVisibility();
+		});
+		this.toggleSettingsVisibility();
+	}
+
+	/**
+	 * Set callback for state layer options update
+	 */
+	setUpdateCallback(callback) {
+		this.onUpdate = callback;
+	}
+
+	/**
+	 * Show settings only when state layers are included
+	 */
+	toggleSettingsVisibility() {
+		if (this.settingsContainer && this.stateLayersToggle) {
+			this.settingsContainer.style.display = this.stateLayersToggle.checked ? 'block' : 'none';
+		}
+	}
+
+	/**
+	 * Get state layer options
+	 * @returns {{opacities: Object<string, number>, roles: Array<string>, extendedRoles: Array<string>}} Options
+	 */
+	getOptions() {
+		if (!this.settingsContainer) {
+			return validateStateLayerOptions();
+		}
+
+		const opacities = {};
+		this.opacityInputs.querySelectorAll('input[data-state]').forEach(input => {
+			opacities[input.dataset.state] = parseFloat(input.value);
+		});
+
+		const getActiveValues = container => [...container.querySelectorAll('.chip.active')].map(chip => chip.dataset.value);
+
+		return validateStateLayerOptions({
+			opacities,
+			roles: getActiveValues(this.roleChips),
+			extendedRoles: getActiveValues(this.extendedRoleChips)
+		});
+	}
+
+	/**
+	 * Set state layer options (for URL restoration)
+	 * Missing fields keep their current value
+	 */
+	setOptions(options = {}) {
+		if (!this.settingsContainer) return;
+
+		Object.entries(options.opacities || {}).forEach(([state, opacity]) => {
+			const input = this.opacityInputs.querySelector(`input[data-state="${state}"]`);
+			if (input) input.value = opacity;
+		});
+
+		const setActiveValues = (container, values) => {
+			container.querySelectorAll('.chip').forEach(chip => {
+				chip.classList.toggle('active', values.includes(chip.dataset.value));
+			});
+		};
+
+		if (Array.isArray(options.roles)) setActiveValues(this.roleChips, options.roles);
+		if (Array.isArray(options.extendedRoles)) setActiveValues(this.extendedRoleChips, options.extendedRoles);
+	}
+}
@@ -3,7 +3,15 @@ import { DrawerManager } from './DrawerManager.js';
 import { ExtendedColorsManager } from './ExtendedColorsManager.js';
 import { CoreColorsManager } from './CoreColorsManager.js';
 import { ExportManager } from './ExportManager.js';
-import { DEFAULT_SEED_COLOR, DEFAULT_STYLE, DEFAULT_SPEC, DEFAULT_PRESERVE_HUE } from '../../constants/materialDesign.js';
+import { ImageSeedManager } from './ImageSeedManager.js';
+import { StateLayersManager } from './StateLayersManager.js';
+import { HueCurvesManager } from './HueCurvesManager.js';
+import { DiagnosticsManager } from './DiagnosticsManager.js';
+import { AccessibilityReportManager } from './AccessibilityReportManager.js';
+import { ColorVisionManager } from './ColorVisionManager.js';
+import { DEFAULT_SEED_COLOR, DEFAULT_STYLE, DEFAULT_SPEC, DEFAULT_PRESERVE_HUE, DEFAULT_HUE_SPACE, DEFAULT_PALETTE_MODE, DEFAULT_CHROMA_CURVE, DEFAULT_CONTRAST, DEFAULT_INCLUDE_LEGACY_ROLES, DEFAULT_TONE_SET, TONE_SET_CUSTOM } from '../../constants/materialDesign.js';
+import { parseToneList } from '../../utils/validators.js';
+import { ImageColorExtractor } from '../../utils/ImageColorExtractor.js';
 
 /**
  * Main UI Manager that coordinates all UI components
@@ -18,6 +26,12 @@ export class UIManager {
 		this.extendedColorsManager = new ExtendedColorsManager(this.colorPickerManager);
 		this.coreColorsManager = new CoreColorsManager(this.colorPickerManager);
 		this.exportManager = new ExportManager();
+		this.imageSeedManager = new ImageSeedManager();
+		this.stateLayersManager = new StateLayersManager();
+		this.hueCurvesManager = new HueCurvesManager();
+		this.diagnosticsManager = new DiagnosticsManager();
+		this.accessibilityReportManager = new AccessibilityReportManager();
+		this.colorVisionManager = new ColorVisionManager();
 		
 		// Initialize UI elements
 		this.initializeElements();
@@ -29,7 +43,8 @@ export class UIManager {
 	async initialize() {
 		await this.bindEvents();
 		// Set initial visibility for conditional options
-		this.toggleNeutralHueFromPrimaryVisibility();
+		this.togglePreserveHueOptionsVisibility();
+		this.toggleChromaCurveVisibility();
 	}
 
 	/**
@@ -42,13 +57,28 @@ export class UIManager {
 		this.seedColorDropdown = document.getElementById('seedColorDropdown');
 		this.styleChips = document.getElementById('styleChips');
 		this.specChips = document.getElementById('specChips');
+		this.contrastChips = document.getElementById('contrastChips');
+		this.legacyRolesToggle = document.getElementById('legacyRolesToggle');
+		this.toneSetChips = document.getElementById('toneSetChips');
+		this.customTonesInput = document.getElementById('customTonesInput');
+		this.customTonesContainer = document.getElementById('customTonesContainer');
 		this.preserveHueToggle = document.getElementById('preserveHueToggle');
 		this.neutralHueFromPrimaryToggle = document.getElementById('neutralHueFromPrimaryToggle');
-		this.neutralHueFromPrimaryContainer = document.getElementById('neutralHueFromPrimaryContainer');
+		this.wideGamutToggle = document.getElementById('wideGamutToggle');
+		this.hueSpaceChips = document.getElementById('hueSpaceChips');
+		this.preserveHueOptionsContainer = document.getElementById('preserveHueOptionsContainer');
+		this.paletteModeChips = document.getElementById('paletteModeChips');
+		this.chromaCurveChips = document.getElementById('chromaCurveChips');
+		this.chromaCurveContainer = document.getElementById('chromaCurveContainer');
 		
 		// Track current selections
 		this.currentStyle = DEFAULT_STYLE;
 		this.currentSpec = DEFAULT_SPEC;
+		this.currentContrast = DEFAULT_CONTRAST;
+		this.currentToneSet = DEFAULT_TONE_SET;
+		this.currentHueSpace = DEFAULT_HUE_SPACE;
+		this.currentPaletteMode = DEFAULT_PALETTE_MODE;
+		this.currentChromaCurve = DEFAULT_CHROMA_CURVE;
 	}
 
 	/**
@@ -70,6 +100,21 @@ export class UIManager {
 		// Preserve hue toggle
 		this.bindPreserveHueToggle();
 		
+		// Legacy roles toggle
+		this.legacyRolesToggle?.addEventListener('change', () => {
+			this.onGenerate?.();
+		});
+		
+		// Wide gamut toggle
+		this.wideGamutToggle?.addEventListener('change', () => {
+			this.onGenerate?.();
+		});
+		
+		// Custom tones input
+		this.customTonesInput?.addEventListener('change', () => {
+			this.onGenerate?.();
+		});
+		
 		// Initialize core colors UI
 		await this.coreColorsManager.initialize();
 	}
@@ -101,6 +146,27 @@ export class UIManager {
 		this.exportManager.setFormatChangeCallback(() => {
 			this.onFormatChange?.();
 		});
+		
+		// State layers manager callbacks
+		this.stateLayersManager.setUpdateCallback(() => {
+			this.onGenerate?.();
+		});
+		
+		// Hue curves manager callbacks
+		this.hueCurvesManager.setUpdateCallback(() => {
+			this.onGenerate?.();
+		});
+		
+		// Image seed manager callbacks
+		this.imageSeedManager.setSeedSelectCallback((seedColor) => {
+			this.handleImageSeed(seedColor);
+		});
+		
+		this.imageSeedManager.setExtendedSelectCallback(async (color) => {
+			const takenNames = this.extendedColorsManager.getExtendedColors().map(({ name }) => name);
+			await this.extendedColorsManager.addExtendedColorFromConfig(ImageColorExtractor.getExtendedColorName(takenNames), color, true);
+			this.onGenerate?.();
+		});
 	}
 	
 	/**
@@ -152,6 +218,30 @@ export class UIManager {
 		return this.currentSpec || DEFAULT_SPEC;
 	}
 	
+	/**
+	 * Get selected contrast level (or "all levels")
+	 */
+	getContrast() {
+		return this.currentContrast || DEFAULT_CONTRAST;
+	}
+	
+	/**
+	 * Get selected tone set: a TONE_SET_OPTIONS value or a custom list of tones
+	 */
+	getTones() {
+		if (this.currentToneSet === TONE_SET_CUSTOM) {
+			return parseToneList(this.customTonesInput?.value);
+		}
+		return this.currentToneSet || DEFAULT_TONE_SET;
+	}
+	
+	/**
+	 * Get include legacy roles setting
+	 */
+	getIncludeLegacyRoles() {
+		return this.legacyRolesToggle?.checked ?? DEFAULT_INCLUDE_LEGACY_ROLES;
+	}
+	
 	/**
 	 * Get preserve hue setting
 	 */
@@ -159,6 +249,34 @@ export class UIManager {
 		return this.preserveHueToggle?.checked ?? DEFAULT_PRESERVE_HUE;
 	}
 	
+	/**
+	 * Get wide gamut (Display P3) setting
+	 */
+	getWideGamut() {
+		return this.wideGamutToggle?.checked ?? false;
+	}
+	
+	/**
+	 * Get color space used for hue preservation
+	 */
+	getHueSpace() {
+		return this.currentHueSpace || DEFAULT_HUE_SPACE;
+	}
+	
+	/**
+	 * Get palette mode (HCT or OKLCH)
+	 */
+	getPaletteMode() {
+		return this.currentPaletteMode || DEFAULT_PALETTE_MODE;
+	}
+	
+	/**
+	 * Get chroma curve of OKLCH palettes
+	 */
+	getChromaCurve() {
+		return this.currentChromaCurve || DEFAULT_CHROMA_CURVE;
+	}
+	
 	/**
 	 * Get neutralHueFromPrimary setting
 	 */
@@ -174,12 +292,63 @@ export class UIManager {
 			seedColor: this.getSeedColor(),
 			style: this.getStyle(),
 			colorSpec: this.getColorSpec(),
+			contrast: this.getContrast(),
+			includeLegacyRoles: this.getIncludeLegacyRoles(),
+			tones: this.getTones(),
+			stateLayers: this.stateLayersManager.getOptions(),
 			preserveHue: this.getPreserveHue(),
+			hueSpace: this.getHueSpace(),
+			hueCurves: this.hueCurvesManager.getCurves(),
+			wideGamut: this.getWideGamut(),
+			paletteMode: this.getPaletteMode(),
+			chromaCurve: this.getChromaCurve(),
 			neutralHueFromPrimary: this.getNeutralHueFromPrimary(),
 			customCoreColors: this.coreColorsManager.getCustomCoreColors()
 		};
 	}
 
+	/**
+	 * Get theme config for generateTheme()
+	 */
+	getThemeConfig() {
+		return {
+			seed: this.getSeedColor(),
+			style: this.getStyle(),
+			spec: this.getColorSpec(),
+			contrast: this.getContrast(),
+			includeLegacyRoles: this.getIncludeLegacyRoles(),
+			tones: this.getTones(),
+			stateLayers: this.stateLayersManager.getOptions(),
+			preserveHue: this.getPreserveHue(),
+			hueSpace: this.getHueSpace(),
+			hueCurves: this.hueCurvesManager.getCurves(),
+			wideGamut: this.getWideGamut(),
+			paletteMode: this.getPaletteMode(),
+			chromaCurve: this.getChromaCurve(),
+			neutralHueFromPrimary: this.getNeutralHueFromPrimary(),
+			coreColors: this.coreColorsManager.getCustomCoreColors(),
+			extendedColors: this.getExtendedColors(),
+			export: this.getExportOptions()
+		};
+	}
+
+	/**
+	 * Get export options for generateTheme()/formatTheme()
+	 */
+	getExportOptions() {
+		return {
+			namingFormat: this.getNamingFormat(),
+			collectionName: this.getCollectionName(),
+			w3cAliases: this.exportManager.getW3cAliasesEnabled(),
+			stateLayers: this.getStateLayersEnabled(),
+			stateLayerMode: this.getStateLayerMode(),
+			tonalPalettes: this.getTonalPalettesEnabled(),
+			format: this.getExportFormat(),
+			cssPrefix: this.exportManager.getCssPrefix(),
+			cssStrategy: this.exportManager.getCssStrategy()
+		};
+	}
+
 	/**
 	 * Get extended colors from UI
 	 */
@@ -208,6 +377,13 @@ export class UIManager {
 		return this.exportManager.getStateLayersEnabled();
 	}
 
+	/**
+	 * Get state layer mode (alpha or opaque)
+	 */
+	getStateLayerMode() {
+		return this.exportManager.getStateLayerMode();
+	}
+
 	/**
 	 * Get tonal palettes toggle state
 	 */
@@ -222,6 +398,13 @@ export class UIManager {
 		return this.exportManager.getW3cFormatEnabled();
 	}
 
+	/**
+	 * Get export format (EXPORT_FORMAT_OPTIONS value)
+	 */
+	getExportFormat() {
+		return this.exportManager.getExportFormat();
+	}
+
 	/**
 	 * Get original result object
 	 */
@@ -234,6 +417,35 @@ export class UIManager {
 	 */
 	displayResult(result, isOriginal = false) {
 		this.exportManager.displayResult(result, isOriginal);
+		// Extended colors add palettes hue curves can be drawn for
+		if (isOriginal && result?.tonalPalettes) {
+			this.hueCurvesManager.setPalettes(Object.keys(result.tonalPalettes));
+		}
+	}
+
+	/**
+	 * Display hue preservation diagnostics in the drawer
+	 * @param {Object|null} diagnostics - Diagnostics from generateTheme
+	 * @param {Array<Object>} contrastAdjustments - Role pairs corrected after hue preservation
+	 */
+	displayDiagnostics(diagnostics, contrastAdjustments) {
+		this.diagnosticsManager.displayDiagnostics(diagnostics, contrastAdjustments);
+	}
+
+	/**
+	 * Display the WCAG/APCA accessibility report in the drawer
+	 * @param {Object} result - Unformatted result with schemes and tonalPalettes
+	 */
+	displayAccessibilityReport(result) {
+		this.accessibilityReportManager.displayReport(result);
+	}
+
+	/**
+	 * Display color vision deficiency simulation and distinguishability warnings in the drawer
+	 * @param {Object} result - Unformatted result with schemes and tonalPalettes
+	 */
+	displayColorVision(result) {
+		this.colorVisionManager.displayResult(result);
 	}
 
 	/**
@@ -244,10 +456,20 @@ export class UIManager {
 		if (this.seedColorInput) this.seedColorInput.value = DEFAULT_SEED_COLOR;
 		this.currentStyle = DEFAULT_STYLE;
 		this.currentSpec = DEFAULT_SPEC;
+		this.currentContrast = DEFAULT_CONTRAST;
 		
 		// Update chip selections
 		this.updateChipSelection('styleChips', DEFAULT_STYLE);
 		this.updateChipSelection('specChips', DEFAULT_SPEC);
+		this.updateChipSelection('contrastChips', DEFAULT_CONTRAST);
+		this.setToneSet(DEFAULT_TONE_SET);
+		this.currentHueSpace = DEFAULT_HUE_SPACE;
+		this.updateChipSelection('hueSpaceChips', DEFAULT_HUE_SPACE);
+		this.currentPaletteMode = DEFAULT_PALETTE_MODE;
+		this.updateChipSelection('paletteModeChips', DEFAULT_PALETTE_MODE);
+		this.currentChromaCurve = DEFAULT_CHROMA_CURVE;
+		this.updateChipSelection('chromaCurveChips', DEFAULT_CHROMA_CURVE);
+		this.toggleChromaCurveVisibility();
 		
 		// Update seed color preview
 		if (this.seedColorPreview) {
@@ -263,27 +485,43 @@ export class UIManager {
 	 * This regenerates other core colors based on the new primary
 	 */
 	handlePrimaryAsNewSeed(primaryColor) {
-		// Update seed color input and preview
+		this.updateSeedColorUI(primaryColor);
+		
+		// Clear other custom core colors so they regenerate from new seed
+		this.coreColorsManager.clearOtherCustomCoreColors();
+		
+		// Trigger regeneration
+		this.onGenerate?.();
+	}
+
+	/**
+	 * Handle seed candidate picked from an image
+	 * The whole theme is rebuilt from the image color, so all custom core colors are cleared
+	 */
+	handleImageSeed(seedColor) {
+		this.updateSeedColorUI(seedColor);
+		this.coreColorsManager.clearCustomCoreColors();
+		this.onGenerate?.();
+	}
+
+	/**
+	 * Update seed color input, preview and picker
+	 */
+	updateSeedColorUI(seedColor) {
 		if (this.seedColorInput) {
-			this.seedColorInput.value = primaryColor;
+			this.seedColorInput.value = seedColor;
 		}
 		
 		if (this.seedColorPreview) {
 			const container = this.seedColorPreview.parentElement;
-			container.style.setProperty('--preview-color', primaryColor);
+			container.style.setProperty('--preview-color', seedColor);
 		}
 		
 		// Update seed color picker
 		const seedColorPicker = this.seedColorDropdown?.querySelector('color-picker');
 		if (seedColorPicker && seedColorPicker.color) {
-			seedColorPicker.color = primaryColor;
+			seedColorPicker.color = seedColor;
 		}
-		
-		// Clear other custom core colors so they regenerate from new seed
-		this.coreColorsManager.clearOtherCustomCoreColors();
-		
-		// Trigger regeneration
-		this.onGenerate?.();
 	}
 
 	/**
@@ -326,7 +564,7 @@ export class UIManager {
 	}
 	
 	/**
-	 * Bind chip events for style and spec selection
+	 * Bind chip events for style, spec, contrast, tone set and hue space selection
 	 */
 	bindChipEvents() {
 		// Style chips
@@ -356,6 +594,94 @@ export class UIManager {
 				}
 			});
 		}
+		
+		// Contrast chips
+		if (this.contrastChips) {
+			this.contrastChips.addEventListener('click', (e) => {
+				if (e.target.classList.contains('chip')) {
+					const value = e.target.getAttribute('data-value');
+					if (value) {
+						this.currentContrast = value;
+						this.updateChipSelection('contrastChips', value);
+						this.onGenerate?.();
+					}
+				}
+			});
+		}
+		
+		// Hue space chips
+		if (this.hueSpaceChips) {
+			this.hueSpaceChips.addEventListener('click', (e) => {
+				if (e.target.classList.contains('chip')) {
+					const value = e.target.getAttribute('data-value');
+					if (value) {
+						this.currentHueSpace = value;
+						this.updateChipSelection('hueSpaceChips', value);
+						this.onGenerate?.();
+					}
+				}
+			});
+		}
+		
+		// Palette mode chips
+		if (this.paletteModeChips) {
+			this.paletteModeChips.addEventListener('click', (e) => {
+				if (e.target.classList.contains('chip')) {
+					const value = e.target.getAttribute('data-value');
+					if (value) {
+						this.currentPaletteMode = value;
+						this.updateChipSelection('paletteModeChips', value);
+						this.toggleChromaCurveVisibility();
+						this.onGenerate?.();
+					}
+				}
+			});
+		}
+		
+		// Chroma curve chips
+		if (this.chromaCurveChips) {
+			this.chromaCurveChips.addEventListener('click', (e) => {
+				if (e.target.classList.contains('chip')) {
+					const value = e.target.getAttribute('data-value');
+					if (value) {
+						this.currentChromaCurve = value;
+						this.updateChipSelection('chromaCurveChips', value);
+						this.onGenerate?.();
+					}
+				}
+			});
+		}
+		
+		// Tone set chips
+		if (this.toneSetChips) {
+			this.toneSetChips.addEventListener('click', (e) => {
+				if (e.target.classList.contains('chip')) {
+					const value = e.target.getAttribute('data-value');
+					if (value) {
+						this.setToneSet(value);
+						this.onGenerate?.();
+					}
+				}
+			});
+		}
+	}
+	
+	/**
+	 * Select a tone set chip and show the custom tones input when needed
+	 * @param {string|Array<number>} tones - TONE_SET_OPTIONS value, TONE_SET_CUSTOM or a custom list of tones
+	 */
+	setToneSet(tones) {
+		if (Array.isArray(tones)) {
+			if (this.customTonesInput) this.customTonesInput.value = tones.join(', ');
+			tones = TONE_SET_CUSTOM;
+		}
+		
+		this.currentToneSet = tones;
+		this.updateChipSelection('toneSetChips', tones);
+		
+		if (this.customTonesContainer) {
+			this.customTonesContainer.style.display = tones === TONE_SET_CUSTOM ? 'block' : 'none';
+		}
 	}
 	
 	/**
@@ -364,8 +690,8 @@ export class UIManager {
 	bindPreserveHueToggle() {
 		if (this.preserveHueToggle) {
 			this.preserveHueToggle.addEventListener('change', () => {
-				// Show/hide the neutralHueFromPrimary option
-				this.toggleNeutralHueFromPrimaryVisibility();
+				// Show/hide the hue space and neutralHueFromPrimary options
+				this.togglePreserveHueOptionsVisibility();
 				this.onGenerate?.();
 			});
 		}
@@ -378,15 +704,25 @@ export class UIManager {
 	}
 	
 	/**
-	 * Show or hide the neutralHueFromPrimary option based on preserveHue state
+	 * Show or hide the hue preservation sub-options based on preserveHue state
 	 */
-	toggleNeutralHueFromPrimaryVisibility() {
-		if (this.neutralHueFromPrimaryContainer && this.preserveHueToggle) {
-			this.neutralHueFromPrimaryContainer.style.display = 
+	togglePreserveHueOptionsVisibility() {
+		if (this.preserveHueOptionsContainer && this.preserveHueToggle) {
+			this.preserveHueOptionsContainer.style.display = 
 				this.preserveHueToggle.checked ? 'block' : 'none';
 		}
 	}
 	
+	/**
+	 * Show the chroma curve chips only for OKLCH palettes
+	 */
+	toggleChromaCurveVisibility() {
+		if (this.chromaCurveContainer) {
+			this.chromaCurveContainer.style.display = 
+				this.getPaletteMode() === 'OKLCH' ? 'block' : 'none';
+		}
+	}
+	
 	/**
 	 * Update chip selection state
 	 */
@@ -427,9 +763,38 @@ export class UIManager {
 			this.currentSpec = settings.colorSpec;
 			this.updateChipSelection('specChips', settings.colorSpec);
 		}
+		if (settings.contrast) {
+			this.currentContrast = settings.contrast;
+			this.updateChipSelection('contrastChips', settings.contrast);
+		}
+		if (settings.tones) {
+			this.setToneSet(settings.tones);
+		}
+		if (settings.includeLegacyRoles !== undefined && this.legacyRolesToggle) {
+			this.legacyRolesToggle.checked = settings.includeLegacyRoles;
+		}
 		if (settings.preserveHue !== undefined && this.preserveHueToggle) {
 			this.preserveHueToggle.checked = settings.preserveHue;
-			this.toggleNeutralHueFromPrimaryVisibility();
+			this.togglePreserveHueOptionsVisibility();
+		}
+		if (settings.wideGamut !== undefined && this.wideGamutToggle) {
+			this.wideGamutToggle.checked = settings.wideGamut;
+		}
+		if (settings.hueCurves) {
+			this.hueCurvesManager.setCurves(settings.hueCurves);
+		}
+		if (settings.hueSpace) {
+			this.currentHueSpace = settings.hueSpace;
+			this.updateChipSelection('hueSpaceChips', settings.hueSpace);
+		}
+		if (settings.paletteMode) {
+			this.currentPaletteMode = settings.paletteMode;
+			this.updateChipSelection('paletteModeChips', settings.paletteMode);
+			this.toggleChromaCurveVisibility();
+		}
+		if (settings.chromaCurve) {
+			this.currentChromaCurve = settings.chromaCurve;
+			this.updateChipSelection('chromaCurveChips', settings.chromaCurve);
 		}
 		if (settings.neutralHueFromPrimary !== undefined && this.neutralHueFromPrimaryToggle) {
 			this.neutralHueFromPrimaryToggle.checked = settings.neutralHueFromPrimary;
@@ -439,6 +804,9 @@ export class UIManager {
 		if (settings.customCoreColors) this.coreColorsManager.setCustomCoreColors(settings.customCoreColors);
 		if (settings.extendedColors) this.extendedColorsManager.setExtendedColors(settings.extendedColors);
 		if (settings.exportSettings) this.exportManager.setExportSettings(settings.exportSettings);
+		if (settings.stateLayers) this.stateLayersManager.setOptions(settings.stateLayers);
+		// The state layers toggle was set without a change event
+		this.stateLayersManager.toggleSettingsVisibility();
 	}
 
 	/**
@@ -449,7 +817,16 @@ export class UIManager {
 			seedColor: this.getSeedColor(),
 			style: this.getStyle(),
 			colorSpec: this.getColorSpec(),
+			contrast: this.getContrast(),
+			includeLegacyRoles: this.getIncludeLegacyRoles(),
+			tones: this.getTones(),
+			stateLayers: this.stateLayersManager.getOptions(),
 			preserveHue: this.getPreserveHue(),
+			hueSpace: this.getHueSpace(),
+			hueCurves: this.hueCurvesManager.getCurves(),
+			wideGamut: this.getWideGamut(),
+			paletteMode: this.getPaletteMode(),
+			chromaCurve: this.getChromaCurve(),
 			neutralHueFromPrimary: this.getNeutralHueFromPrimary(),
 			customCoreColors: this.coreColorsManager.getCustomCoreColors(),
 			extendedColors: this.getExtendedColors(),
@@ -457,8 +834,13 @@ export class UIManager {
 				namingFormat: this.getNamingFormat(),
 				collectionName: this.getCollectionName(),
 				stateLayersEnabled: this.getStateLayersEnabled(),
+				stateLayerMode: this.getStateLayerMode(),
 				tonalPalettesEnabled: this.getTonalPalettesEnabled(),
-				w3cFormatEnabled: this.getW3cFormatEnabled()
+				w3cFormatEnabled: this.getW3cFormatEnabled(),
+				w3cAliasesEnabled: this.exportManager.getW3cAliasesEnabled(),
+				exportFormat: this.getExportFormat(),
+				cssPrefix: this.exportManager.getCssPrefix(),
+				cssStrategy: this.exportManager.getCssStrategy()
 			}
 		};
 	}
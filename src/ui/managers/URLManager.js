@@ -1,4 +1,5 @@
-import { DEFAULT_SEED_COLOR, DEFAULT_STYLE, DEFAULT_SPEC, DEFAULT_PRESERVE_HUE } from '../../constants/materialDesign.js';
+import { DEFAULT_SEED_COLOR, DEFAULT_STYLE, DEFAULT_SPEC, DEFAULT_PRESERVE_HUE, DEFAULT_HUE_SPACE, HUE_SPACE_OPTIONS, DEFAULT_PALETTE_MODE, PALETTE_MODE_OPTIONS, DEFAULT_CHROMA_CURVE, CHROMA_CURVE_OPTIONS, DEFAULT_CONTRAST, DEFAULT_INCLUDE_LEGACY_ROLES, DEFAULT_TONE_SET, TONE_SET_OPTIONS, STATE_LAYER_OPACITIES, DEFAULT_STATE_LAYER_ROLES, DEFAULT_EXTENDED_STATE_LAYER_ROLES, DEFAULT_STATE_LAYER_MODE, EXPORT_FORMAT_OPTIONS, DEFAULT_EXPORT_FORMAT, CSS_STRATEGY_OPTIONS, DEFAULT_CSS_STRATEGY, DEFAULT_CSS_PREFIX } from '../../constants/materialDesign.js';
+import { parseToneList, validateHueCurves } from '../../utils/validators.js';
 
 /**
  * Simple URL parameters manager
@@ -16,16 +17,30 @@ export class URLManager {
 			seedColor: params.get('seed'),
 			style: params.get('style'),
 			colorSpec: params.get('spec'),
+			contrast: params.get('contrast'),
+			tones: this.parseTones(params.get('tones')),
+			includeLegacyRoles: params.get('legacyRoles') !== '0',
 			preserveHue: params.get('preserveHue') === '1',
+			hueSpace: this.parseHueSpace(params.get('hueSpace')),
+			hueCurves: this.parseHueCurves(params.get('hueCurves')),
+			wideGamut: params.get('wideGamut') === '1',
+			paletteMode: this.parseOption(params.get('palette'), PALETTE_MODE_OPTIONS),
+			chromaCurve: this.parseOption(params.get('chromaCurve'), CHROMA_CURVE_OPTIONS),
 			neutralHueFromPrimary: params.get('neutralHueFromPrimary') === '1',
+			stateLayers: this.parseStateLayers(params),
 			customCoreColors: this.parseCore(params.get('core')),
 			extendedColors: this.parseExtended(params.get('extended')),
 			exportSettings: {
 				namingFormat: params.get('format') || 'kebab-case',
 				collectionName: params.get('collection') || 'Semantic colors',
 				stateLayersEnabled: params.get('stateLayers') !== '0',
+				stateLayerMode: params.get('stateLayerMode') || DEFAULT_STATE_LAYER_MODE,
 				tonalPalettesEnabled: params.get('tonalPalettes') !== '0',
-				w3cFormatEnabled: params.get('w3c') === '1'
+				w3cFormatEnabled: params.get('w3c') === '1',
+				w3cAliasesEnabled: params.get('w3cAliases') === '1',
+				exportFormat: this.parseOption(params.get('export'), EXPORT_FORMAT_OPTIONS) || DEFAULT_EXPORT_FORMAT,
+				cssPrefix: params.get('cssPrefix') ?? DEFAULT_CSS_PREFIX,
+				cssStrategy: this.parseOption(params.get('cssStrategy'), CSS_STRATEGY_OPTIONS) || DEFAULT_CSS_STRATEGY
 			}
 		};
 
@@ -41,8 +56,34 @@ export class URLManager {
 			if (settings.seedColor && settings.seedColor !== DEFAULT_SEED_COLOR) params.set('seed', settings.seedColor);
 			if (settings.style && settings.style !== DEFAULT_STYLE) params.set('style', settings.style);
 			if (settings.colorSpec && settings.colorSpec !== DEFAULT_SPEC) params.set('spec', settings.colorSpec);
+			if (settings.contrast && settings.contrast !== DEFAULT_CONTRAST) params.set('contrast', settings.contrast);
+			if (Array.isArray(settings.tones)) {
+				if (settings.tones.length > 0) params.set('tones', settings.tones.join(','));
+			} else if (settings.tones && settings.tones !== DEFAULT_TONE_SET) {
+				params.set('tones', settings.tones);
+			}
+			if (settings.includeLegacyRoles !== DEFAULT_INCLUDE_LEGACY_ROLES) params.set('legacyRoles', settings.includeLegacyRoles ? '1' : '0');
 			if (settings.preserveHue !== DEFAULT_PRESERVE_HUE) params.set('preserveHue', settings.preserveHue ? '1' : '0');
+			if (settings.hueSpace && settings.hueSpace !== DEFAULT_HUE_SPACE) params.set('hueSpace', settings.hueSpace);
 			if (settings.neutralHueFromPrimary) params.set('neutralHueFromPrimary', '1');
+			if (settings.wideGamut) params.set('wideGamut', '1');
+			if (settings.paletteMode && settings.paletteMode !== DEFAULT_PALETTE_MODE) params.set('palette', settings.paletteMode);
+			if (settings.chromaCurve && settings.chromaCurve !== DEFAULT_CHROMA_CURVE) params.set('chromaCurve', settings.chromaCurve);
+			if (settings.hueCurves && Object.keys(settings.hueCurves).length > 0) {
+				const hueCurves = Object.entries(settings.hueCurves).map(([name, curve]) =>
+					`${encodeURIComponent(name)}:${curve.type}:${curve.points.map(point => `${point.tone}_${point.offset}`).join(';')}`
+				).join(',');
+				params.set('hueCurves', hueCurves);
+			}
+			
+			// State layers (only values that differ from defaults)
+			if (settings.stateLayers) {
+				const { opacities, roles, extendedRoles } = settings.stateLayers;
+				const changedOpacities = Object.entries(opacities).filter(([state, opacity]) => opacity !== STATE_LAYER_OPACITIES[state]);
+				if (changedOpacities.length > 0) params.set('stateOpacity', changedOpacities.map(([state, opacity]) => `${state}:${opacity}`).join(','));
+				if (roles.join(',') !== DEFAULT_STATE_LAYER_ROLES.join(',')) params.set('stateRoles', roles.join(','));
+				if (extendedRoles.join(',') !== DEFAULT_EXTENDED_STATE_LAYER_ROLES.join(',')) params.set('stateExtended', extendedRoles.join(','));
+			}
 			
 			// Core colors
 			if (settings.customCoreColors && Object.keys(settings.customCoreColors).length > 0) {
@@ -61,8 +102,13 @@ export class URLManager {
 			params.set('format', exp.namingFormat);
 			params.set('collection', exp.collectionName);
 			params.set('stateLayers', exp.stateLayersEnabled ? '1' : '0');
+			params.set('stateLayerMode', exp.stateLayerMode);
 			params.set('tonalPalettes', exp.tonalPalettesEnabled ? '1' : '0');  
 			params.set('w3c', exp.w3cFormatEnabled ? '1' : '0');
+			if (exp.w3cAliasesEnabled) params.set('w3cAliases', '1');
+			if (exp.exportFormat && exp.exportFormat !== DEFAULT_EXPORT_FORMAT) params.set('export', exp.exportFormat);
+			if (exp.cssPrefix !== undefined && exp.cssPrefix !== DEFAULT_CSS_PREFIX) params.set('cssPrefix', exp.cssPrefix);
+			if (exp.cssStrategy && exp.cssStrategy !== DEFAULT_CSS_STRATEGY) params.set('cssStrategy', exp.cssStrategy);
 			
 			const newUrl = `?${params}`;
 			
@@ -86,6 +132,67 @@ export class URLManager {
 		return Object.keys(result).length > 0 ? result : null;
 	}
 
+	// Tone set preset name (tones=STANDARD) or custom list (tones=4,6,12)
+	parseTones(param) {
+		if (!param) return null;
+		if (TONE_SET_OPTIONS.some(option => option.value === param)) return param;
+		const tones = parseToneList(param);
+		return tones.length > 0 ? tones : null;
+	}
+
+	parseHueSpace(param) {
+		return this.parseOption(param, HUE_SPACE_OPTIONS);
+	}
+
+	// Value of a chip option list (palette=OKLCH, chromaCurve=LINEAR)
+	parseOption(param, options) {
+		return options.some(option => option.value === param) ? param : null;
+	}
+
+	// hueCurves=primary:bezier:10_-10;50_0;90_8,warning:linear:0_0;100_12 (tone_offset points)
+	parseHueCurves(param) {
+		if (!param) return null;
+		const curves = {};
+		param.split(',').forEach(entry => {
+			const [name, type, points] = entry.split(':');
+			if (!name || !points) return;
+			curves[decodeURIComponent(name)] = {
+				type,
+				points: points.split(';').map(point => {
+					const [tone, offset] = point.split('_').map(Number);
+					return { tone, offset };
+				})
+			};
+		});
+		const validCurves = validateHueCurves(curves);
+		return Object.keys(validCurves).length > 0 ? validCurves : null;
+	}
+
+	// stateOpacity=pressed:0.1, stateRoles=primary,onPrimary (empty means no roles), stateExtended=color
+	parseStateLayers(params) {
+		const stateLayers = {};
+		
+		const opacityParam = params.get('stateOpacity');
+		if (opacityParam) {
+			stateLayers.opacities = {};
+			opacityParam.split(',').forEach(pair => {
+				const [state, value] = pair.split(':');
+				const opacity = parseFloat(value);
+				if (state in STATE_LAYER_OPACITIES && opacity >= 0 && opacity <= 1) {
+					stateLayers.opacities[state] = opacity;
+				}
+			});
+		}
+		
+		const rolesParam = params.get('stateRoles');
+		if (rolesParam !== null) stateLayers.roles = rolesParam.split(',').filter(Boolean);
+		
+		const extendedParam = params.get('stateExtended');
+		if (extendedParam !== null) stateLayers.extendedRoles = extendedParam.split(',').filter(Boolean);
+		
+		return stateLayers;
+	}
+
 	parseExtended(param) {
 		if (!param) return [];
 		return param.split(',').map(pair => {
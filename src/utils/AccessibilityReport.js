@@ -0,0 +1,202 @@
+import { wcagContrast, converter } from 'culori';
+import { ContrastValidator } from './ContrastValidator.js';
+import {
+	ACCESSIBILITY_ROLE_PAIRS,
+	ACCESSIBILITY_THRESHOLDS,
+	APCA_LEVELS,
+	VALID_COLOR_ROLES
+} from '../constants/materialDesign.js';
+
+const toRgb = converter('rgb');
+
+// APCA 0.0.98G-4g constants (W3C Silver draft)
+const APCA = {
+	mainTrc: 2.4,
+	rCoefficient: 0.2126729,
+	gCoefficient: 0.7151522,
+	bCoefficient: 0.0721750,
+	normBackground: 0.56,
+	normText: 0.57,
+	reverseText: 0.62,
+	reverseBackground: 0.65,
+	blackThreshold: 0.022,
+	blackClamp: 1.414,
+	scale: 1.14,
+	offset: 0.027,
+	deltaYMin: 0.0005,
+	lowClip: 0.1
+};
+
+const CSV_COLUMNS = ['mode', 'foreground', 'background', 'foregroundHex', 'backgroundHex', 'kind', 'wcag', 'wcagLevel', 'wcagPass', 'apca', 'apcaLevel', 'apcaPass'];
+
+/**
+ * Accessibility report for generated schemes
+ *
+ * Lists every foreground/background pairing Material defines, for each scheme mode,
+ * with its WCAG 2.2 contrast ratio and APCA Lc, and exports it as Markdown or CSV.
+ */
+export class AccessibilityReport {
+	/**
+	 * Build report rows from a generated result
+	 * @param {Object} result - Unformatted result with schemes and tonalPalettes
+	 * @returns {Array<Object>} One row per mode and pair: {mode, foreground, background, foregroundHex,
+	 *     backgroundHex, kind, wcag, wcagLevel, wcagPass, apca, apcaLevel, apcaPass}
+	 */
+	static build(result) {
+		const extendedNames = Object.keys(result?.tonalPalettes || {}).filter(name => !VALID_COLOR_ROLES.includes(name));
+		const pairs = ContrastValidator.getRolePairs(extendedNames, ACCESSIBILITY_ROLE_PAIRS);
+		const rows = [];
+
+		for (const [mode, scheme] of Object.entries(result?.schemes || {})) {
+			for (const { foreground, background, kind = 'text' } of pairs) {
+				if (!scheme[foreground] || !scheme[background]) continue;
+
+				const threshold = ACCESSIBILITY_THRESHOLDS[kind];
+				const wcag = Math.round(wcagContrast(scheme[foreground], scheme[background]) * 100) / 100;
+				const apca = Math.round(this.getApcaContrast(scheme[foreground], scheme[background]) * 10) / 10;
+
+				rows.push({
+					mode,
+					foreground,
+					background,
+					foregroundHex: scheme[foreground],
+					backgroundHex: scheme[background],
+					kind,
+					wcag,
+					wcagLevel: this.getWcagLevel(wcag, kind),
+					wcagPass: wcag >= threshold.wcag,
+					apca,
+					apcaLevel: this.getApcaLevel(apca),
+					apcaPass: Math.abs(apca) >= threshold.apca
+				});
+			}
+		}
+
+		return rows;
+	}
+
+	/**
+	 * APCA lightness contrast of text on a background
+	 * Positive for dark text on light backgrounds, negative for light text on dark ones
+	 * @param {string} textHex - Text color
+	 * @param {string} backgroundHex - Background color
+	 * @returns {number} Lc value (about -108 to 106)
+	 */
+	static getApcaContrast(textHex, backgroundHex) {
+		const textY = this.getApcaLuminance(textHex);
+		const backgroundY = this.getApcaLuminance(backgroundHex);
+
+		if (Math.abs(backgroundY - textY) < APCA.deltaYMin) {
+			return 0;
+		}
+
+		if (backgroundY > textY) {
+			// Dark text on light background
+			const contrast = (backgroundY ** APCA.normBackground - textY ** APCA.normText) * APCA.scale;
+			return contrast < APCA.lowClip ? 0 : (contrast - APCA.offset) * 100;
+		}
+
+		// Light text on dark background
+		const contrast = (backgroundY ** APCA.reverseBackground - textY ** APCA.reverseText) * APCA.scale;
+		return contrast > -APCA.lowClip ? 0 : (contrast + APCA.offset) * 100;
+	}
+
+	/**
+	 * APCA screen luminance with the soft clamp for near-black colors
+	 * @param {string} hex - Color
+	 * @returns {number} Estimated screen luminance
+	 */
+	static getApcaLuminance(hex) {
+		const { r, g, b } = toRgb(hex);
+		const y = APCA.rCoefficient * r ** APCA.mainTrc
+			+ APCA.gCoefficient * g ** APCA.mainTrc
+			+ APCA.bCoefficient * b ** APCA.mainTrc;
+
+		return y > APCA.blackThreshold ? y : y + (APCA.blackThreshold - y) ** APCA.blackClamp;
+	}
+
+	/**
+	 * WCAG 2.2 level a ratio meets
+	 * @param {number} ratio - Contrast ratio
+	 * @param {string} kind - 'text' or 'ui'
+	 * @returns {string} AAA, AA, AA Large or Fail for text; Pass or Fail for UI components
+	 */
+	static getWcagLevel(ratio, kind) {
+		if (kind === 'ui') {
+			return ratio >= 3 ? 'Pass' : 'Fail';
+		}
+		if (ratio >= 7) return 'AAA';
+		if (ratio >= 4.5) return 'AA';
+		if (ratio >= 3) return 'AA Large';
+		return 'Fail';
+	}
+
+	/**
+	 * Highest APCA use case an Lc value allows
+	 * @param {number} lc - APCA Lc
+	 * @returns {string} APCA_LEVELS label or Fail
+	 */
+	static getApcaLevel(lc) {
+		return APCA_LEVELS.find(level => Math.abs(lc) >= level.lc)?.label ?? 'Fail';
+	}
+
+	/**
+	 * Format the report as a Markdown document with one table per mode
+	 * @param {Array<Object>} rows - Report rows
+	 * @returns {string} Markdown
+	 */
+	static toMarkdown(rows) {
+		const sections = Object.entries(this.groupByMode(rows)).map(([mode, modeRows]) => {
+			const failures = modeRows.filter(row => !row.wcagPass || !row.apcaPass).length;
+			const lines = modeRows.map(row =>
+				`| ${row.foreground} | ${row.background} | \`${row.foregroundHex}\` / \`${row.backgroundHex}\` | ` +
+				`${row.wcag}:1 | ${this.formatBadge(row.wcagPass, row.wcagLevel)} | ${row.apca} | ${this.formatBadge(row.apcaPass, row.apcaLevel)} |`
+			);
+
+			return [
+				`## ${mode}`,
+				'',
+				`${modeRows.length} ${modeRows.length === 1 ? 'pair' : 'pairs'}, ${failures} failing`,
+				'',
+				'| Foreground | Background | Colors | WCAG | WCAG level | APCA Lc | APCA level |',
+				'| --- | --- | --- | ---: | --- | ---: | --- |',
+				...lines
+			].join('\n');
+		});
+
+		return ['# Accessibility report', '', ...sections.flatMap(section => [section, ''])].join('\n');
+	}
+
+	/**
+	 * Format the report as CSV
+	 * @param {Array<Object>} rows - Report rows
+	 * @returns {string} CSV with a header row
+	 */
+	static toCsv(rows) {
+		const escape = value => {
+			const text = String(value);
+			return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+		};
+
+		return [
+			CSV_COLUMNS.join(','),
+			...rows.map(row => CSV_COLUMNS.map(column => escape(row[column])).join(','))
+		].join('\n') + '\n';
+	}
+
+	/**
+	 * Group rows by scheme mode, keeping mode order
+	 * @param {Array<Object>} rows - Report rows
+	 * @returns {Object<string, Array<Object>>} Rows by mode
+	 */
+	static groupByMode(rows) {
+		return rows.reduce((groups, row) => {
+			(groups[row.mode] ??= []).push(row);
+			return groups;
+		}, {});
+	}
+
+	static formatBadge(pass, level) {
+		return `${pass ? '✅' : '❌'} ${level}`;
+	}
+}
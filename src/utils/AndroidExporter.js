@@ -0,0 +1,256 @@
+import { FormatUtils } from './format.js';
+import { ANDROID_THEME_PACKAGE, COMPOSE_COLOR_SCHEME_ROLES, CONTRAST_OPTIONS, KOTLIN_HARD_KEYWORDS } from '../constants/materialDesign.js';
+
+const formatUtils = new FormatUtils();
+
+// Generated Kotlin and XML follow the Android style guide (4 space indentation)
+const INDENT = '    ';
+
+/**
+ * Android resources and Jetpack Compose theme export
+ *
+ * Light modes go to values/colors.xml (md_theme_light_primary, md_theme_light_high_contrast_primary),
+ * dark modes to values-night/colors.xml, tonal palettes to values/colors.xml (md_palette_primary_40).
+ * Color.kt declares every role per mode (primaryLight, primaryDarkHighContrast), Theme.kt builds
+ * lightColorScheme()/darkColorScheme() from them and exposes extended colors through LocalExtendedColors.
+ * With several contrast levels, AppTheme takes a ThemeContrast parameter picking the schemes.
+ * Names follow Android conventions whatever the naming format; state layers are left to Compose.
+ */
+export class AndroidExporter {
+	/**
+	 * Convert a result to the files of the Android bundle
+	 * @param {Object} result - Unformatted result, already filtered by the tonal palette toggle
+	 * @returns {Object<string, string>} File contents by path
+	 */
+	static toFiles(result) {
+		return {
+			'res/values/colors.xml': this.toColorsXml(result, 'light'),
+			'res/values-night/colors.xml': this.toColorsXml(result, 'dark'),
+			'ui/theme/Color.kt': this.toColorKt(result),
+			'ui/theme/Theme.kt': this.toThemeKt(result)
+		};
+	}
+
+	/**
+	 * Color resources of the light or dark modes
+	 * @param {Object} result - Unformatted result
+	 * @param {string} scheme - 'light' or 'dark'
+	 * @returns {string} Resource XML
+	 */
+	static toColorsXml(result, scheme) {
+		const lines = this.getModes(result, scheme).flatMap(mode => [
+			`${INDENT}<!-- ${formatUtils.camelToTitle(mode)} scheme -->`,
+			...Object.entries(result.schemes[mode]).map(([role, color]) =>
+				`${INDENT}<color name="md_theme_${this.snakeCase(mode)}_${this.snakeCase(role)}">${this.toArgb(color, '#')}</color>`
+			)
+		]);
+
+		// Palettes don't depend on the mode, the night folder only overrides scheme colors
+		if (scheme === 'light' && result?.tonalPalettes) {
+			lines.push(`${INDENT}<!-- Tonal palettes -->`);
+			for (const [palette, tones] of Object.entries(result.tonalPalettes)) {
+				for (const [tone, color] of Object.entries(tones)) {
+					lines.push(`${INDENT}<color name="md_palette_${this.snakeCase(palette)}_${tone}">${this.toArgb(color, '#')}</color>`);
+				}
+			}
+		}
+
+		return ['<?xml version="1.0" encoding="utf-8"?>', '<resources>', ...lines, '</resources>', ''].join('\n');
+	}
+
+	/**
+	 * Compose Color.kt: one Color per role and mode, then palette tones
+	 * @param {Object} result - Unformatted result
+	 * @returns {string} Kotlin source
+	 */
+	static toColorKt(result) {
+		const sections = Object.entries(result?.schemes || {}).map(([mode, scheme]) => [
+			`// ${formatUtils.camelToTitle(mode)} scheme`,
+			...Object.entries(scheme).map(([role, color]) => `val ${this.colorName(role, mode)} = Color(${this.toArgb(color, '0x')})`)
+		].join('\n'));
+
+		if (result?.tonalPalettes) {
+			sections.push([
+				'// Tonal palettes',
+				...Object.entries(result.tonalPalettes).flatMap(([palette, tones]) =>
+					Object.entries(tones).map(([tone, color]) => `val ${formatUtils.formatCodeIdentifier(palette)}${tone} = Color(${this.toArgb(color, '0x')})`)
+				)
+			].join('\n'));
+		}
+
+		return [
+			`package ${ANDROID_THEME_PACKAGE}`,
+			'import androidx.compose.ui.graphics.Color',
+			...sections
+		].join('\n\n') + '\n';
+	}
+
+	/**
+	 * Compose Theme.kt: color schemes per mode, extended colors and the AppTheme composable
+	 * @param {Object} result - Unformatted result
+	 * @returns {string} Kotlin source
+	 */
+	static toThemeKt(result) {
+		const modes = Object.keys(result?.schemes || {});
+		const extendedRoles = FormatUtils.getExtendedRoles(result);
+		const levels = this.getContrastLevels(result);
+		const hasContrast = levels.length > 1;
+		const hasExtendedColors = extendedRoles.length > 0;
+		const name = mode => formatUtils.formatCodeIdentifier(mode);
+
+		// Value picked for the system theme, per contrast level when there are several
+		const select = (variable, suffix) => {
+			const choice = ({ light, dark }) => `if (darkTheme) ${name(dark)}${suffix} else ${name(light)}${suffix}`;
+			return hasContrast ? [
+				`val ${variable} = when (contrast) {`,
+				...levels.map(level => `${INDENT}ThemeContrast.${level.label} -> ${choice(level)}`),
+				'}'
+			] : [`val ${variable} = ${choice(levels[0])}`];
+		};
+
+		const schemes = modes.map(mode => {
+			const roles = COMPOSE_COLOR_SCHEME_ROLES.filter(role => role in result.schemes[mode]);
+			const factory = this.isDark(mode) ? 'darkColorScheme' : 'lightColorScheme';
+			return this.call(`private val ${name(mode)}Scheme = ${factory}`,
+				roles.map(role => `${role} = ${this.colorName(role, mode)}`));
+		});
+
+		const extended = hasExtendedColors ? [
+			[
+				'// Extended colors: read them with MaterialTheme.extendedColors.<name>',
+				'@Immutable',
+				this.call('data class ExtendedColors', extendedRoles.map(role => `val ${this.identifier(role)}: Color`))
+			].join('\n'),
+			...modes.map(mode => this.call(`private val ${name(mode)}ExtendedColors = ExtendedColors`,
+				extendedRoles.map(role => `${this.identifier(role)} = ${this.colorName(role, mode)}`))),
+			`val LocalExtendedColors = staticCompositionLocalOf { ${name(levels[0].light)}ExtendedColors }`,
+			[
+				'val MaterialTheme.extendedColors: ExtendedColors',
+				`${INDENT}@Composable`,
+				`${INDENT}@ReadOnlyComposable`,
+				`${INDENT}get() = LocalExtendedColors.current`
+			].join('\n')
+		] : [];
+
+		const themeBody = hasExtendedColors ? [
+			...select('colorScheme', 'Scheme'),
+			...select('extendedColors', 'ExtendedColors'),
+			'',
+			'CompositionLocalProvider(LocalExtendedColors provides extendedColors) {',
+			`${INDENT}MaterialTheme(colorScheme = colorScheme, content = content)`,
+			'}'
+		] : [
+			...select('colorScheme', 'Scheme'),
+			'',
+			'MaterialTheme(colorScheme = colorScheme, content = content)'
+		];
+
+		const imports = [
+			'androidx.compose.foundation.isSystemInDarkTheme',
+			'androidx.compose.material3.MaterialTheme',
+			...(modes.some(mode => this.isDark(mode)) ? ['androidx.compose.material3.darkColorScheme'] : []),
+			...(modes.some(mode => !this.isDark(mode)) ? ['androidx.compose.material3.lightColorScheme'] : []),
+			'androidx.compose.runtime.Composable',
+			...(hasExtendedColors ? [
+				'androidx.compose.runtime.CompositionLocalProvider',
+				'androidx.compose.runtime.Immutable',
+				'androidx.compose.runtime.ReadOnlyComposable',
+				'androidx.compose.runtime.staticCompositionLocalOf',
+				'androidx.compose.ui.graphics.Color'
+			] : [])
+		];
+
+		return [
+			`package ${ANDROID_THEME_PACKAGE}`,
+			imports.map(path => `import ${path}`).join('\n'),
+			...schemes,
+			...extended,
+			...(hasContrast ? [
+				`// Contrast levels of AppTheme, e.g. from UiModeManager.getContrast() on Android 14+\nenum class ThemeContrast { ${levels.map(({ label }) => label).join(', ')} }`
+			] : []),
+			[
+				'@Composable',
+				'fun AppTheme(',
+				`${INDENT}darkTheme: Boolean = isSystemInDarkTheme(),`,
+				...(hasContrast ? [`${INDENT}contrast: ThemeContrast = ThemeContrast.${levels[0].label},`] : []),
+				`${INDENT}content: @Composable () -> Unit`,
+				') {',
+				...themeBody.map(line => (line ? `${INDENT}${line}` : line)),
+				'}'
+			].join('\n')
+		].join('\n\n') + '\n';
+	}
+
+	/**
+	 * Scheme modes of the light or dark family, standard contrast first
+	 */
+	static getModes(result, scheme) {
+		return Object.keys(result?.schemes || {}).filter(mode => this.isDark(mode) === (scheme === 'dark'));
+	}
+
+	/**
+	 * Light and dark modes of every contrast level, a missing one standing in for the other
+	 * @param {Object} result - Unformatted result
+	 * @returns {Array<{label: string, light: string, dark: string}>} Contrast levels in CONTRAST_OPTIONS order
+	 */
+	static getContrastLevels(result) {
+		const modes = Object.keys(result?.schemes || {});
+		const levels = CONTRAST_OPTIONS.map(({ label, modeSuffix }) => {
+			const light = modes.find(mode => mode === `light${modeSuffix}`);
+			const dark = modes.find(mode => mode === `dark${modeSuffix}`);
+			return { label, light: light ?? dark, dark: dark ?? light };
+		}).filter(({ light }) => light);
+
+		if (levels.length) {
+			return levels;
+		}
+
+		// Modes named otherwise: the first light and dark ones
+		const [light] = this.getModes(result, 'light');
+		const [dark = light] = this.getModes(result, 'dark');
+		return [{ label: CONTRAST_OPTIONS[0].label, light: light ?? dark, dark }];
+	}
+
+	static isDark(mode) {
+		return /^dark/i.test(mode);
+	}
+
+	/**
+	 * Kotlin identifier of an extended role, quoted with backticks when it's a keyword
+	 */
+	static identifier(role) {
+		const identifier = formatUtils.formatCodeIdentifier(role);
+		return KOTLIN_HARD_KEYWORDS.includes(identifier) ? `\`${identifier}\`` : identifier;
+	}
+
+	/**
+	 * Kotlin property of a role in a mode (onPrimaryLight, primaryDarkHighContrast)
+	 */
+	static colorName(role, mode) {
+		const modeName = formatUtils.formatCodeIdentifier(mode);
+		return `${formatUtils.formatCodeIdentifier(role)}${modeName.charAt(0).toUpperCase()}${modeName.slice(1)}`;
+	}
+
+	/**
+	 * snake_case resource name part
+	 */
+	static snakeCase(name) {
+		return formatUtils.camelToKebab(name).replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '').toLowerCase();
+	}
+
+	/**
+	 * Hex color (#RRGGBB or #RRGGBBAA) as AARRGGBB with the given prefix
+	 */
+	static toArgb(hex, prefix) {
+		const value = hex.replace('#', '').toUpperCase();
+		const alpha = value.length === 8 ? value.slice(6) : 'FF';
+		return `${prefix}${alpha}${value.slice(0, 6)}`;
+	}
+
+	/**
+	 * Kotlin call with one named argument per line
+	 */
+	static call(head, args) {
+		return `${head}(\n${args.map(arg => `${INDENT}${arg}`).join(',\n')}\n)`;
+	}
+}
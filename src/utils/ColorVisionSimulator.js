@@ -0,0 +1,117 @@
+import {
+	differenceEuclidean,
+	filterDeficiencyDeuter,
+	filterDeficiencyProt,
+	filterDeficiencyTrit,
+	filterGrayscale,
+	formatHex
+} from 'culori';
+import {
+	CVD_DELTA_E_THRESHOLD,
+	CVD_DISTINGUISHABLE_ROLES,
+	CVD_SIMULATION_OPTIONS,
+	VALID_COLOR_ROLES
+} from '../constants/materialDesign.js';
+
+const FILTERS = {
+	PROTANOPIA: filterDeficiencyProt(1),
+	DEUTERANOPIA: filterDeficiencyDeuter(1),
+	TRITANOPIA: filterDeficiencyTrit(1),
+	ACHROMATOPSIA: filterGrayscale(1, 'lrgb')
+};
+
+const deltaE = differenceEuclidean('oklab');
+
+/**
+ * Color vision deficiency simulation for generated schemes
+ *
+ * Simulates how schemes and palettes look to people with protanopia, deuteranopia,
+ * tritanopia or achromatopsia, and flags accent roles that become hard to tell apart.
+ */
+export class ColorVisionSimulator {
+	/**
+	 * Simulate one color
+	 * @param {string} hex - Color
+	 * @param {string} deficiency - CVD_SIMULATION_OPTIONS value
+	 * @returns {string} Simulated lowercase hex
+	 */
+	static simulate(hex, deficiency) {
+		const filter = FILTERS[deficiency];
+		if (!filter) {
+			throw new Error(`Unknown color vision deficiency: ${deficiency}`);
+		}
+		return formatHex(filter(hex)).toLowerCase();
+	}
+
+	/**
+	 * Simulate every scheme role and palette tone of a generated result
+	 * @param {Object} result - Unformatted result with schemes and tonalPalettes
+	 * @param {string} deficiency - CVD_SIMULATION_OPTIONS value
+	 * @returns {{schemes: Object, tonalPalettes: Object}} Same shape as the result, with simulated colors
+	 */
+	static simulateResult(result, deficiency) {
+		const simulateColors = colors => Object.fromEntries(
+			Object.entries(colors).map(([key, hex]) => [key, this.simulate(hex, deficiency)])
+		);
+		const simulateGroups = groups => Object.fromEntries(
+			Object.entries(groups || {}).map(([name, colors]) => [name, simulateColors(colors)])
+		);
+
+		return {
+			schemes: simulateGroups(result?.schemes),
+			tonalPalettes: simulateGroups(result?.tonalPalettes)
+		};
+	}
+
+	/**
+	 * Find role pairs whose simulated OKLab ΔE falls below a threshold
+	 * @param {Object} result - Unformatted result with schemes and tonalPalettes
+	 * @param {number} threshold - Minimum OKLab ΔE
+	 * @returns {Array<Object>} One warning per deficiency, mode and pair:
+	 *     {deficiency, mode, first, second, deltaE, originalDeltaE}
+	 */
+	static checkDistinguishability(result, threshold = CVD_DELTA_E_THRESHOLD) {
+		const extendedNames = Object.keys(result?.tonalPalettes || {}).filter(name => !VALID_COLOR_ROLES.includes(name));
+		const pairs = this.getRolePairs(extendedNames);
+		const warnings = [];
+
+		for (const { value: deficiency } of CVD_SIMULATION_OPTIONS) {
+			for (const [mode, scheme] of Object.entries(result?.schemes || {})) {
+				for (const [first, second] of pairs) {
+					if (!scheme[first] || !scheme[second]) continue;
+
+					const simulated = deltaE(this.simulate(scheme[first], deficiency), this.simulate(scheme[second], deficiency));
+					if (simulated < threshold) {
+						warnings.push({
+							deficiency,
+							mode,
+							first,
+							second,
+							deltaE: Math.round(simulated * 1000) / 1000,
+							originalDeltaE: Math.round(deltaE(scheme[first], scheme[second]) * 1000) / 1000
+						});
+					}
+				}
+			}
+		}
+
+		return warnings;
+	}
+
+	/**
+	 * Every pair among the accent roles and extended colors, then among their containers
+	 * @param {Array<string>} extendedNames - Extended color palette names
+	 * @returns {Array<Array<string>>} Role name pairs
+	 */
+	static getRolePairs(extendedNames = []) {
+		const accents = [...CVD_DISTINGUISHABLE_ROLES, ...extendedNames];
+		const containers = [
+			...CVD_DISTINGUISHABLE_ROLES.map(role => `${role}Container`),
+			...extendedNames.map(name => `${name} container`)
+		];
+
+		return [accents, containers].flatMap(roles =>
+			roles.flatMap((first, index) => roles.slice(index + 1).map(second => [first, second]))
+		);
+	}
+}
@@ -0,0 +1,120 @@
+import { converter, clampChroma, formatHex, wcagContrast } from 'culori';
+import { CONTRAST_ROLE_PAIRS, WCAG_CONTRAST_LEVELS } from '../constants/materialDesign.js';
+
+const toOklch = converter('oklch');
+
+// Binary search steps for the smallest lightness change restoring a contrast level
+const LIGHTNESS_SEARCH_STEPS = 20;
+
+/**
+ * WCAG 2.x contrast re-validation for hue preserved schemes
+ *
+ * Regenerated roles only approximate their original tone, so a pair can fall below the
+ * WCAG level the Material scheme met. The foreground is then moved in OKLCH lightness,
+ * away from its background, by the smallest amount that restores that level.
+ */
+export class ContrastValidator {
+	/**
+	 * Restore the contrast of every role pair that dropped a WCAG level
+	 * @param {Object} scheme - Hue preserved scheme colors for one mode
+	 * @param {Object} originalScheme - Scheme colors before post-processing
+	 * @param {Array<string>} extendedNames - Extended color palette names
+	 * @returns {{scheme: Object, adjustments: Array<Object>}} Corrected scheme and one entry per adjusted pair
+	 *     ({foreground, background, target, before, after, from, to, met})
+	 */
+	static validateScheme(scheme, originalScheme, extendedNames = []) {
+		const validated = { ...scheme };
+		const adjustments = [];
+
+		for (const { foreground, background } of this.getRolePairs(extendedNames)) {
+			if (!validated[foreground] || !validated[background] || !originalScheme?.[foreground] || !originalScheme[background]) {
+				continue;
+			}
+
+			const target = this.getTargetRatio(wcagContrast(originalScheme[foreground], originalScheme[background]));
+			const before = wcagContrast(validated[foreground], validated[background]);
+			if (!target || before >= target) {
+				continue;
+			}
+
+			const from = validated[foreground];
+			const to = this.adjustLightness(from, validated[background], target);
+			const after = wcagContrast(to, validated[background]);
+			validated[foreground] = to;
+
+			adjustments.push({
+				foreground,
+				background,
+				target,
+				before: Math.round(before * 100) / 100,
+				after: Math.round(after * 100) / 100,
+				from,
+				to,
+				met: after >= target
+			});
+		}
+
+		return { scheme: validated, adjustments };
+	}
+
+	/**
+	 * Core role pairs followed by the same pairs for each extended color
+	 * Extended colors follow the generator's naming ("warning", "on warning", "warning container"...)
+	 * @param {Array<string>} extendedNames - Extended color palette names
+	 * @param {Array<Object>} corePairs - Core role pairs (default: CONTRAST_ROLE_PAIRS)
+	 * @returns {Array<{foreground: string, background: string, kind?: string}>} Role pairs in validation order
+	 */
+	static getRolePairs(extendedNames = [], corePairs = CONTRAST_ROLE_PAIRS) {
+		const extendedPairs = extendedNames.flatMap(name => [
+			{ foreground: name, background: 'surface' },
+			{ foreground: `on ${name}`, background: name },
+			{ foreground: `on ${name} container`, background: `${name} container` },
+			{ foreground: `on ${name} fixed`, background: `${name} fixed` },
+			{ foreground: `on ${name} fixed variant`, background: `${name} fixed` }
+		]);
+
+		return [...corePairs, ...extendedPairs];
+	}
+
+	/**
+	 * Highest WCAG level a pair met before post-processing
+	 * @param {number} ratio - Original contrast ratio
+	 * @returns {number|null} Target ratio, null if the pair met no level
+	 */
+	static getTargetRatio(ratio) {
+		const levels = WCAG_CONTRAST_LEVELS.filter(level => ratio >= level);
+		return levels.length > 0 ? Math.max(...levels) : null;
+	}
+
+	/**
+	 * Move a color's OKLCH lightness away from a background until it reaches a contrast ratio
+	 * Hue is kept and chroma reduced only as far as sRGB requires
+	 * @param {string} hex - Foreground color
+	 * @param {string} backgroundHex - Background color
+	 * @param {number} target - Contrast ratio to reach
+	 * @returns {string} Adjusted hex (black or white if the ratio can't be reached)
+	 */
+	static adjustLightness(hex, backgroundHex, target) {
+		const color = toOklch(hex);
+		const limit = color.l >= toOklch(backgroundHex).l ? 1 : 0;
+		const withLightness = l => formatHex(clampChroma({ ...color, l }, 'oklch')).toLowerCase();
+
+		// Fraction of the way from the current lightness to black or white
+		let low = 0;
+		let high = 1;
+		if (wcagContrast(withLightness(limit), backgroundHex) < target) {
+			return withLightness(limit);
+		}
+
+		for (let step = 0; step < LIGHTNESS_SEARCH_STEPS; step++) {
+			const middle = (low + high) / 2;
+			if (wcagContrast(withLightness(color.l + (limit - color.l) * middle), backgroundHex) >= target) {
+				high = middle;
+			} else {
+				low = middle;
+			}
+		}
+
+		return withLightness(color.l + (limit - color.l) * high);
+	}
+}
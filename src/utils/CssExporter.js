@@ -0,0 +1,147 @@
+import { FormatUtils } from './format.js';
+import { DEFAULT_CSS_PREFIX, DEFAULT_CSS_STRATEGY } from '../constants/materialDesign.js';
+
+const formatUtils = new FormatUtils();
+
+/**
+ * CSS custom properties export
+ *
+ * Schemes and state layers become one custom property per role, switched to the dark scheme
+ * with light-dark() values, @media (prefers-color-scheme) blocks or [data-theme] selectors.
+ * Medium and high contrast schemes are selected with [data-contrast="medium|high"].
+ * Tonal palettes don't depend on the mode and are declared once on :root.
+ */
+export class CssExporter {
+	/**
+	 * Convert a result to a CSS stylesheet
+	 * @param {Object} result - Unformatted result, already filtered by the state layer and tonal palette toggles
+	 * @param {Object} options - CSS options
+	 * @param {string} options.prefix - Custom property prefix, without the leading "--"
+	 * @param {string} options.strategy - CSS_STRATEGY_OPTIONS value
+	 * @param {string} options.namingFormat - Naming format of role names
+	 * @returns {string} Stylesheet
+	 */
+	static toCss(result, options = {}) {
+		return this.getRules(result, options).map(rule => this.formatRule(rule)).join('\n\n') + '\n';
+	}
+
+	/**
+	 * Build the rules of the stylesheet
+	 * @param {Object} result - Unformatted result, already filtered by the state layer and tonal palette toggles
+	 * @param {Object} options - CSS options (see toCss)
+	 * @returns {Array<{selectors: Array<string>, properties: Array<[string, string]>, media?: string, comment?: string}>}
+	 *     Non-empty rules in stylesheet order
+	 */
+	static getRules(result, { prefix = DEFAULT_CSS_PREFIX, strategy = DEFAULT_CSS_STRATEGY, namingFormat = 'kebab-case' } = {}) {
+		const propertyName = parts => this.getPropertyName(prefix, parts, namingFormat);
+		const paletteProperties = Object.entries(result?.tonalPalettes || {}).flatMap(([palette, tones]) =>
+			Object.entries(tones).map(([tone, color]) => [propertyName([palette, tone]), color])
+		);
+
+		const rules = this.getContrastGroups(result).flatMap(({ contrast, light, dark }) => {
+			const lightProperties = this.getModeProperties(result, light, propertyName);
+			const darkProperties = this.getModeProperties(result, dark, propertyName);
+			const extraProperties = contrast ? [] : paletteProperties;
+			const comment = contrast ? `${formatUtils.camelToTitle(contrast)} contrast: set data-contrast="${contrast}" on the root element` : undefined;
+			const contrastSelector = contrast ? `[data-contrast="${contrast}"]` : '';
+
+			switch (strategy) {
+				case 'media':
+					return [
+						{ comment, selectors: [contrastSelector || ':root'], properties: [...lightProperties, ...extraProperties] },
+						{ media: '(prefers-color-scheme: dark)', selectors: [contrastSelector || ':root'], properties: darkProperties }
+					];
+				case 'data-attribute':
+					return [
+						{ comment, selectors: contrast ? [contrastSelector] : [':root', '[data-theme="light"]'], properties: [...lightProperties, ...extraProperties] },
+						{ selectors: [`[data-theme="dark"]${contrastSelector}`], properties: darkProperties }
+					];
+				default:
+					return [
+						{
+							comment,
+							selectors: [contrastSelector || ':root'],
+							properties: [
+								...(contrast ? [] : [['color-scheme', 'light dark']]),
+								...this.mergeLightDark(lightProperties, darkProperties),
+								...extraProperties
+							]
+						}
+					];
+			}
+		});
+
+		return rules.filter(rule => rule.properties.length > 0);
+	}
+
+	/**
+	 * Group scheme modes by contrast level
+	 * @param {Object} result - Unformatted result
+	 * @returns {Array<{contrast: string|null, light: string|undefined, dark: string|undefined}>} Standard contrast first
+	 */
+	static getContrastGroups(result) {
+		const groups = new Map();
+
+		for (const mode of Object.keys(result?.schemes || {})) {
+			const [scheme, contrast = null] = (FormatUtils.getModeName(mode) || mode).toLowerCase().split(' ');
+			if (!groups.has(contrast)) {
+				groups.set(contrast, { contrast });
+			}
+			groups.get(contrast)[scheme] = mode;
+		}
+
+		return [...groups.values()].sort((a, b) => Number(a.contrast !== null) - Number(b.contrast !== null));
+	}
+
+	/**
+	 * Scheme roles then state layers of one mode
+	 * @returns {Array<[string, string]>} Property name and value pairs
+	 */
+	static getModeProperties(result, mode, propertyName) {
+		if (!mode) return [];
+
+		const roles = Object.entries(result.schemes[mode] || {}).map(([role, color]) => [propertyName([role]), color]);
+		const stateLayers = Object.entries(result.stateLayers?.[mode] || {}).flatMap(([role, states]) =>
+			Object.entries(states).map(([state, color]) => [propertyName([role, state]), color])
+		);
+
+		return [...roles, ...stateLayers];
+	}
+
+	/**
+	 * Combine light and dark values into light-dark() values
+	 * Properties only one mode defines keep their single value
+	 */
+	static mergeLightDark(lightProperties, darkProperties) {
+		const dark = new Map(darkProperties);
+		const merged = lightProperties.map(([name, value]) =>
+			[name, dark.has(name) ? `light-dark(${value}, ${dark.get(name)})` : value]
+		);
+		const lightNames = new Set(lightProperties.map(([name]) => name));
+
+		return [...merged, ...darkProperties.filter(([name]) => !lightNames.has(name))];
+	}
+
+	/**
+	 * Custom property name from name parts formatted with the naming format
+	 * @param {string} prefix - Prefix without the leading "--"
+	 * @param {Array<string>} parts - Role, state or palette and tone
+	 * @param {string} namingFormat - Naming format
+	 * @returns {string} Custom property name (e.g. --md-sys-color-on-primary)
+	 */
+	static getPropertyName(prefix, parts, namingFormat) {
+		const cleanPrefix = String(prefix ?? '').trim().replace(/^-+|-+$/g, '');
+
+		return `--${[cleanPrefix, formatUtils.formatIdentifier(parts, namingFormat)].filter(Boolean).join('-')}`;
+	}
+
+	/**
+	 * Write one rule, wrapped in its media query
+	 */
+	static formatRule({ selectors, properties, media, comment }) {
+		const body = `${selectors.join(',\n')} {\n${properties.map(([name, value]) => `\t${name}: ${value};`).join('\n')}\n}`;
+		const rule = media ? `@media ${media} {\n${body.split('\n').map(line => `\t${line}`).join('\n')}\n}` : body;
+
+		return comment ? `/* ${comment} */\n${rule}` : rule;
+	}
+}
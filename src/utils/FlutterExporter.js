@@ -0,0 +1,138 @@
+import { FormatUtils } from './format.js';
+import { DART_RESERVED_WORDS, FLUTTER_COLOR_SCHEME_ROLES } from '../constants/materialDesign.js';
+
+const formatUtils = new FormatUtils();
+
+// Generated Dart follows dart format (2 space indentation)
+const INDENT = '  ';
+
+/**
+ * Flutter theme export
+ *
+ * One const ColorScheme per mode (lightColorScheme, darkHighContrastColorScheme) with every role
+ * Flutter has a parameter for, extended colors as an ExtendedColors ThemeExtension with one
+ * const instance per mode, and a ThemeData per mode wiring both. Tonal palette tones are
+ * constants of a TonalPalettes class (TonalPalettes.primary40).
+ */
+export class FlutterExporter {
+	/**
+	 * Convert a result to a Dart library
+	 * @param {Object} result - Unformatted result, already filtered by the tonal palette toggle
+	 * @returns {string} Dart source
+	 */
+	static toDart(result) {
+		const modes = Object.keys(result?.schemes || {});
+		const extendedRoles = FormatUtils.getExtendedRoles(result);
+		const hasExtendedColors = extendedRoles.length > 0;
+		const name = mode => formatUtils.formatCodeIdentifier(mode);
+
+		const colorSchemes = modes.map(mode => {
+			const roles = Object.keys(FLUTTER_COLOR_SCHEME_ROLES).filter(role => role in result.schemes[mode]);
+			return this.call(`const ${name(mode)}ColorScheme = ColorScheme`, [
+				`brightness: Brightness.${/^dark/i.test(mode) ? 'dark' : 'light'}`,
+				...roles.map(role => `${FLUTTER_COLOR_SCHEME_ROLES[role]}: ${this.toColor(result.schemes[mode][role])}`)
+			]) + ';';
+		});
+
+		const extendedColors = hasExtendedColors ? [
+			this.toExtensionClass(extendedRoles),
+			...modes.map(mode => this.call(`const ${name(mode)}ExtendedColors = ExtendedColors`,
+				extendedRoles.map(role => `${this.identifier(role)}: ${this.toColor(result.schemes[mode][role])}`)) + ';')
+		] : [];
+
+		const themes = modes.map(mode => this.call(`final ${name(mode)}Theme = ThemeData`, [
+			`colorScheme: ${name(mode)}ColorScheme`,
+			...(hasExtendedColors ? [`extensions: const [${name(mode)}ExtendedColors]`] : [])
+		]) + ';');
+
+		return [
+			'// Material color tokens for Flutter: MaterialApp(theme: lightTheme, darkTheme: darkTheme)',
+			`import 'package:flutter/material.dart';`,
+			...colorSchemes,
+			...extendedColors,
+			...themes,
+			...(result?.tonalPalettes ? [this.toPaletteClass(result.tonalPalettes)] : [])
+		].join('\n\n') + '\n';
+	}
+
+	/**
+	 * ExtendedColors ThemeExtension with one field per extended role
+	 * @param {Array<string>} roles - Extended roles
+	 * @returns {string} Dart class
+	 */
+	static toExtensionClass(roles) {
+		const fields = roles.map(role => this.identifier(role));
+		const indent = depth => INDENT.repeat(depth);
+
+		return [
+			'/// Extended colors: read them with Theme.of(context).extension<ExtendedColors>()!.<name>',
+			'@immutable',
+			'class ExtendedColors extends ThemeExtension<ExtendedColors> {',
+			`${indent(1)}const ExtendedColors({`,
+			...fields.map(field => `${indent(2)}required this.${field},`),
+			`${indent(1)}});`,
+			'',
+			...fields.map(field => `${indent(1)}final Color ${field};`),
+			'',
+			`${indent(1)}@override`,
+			`${indent(1)}ExtendedColors copyWith({`,
+			...fields.map(field => `${indent(2)}Color? ${field},`),
+			`${indent(1)}}) {`,
+			`${indent(2)}return ExtendedColors(`,
+			...fields.map(field => `${indent(3)}${field}: ${field} ?? this.${field},`),
+			`${indent(2)});`,
+			`${indent(1)}}`,
+			'',
+			`${indent(1)}@override`,
+			`${indent(1)}ExtendedColors lerp(covariant ThemeExtension<ExtendedColors>? other, double t) {`,
+			`${indent(2)}if (other is! ExtendedColors) {`,
+			`${indent(3)}return this;`,
+			`${indent(2)}}`,
+			`${indent(2)}return ExtendedColors(`,
+			...fields.map(field => `${indent(3)}${field}: Color.lerp(${field}, other.${field}, t)!,`),
+			`${indent(2)});`,
+			`${indent(1)}}`,
+			'}'
+		].join('\n');
+	}
+
+	/**
+	 * TonalPalettes class with a constant per palette tone
+	 */
+	static toPaletteClass(tonalPalettes) {
+		return [
+			'/// Tonal palette tones',
+			'abstract final class TonalPalettes {',
+			...Object.entries(tonalPalettes).flatMap(([palette, tones]) =>
+				Object.entries(tones).map(([tone, color]) =>
+					`${INDENT}static const ${formatUtils.formatCodeIdentifier(palette)}${tone} = ${this.toColor(color)};`
+				)
+			),
+			'}'
+		].join('\n');
+	}
+
+	/**
+	 * Dart identifier of an extended role, with a trailing underscore when it's a reserved word
+	 */
+	static identifier(role) {
+		const identifier = formatUtils.formatCodeIdentifier(role);
+		return DART_RESERVED_WORDS.includes(identifier) ? `${identifier}_` : identifier;
+	}
+
+	/**
+	 * Hex color (#RRGGBB or #RRGGBBAA) as a Dart Color(0xAARRGGBB)
+	 */
+	static toColor(hex) {
+		const value = hex.replace('#', '').toUpperCase();
+		const alpha = value.length === 8 ? value.slice(6) : 'FF';
+		return `Color(0x${alpha}${value.slice(0, 6)})`;
+	}
+
+	/**
+	 * Dart call with one named argument per line and trailing commas, as dart format writes it
+	 */
+	static call(head, args) {
+		return `${head}(\n${args.map(arg => `${INDENT}${arg},`).join('\n')}\n)`;
+	}
+}
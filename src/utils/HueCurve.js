@@ -0,0 +1,69 @@
+/**
+ * Hue offset curves across tones
+ *
+ * A curve is { type, points } where points are { tone, offset } pairs sorted by tone.
+ * 'linear' interpolates straight segments, 'bezier' joins the points with cubic
+ * Bezier segments whose handles are monotone-limited, so the curve never overshoots
+ * the offsets the user placed. Outside the first and last point the offset is held.
+ */
+export class HueCurve {
+	/**
+	 * Get the hue offset for a tone
+	 * @param {Object|null} curve - Validated hue curve
+	 * @param {number} tone - Tone (0-100)
+	 * @returns {number} Hue offset in degrees (0 without a curve)
+	 */
+	static getOffset(curve, tone) {
+		const points = curve?.points;
+		if (!points?.length) return 0;
+
+		const last = points.length - 1;
+		if (tone <= points[0].tone) return points[0].offset;
+		if (tone >= points[last].tone) return points[last].offset;
+
+		const index = points.findIndex(point => point.tone > tone) - 1;
+		const start = points[index];
+		const end = points[index + 1];
+		const width = end.tone - start.tone;
+		const t = (tone - start.tone) / width;
+
+		if (curve.type !== 'bezier') {
+			return start.offset + (end.offset - start.offset) * t;
+		}
+
+		// Cubic Bezier with handles a third of the way along each tangent (Hermite form)
+		const slopes = this.getSlopes(points);
+		const handleStart = start.offset + slopes[index] * width / 3;
+		const handleEnd = end.offset - slopes[index + 1] * width / 3;
+		const u = 1 - t;
+
+		return u * u * u * start.offset
+			+ 3 * u * u * t * handleStart
+			+ 3 * u * t * t * handleEnd
+			+ t * t * t * end.offset;
+	}
+
+	/**
+	 * Monotone tangents for every point (Fritsch-Carlson)
+	 * Flat at local peaks and valleys, so offsets stay between neighbouring points
+	 * @param {Array<{tone: number, offset: number}>} points - Sorted points
+	 * @returns {Array<number>} Slope in degrees per tone for each point
+	 */
+	static getSlopes(points) {
+		const secants = points.slice(1).map((point, i) =>
+			(point.offset - points[i].offset) / (point.tone - points[i].tone)
+		);
+
+		return points.map((_, i) => {
+			if (i === 0) return secants[0] ?? 0;
+			if (i === points.length - 1) return secants[i - 1];
+
+			const before = secants[i - 1];
+			const after = secants[i];
+			if (before * after <= 0) return 0;
+
+			// Harmonic mean keeps the segment monotone
+			return 2 / (1 / before + 1 / after);
+		});
+	}
+}
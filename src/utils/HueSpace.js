@@ -0,0 +1,90 @@
+import { formatHex, converter, inGamut, clampChroma } from 'culori';
+import { argbFromHex, hexFromArgb, Hct } from '@materialx/material-color-utilities';
+import { DEFAULT_HUE_SPACE } from '../constants/materialDesign.js';
+
+const isInSrgb = inGamut('rgb');
+
+// HCT solves to integer ARGB, so a reachable chroma can come back slightly lower
+const HCT_CHROMA_TOLERANCE = 1;
+
+/**
+ * Cylindrical color space hue preservation works in
+ *
+ * Colors are plain { mode, l, c, h } objects in the space's own scale
+ * (OKLCH lightness 0-1, CIELCh L* 0-100, HCT tone 0-100), so the post-processor
+ * can run the same hue pinning and scheme regeneration flow in any of them.
+ */
+export class HueSpace {
+	/**
+	 * @param {Object} strategy - Space implementation
+	 * @param {string} strategy.name - HUE_SPACE_OPTIONS value
+	 * @param {number} strategy.minChroma - Chroma below which a tone's hue is too noisy to use as reference
+	 * @param {Function} strategy.fromHex - Convert hex to a color in this space (null if conversion fails)
+	 * @param {Function} strategy.toHex - Convert a color in this space to lowercase hex
+	 * @param {Function} strategy.inGamut - Check whether a color fits in sRGB
+	 * @param {Function} strategy.clampChroma - Reduce chroma until the color fits in sRGB
+	 */
+	constructor({ name, minChroma, fromHex, toHex, inGamut, clampChroma }) {
+		this.name = name;
+		this.minChroma = minChroma;
+		this.fromHex = fromHex;
+		this.toHex = toHex;
+		this.inGamut = inGamut;
+		this.clampChroma = clampChroma;
+	}
+
+	/**
+	 * Get a hue space by HUE_SPACE_OPTIONS value
+	 * @param {string} name - Hue space name
+	 * @returns {HueSpace} Requested space, OKLCH if unknown
+	 */
+	static get(name) {
+		return HUE_SPACES[name] || HUE_SPACES[DEFAULT_HUE_SPACE];
+	}
+
+	/**
+	 * Create a space backed by a culori polar mode
+	 * @param {string} name - Hue space name
+	 * @param {string} mode - culori mode ('oklch', 'lch'...)
+	 * @param {number} minChroma - Reference hue chroma threshold
+	 * @returns {HueSpace} Hue space
+	 */
+	static fromCulori(name, mode, minChroma) {
+		const toSpace = converter(mode);
+
+		return new HueSpace({
+			name,
+			minChroma,
+			fromHex: hex => toSpace(hex) || null,
+			toHex: color => formatHex(color).toLowerCase(),
+			inGamut: color => isInSrgb(color),
+			clampChroma: color => clampChroma(color, mode)
+		});
+	}
+}
+
+/**
+ * CAM16 hue and chroma with L* tone, the space Material palettes are built in
+ * Hct.from already solves to the closest in-gamut color at the requested hue and tone.
+ */
+const cam16 = new HueSpace({
+	name: 'CAM16',
+	minChroma: 4,
+	fromHex: hex => {
+		const hct = Hct.fromInt(argbFromHex(hex));
+		return { mode: 'hct', l: hct.tone, c: hct.chroma, h: hct.hue };
+	},
+	toHex: color => hexFromArgb(Hct.from(color.h ?? 0, color.c, color.l).toInt()).toLowerCase(),
+	inGamut: color => Hct.from(color.h ?? 0, color.c, color.l).chroma >= color.c - HCT_CHROMA_TOLERANCE,
+	clampChroma: color => {
+		const hct = Hct.from(color.h ?? 0, color.c, color.l);
+		return { mode: 'hct', l: hct.tone, c: hct.chroma, h: hct.hue };
+	}
+});
+
+const HUE_SPACES = {
+	OKLCH: HueSpace.fromCulori('OKLCH', 'oklch', 0.02),
+	// CSS Lab/LCh (D50), the space spectrophotometer and brand book values are usually given in
+	CIELCH: HueSpace.fromCulori('CIELCH', 'lch', 4),
+	CAM16: cam16
+};
@@ -0,0 +1,98 @@
+import {
+	argbFromRgb,
+	hexFromArgb,
+	differenceDegrees,
+	Hct,
+	QuantizerCelebi,
+	Score
+} from '@materialx/material-color-utilities';
+
+/**
+ * Extracts theme colors from image pixels
+ * Uses the same quantizer/score algorithms as material-color-utilities' sourceColorFromImage,
+ * but keeps several ranked candidates instead of only the top one
+ */
+export class ImageColorExtractor {
+	// Same quantization depth as sourceColorFromImageBytes
+	static MAX_QUANTIZED_COLORS = 128;
+
+	// Extended color suggestions must be colorful and distinct in hue from the seeds
+	static MIN_EXTENDED_CHROMA = 16;
+	static MIN_EXTENDED_HUE_DISTANCE = 20;
+
+	// Extended colors added from suggestions are numbered: Image color 1, Image color 2...
+	static EXTENDED_COLOR_NAME = 'Image color';
+
+	/**
+	 * Extract seed candidates and extended color suggestions from RGBA bytes
+	 * @param {Uint8ClampedArray} imageBytes - RGBA bytes (e.g. ImageData.data)
+	 * @param {Object} options - Extraction options
+	 * @param {number} options.seedCount - Maximum number of seed candidates (default: 4)
+	 * @param {number} options.extendedCount - Maximum number of extended color suggestions (default: 3)
+	 * @returns {{seeds: Array<string>, extended: Array<string>}} Hex colors, best first
+	 */
+	static extractFromImageBytes(imageBytes, options = {}) {
+		const { seedCount = 4, extendedCount = 3 } = options;
+		const pixels = [];
+
+		for (let i = 0; i < imageBytes.length; i += 4) {
+			// Skip transparent pixels, like sourceColorFromImageBytes does
+			if (imageBytes[i + 3] < 255) continue;
+			pixels.push(argbFromRgb(imageBytes[i], imageBytes[i + 1], imageBytes[i + 2]));
+		}
+
+		if (pixels.length === 0) {
+			return { seeds: [], extended: [] };
+		}
+
+		const quantized = QuantizerCelebi.quantize(pixels, this.MAX_QUANTIZED_COLORS);
+
+		// Score always returns at least one color (Google Blue if nothing is suitable)
+		const seeds = Score.score(quantized, { desired: seedCount });
+		const extended = this.pickExtendedColors(quantized, seeds, extendedCount);
+
+		return {
+			seeds: seeds.map(argb => hexFromArgb(argb)),
+			extended: extended.map(argb => hexFromArgb(argb))
+		};
+	}
+
+	/**
+	 * Pick prominent colors that aren't already covered by the seed candidates
+	 * @param {Map<number, number>} quantized - Quantized colors to pixel counts
+	 * @param {Array<number>} seeds - Seed candidates in ARGB format
+	 * @param {number} count - Maximum number of colors to return
+	 * @returns {Array<number>} Colors in ARGB format, most prominent first
+	 */
+	static pickExtendedColors(quantized, seeds, count) {
+		const takenHues = seeds.map(argb => Hct.fromInt(argb).hue);
+		const picks = [];
+		const byPopulation = [...quantized.entries()].sort((a, b) => b[1] - a[1]);
+
+		for (const [argb] of byPopulation) {
+			if (picks.length >= count) break;
+
+			const hct = Hct.fromInt(argb);
+			if (hct.chroma < this.MIN_EXTENDED_CHROMA) continue;
+			if (takenHues.some(hue => differenceDegrees(hue, hct.hue) < this.MIN_EXTENDED_HUE_DISTANCE)) continue;
+
+			picks.push(argb);
+			takenHues.push(hct.hue);
+		}
+
+		return picks;
+	}
+
+	/**
+	 * Name of an extended color added from a suggestion, unused by the current extended colors
+	 * Role names are lowercased, so names differing only in case would collide
+	 * @param {Array<string>} takenNames - Names of the current extended colors
+	 * @returns {string} First free "Image color N"
+	 */
+	static getExtendedColorName(takenNames) {
+		const taken = new Set(takenNames.map(name => name.trim().toLowerCase()));
+		let number = 1;
+		while (taken.has(`${this.EXTENDED_COLOR_NAME} ${number}`.toLowerCase())) number++;
+		return `${this.EXTENDED_COLOR_NAME} ${number}`;
+	}
+}
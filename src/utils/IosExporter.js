@@ -0,0 +1,145 @@
+import { FormatUtils } from './format.js';
+import { IOS_ASSET_CATALOG, IOS_PALETTE_FOLDER, SWIFT_KEYWORDS } from '../constants/materialDesign.js';
+
+const formatUtils = new FormatUtils();
+
+// Generated Swift follows the Swift style guide (4 space indentation)
+const INDENT = '    ';
+
+// Contents.json info block Xcode writes
+const CATALOG_INFO = { author: 'xcode', version: 1 };
+
+/**
+ * iOS asset catalog and SwiftUI export
+ *
+ * Every role gets a colorset (onPrimary.colorset) with the light scheme as the "any" appearance
+ * and the dark scheme as the "dark" one; high contrast schemes fill the high contrast
+ * appearances. Medium contrast has no iOS appearance and only stands in when it's the sole
+ * contrast level. Tonal palette tones are colorsets of a Palettes folder, and Color+Theme.swift
+ * names them all (Color.Theme.onPrimary, Color.TonalPalette.primary40).
+ */
+export class IosExporter {
+	/**
+	 * Convert a result to the files of the iOS bundle
+	 * @param {Object} result - Unformatted result, already filtered by the tonal palette toggle
+	 * @returns {Object<string, string>} File contents by path
+	 */
+	static toFiles(result) {
+		const catalog = `${IOS_ASSET_CATALOG}.xcassets`;
+		const appearances = this.getAppearances(result);
+		const roles = [...new Set(appearances.flatMap(({ mode }) => Object.keys(result.schemes[mode])))];
+		const files = { [`${catalog}/Contents.json`]: this.toJson({ info: CATALOG_INFO }) };
+
+		for (const role of roles) {
+			const colors = appearances
+				.filter(({ mode }) => result.schemes[mode][role])
+				.map(({ mode, appearance }) => this.colorEntry(result.schemes[mode][role], appearance));
+			files[`${catalog}/${formatUtils.formatCodeIdentifier(role)}.colorset/Contents.json`] = this.toJson({ colors, info: CATALOG_INFO });
+		}
+
+		if (result?.tonalPalettes) {
+			// Namespaced folder: assets are named Palettes/primary40
+			files[`${catalog}/${IOS_PALETTE_FOLDER}/Contents.json`] = this.toJson({ info: CATALOG_INFO, properties: { 'provides-namespace': true } });
+			for (const [name, color] of this.getPaletteColors(result)) {
+				files[`${catalog}/${IOS_PALETTE_FOLDER}/${name}.colorset/Contents.json`] = this.toJson({ colors: [this.colorEntry(color, [])], info: CATALOG_INFO });
+			}
+		}
+
+		files['Color+Theme.swift'] = this.toSwift(roles, result);
+		return files;
+	}
+
+	/**
+	 * Scheme mode of each asset catalog appearance
+	 * @param {Object} result - Unformatted result
+	 * @returns {Array<{mode: string, appearance: Array<Object>}>} Modes with their appearance conditions, "any" first
+	 */
+	static getAppearances(result) {
+		const modes = Object.keys(result?.schemes || {});
+		const find = (dark, contrast) => modes.find(mode => FormatUtils.getModeName(mode) === [dark ? 'Dark' : 'Light', contrast].filter(Boolean).join(' '));
+		const fallback = dark => modes.find(mode => /^dark/i.test(mode) === dark);
+		const dark = { appearance: 'luminosity', value: 'dark' };
+		const high = { appearance: 'contrast', value: 'high' };
+
+		const light = find(false) || fallback(false);
+		const darkMode = find(true) || fallback(true);
+		const entries = [
+			{ mode: light, appearance: [] },
+			{ mode: darkMode, appearance: [dark] }
+		];
+
+		// High contrast appearances only complement standard schemes, else the high schemes are the base ones
+		if (find(false)) entries.push({ mode: find(false, 'High Contrast'), appearance: [high] });
+		if (find(true)) entries.push({ mode: find(true, 'High Contrast'), appearance: [dark, high] });
+
+		return entries.filter(({ mode }) => mode);
+	}
+
+	/**
+	 * Asset name and hex of every tonal palette tone
+	 * @returns {Array<[string, string]>} Name (e.g. primary40) and hex
+	 */
+	static getPaletteColors(result) {
+		return Object.entries(result?.tonalPalettes || {}).flatMap(([palette, tones]) =>
+			Object.entries(tones).map(([tone, color]) => [`${formatUtils.formatCodeIdentifier(palette)}${tone}`, color])
+		);
+	}
+
+	/**
+	 * Colorset entry of a color under appearance conditions
+	 * @param {string} hex - Color (#RRGGBB or #RRGGBBAA)
+	 * @param {Array<Object>} appearances - Appearance conditions, empty for "any"
+	 * @returns {Object} Entry of the colors array
+	 */
+	static colorEntry(hex, appearances) {
+		const value = hex.replace('#', '').toUpperCase();
+		const [red, green, blue] = [0, 2, 4].map(index => `0x${value.slice(index, index + 2)}`);
+		const alpha = value.length === 8 ? parseInt(value.slice(6), 16) / 255 : 1;
+
+		return {
+			...(appearances.length ? { appearances } : {}),
+			color: {
+				'color-space': 'srgb',
+				components: { alpha: alpha.toFixed(3), blue, green, red }
+			},
+			idiom: 'universal'
+		};
+	}
+
+	/**
+	 * Color+Theme.swift: a SwiftUI Color per colorset
+	 * @param {Array<string>} roles - Roles with a colorset
+	 * @param {Object} result - Unformatted result
+	 * @returns {string} Swift source
+	 */
+	static toSwift(roles, result) {
+		const namespace = (name, colors) => [
+			`${INDENT}enum ${name} {`,
+			...colors.map(([property, asset]) => `${INDENT.repeat(2)}static let ${property} = Color("${asset}")`),
+			`${INDENT}}`
+		].join('\n');
+		const roleColors = roles.map(role => formatUtils.formatCodeIdentifier(role))
+			.map(name => [SWIFT_KEYWORDS.includes(name) ? `\`${name}\`` : name, name]);
+		const paletteColors = this.getPaletteColors(result).map(([name]) => [name, `${IOS_PALETTE_FOLDER}/${name}`]);
+
+		return [
+			'import SwiftUI',
+			'',
+			`// Colors of ${IOS_ASSET_CATALOG}.xcassets, switching to dark and high contrast with the system: Color.Theme.primary`,
+			'extension Color {',
+			[
+				namespace('Theme', roleColors),
+				...(paletteColors.length ? [namespace('TonalPalette', paletteColors)] : [])
+			].join('\n\n'),
+			'}',
+			''
+		].join('\n');
+	}
+
+	/**
+	 * Contents.json text, indented like Xcode writes it
+	 */
+	static toJson(contents) {
+		return `${JSON.stringify(contents, null, 2)}\n`;
+	}
+}
@@ -1,7 +1,6 @@
 import {
 	argbFromHex,
 	hexFromArgb,
-	themeFromSourceColor,
 	Hct,
 	DynamicScheme,
 	Variant,
@@ -13,10 +12,21 @@ import {
 
 import {
 	STYLE_OPTIONS,
+	CONTRAST_OPTIONS,
+	CONTRAST_ALL,
+	DEFAULT_CONTRAST,
+	EXCLUDED_DYNAMIC_COLORS,
+	LEGACY_COLOR_ROLES,
+	SPEC_2025_COLOR_ROLES,
 	STATE_LAYER_OPACITIES,
+	STATE_LAYER_CONTENT_ROLES,
+	DEFAULT_STATE_LAYER_ROLES,
+	DEFAULT_EXTENDED_STATE_LAYER_ROLES,
+	EXTENDED_COLOR_ROLES,
 	TONAL_VALUES,
 	VALID_COLOR_ROLES
 } from '../constants/materialDesign.js';
+import { OklchPalette } from './OklchPalette.js';
 
 /**
  * Generator for Material Design color schemes and palettes
@@ -28,6 +38,12 @@ export class MaterialColorGenerator {
 			mapping[option.value] = Variant[option.value];
 			return mapping;
 		}, {});
+
+		// Full catalogue of Material dynamic colors, spec-aware per scheme
+		this.dynamicColors = new MaterialDynamicColors();
+
+		// OKLCH palettes by HCT palette instance, then chroma curve
+		this.oklchPalettes = new WeakMap();
 	}
 
 	/**
@@ -38,7 +54,10 @@ export class MaterialColorGenerator {
 	 */
 	async generateColorScheme(parsedData, extendedColors = []) {
 		try {
-			const { seedColor, style, colorSpec, customCoreColors } = parsedData;
+			const { seedColor, style, colorSpec, contrast, includeLegacyRoles, tones, stateLayers: stateLayerOptions, customCoreColors, wideGamut, paletteMode, chromaCurve } = parsedData;
+
+			// OKLCH palettes replace HCT tones, scheme roles keep Material's tone mappings
+			const oklchChromaCurve = paletteMode === 'OKLCH' ? chromaCurve : null;
 
 			// Convert seed colour to ARGB and HCT
 			const seedArgb = argbFromHex(seedColor);
@@ -47,49 +66,78 @@ export class MaterialColorGenerator {
 			// Determine specification
 			const specVersion = colorSpec === 'SPEC_2025' ? SpecVersion.SPEC_2025 : SpecVersion.SPEC_2021;
 
-			// Create dynamic scheme variants with custom color overrides
+			// Create dynamic scheme variants with custom color overrides, one per mode
 			const variant = this.styleMapping[style] ?? Variant.TONAL_SPOT;
-			const lightScheme = this.createCustomDynamicScheme(seedHct, variant, false, specVersion, customCoreColors);
-			const darkScheme = this.createCustomDynamicScheme(seedHct, variant, true, specVersion, customCoreColors);
+			const modes = this.getSchemeModes(contrast);
+			const dynamicSchemes = {};
+			const schemes = {};
 
-			// Generate color schemes
-			const lightColors = this.generateSchemeColors(lightScheme);
-			const darkColors = this.generateSchemeColors(darkScheme);
+			modes.forEach(({ key, isDark, contrastLevel }) => {
+				dynamicSchemes[key] = this.createCustomDynamicScheme(seedHct, variant, isDark, specVersion, customCoreColors, contrastLevel);
+
+				// Generate color scheme for this mode
+				schemes[key] = this.generateSchemeColors(dynamicSchemes[key], { includeLegacyRoles, chromaCurve: oklchChromaCurve });
+			});
 
-			// Generate state layers
-			const lightStateLayers = this.generateStateLayers(lightColors);
-			const darkStateLayers = this.generateStateLayers(darkColors);
+			// Palettes don't depend on contrast level, so any light scheme works for extraction
+			const paletteScheme = dynamicSchemes[modes.find(mode => !mode.isDark).key];
 
 			// Generate tonal palettes with custom core colors support
-			const tonalPalettes = this.generateTonalPalettes(lightScheme, extendedColors, customCoreColors, seedArgb);
+			const tonalPalettes = this.generateTonalPalettes(paletteScheme, extendedColors, customCoreColors, seedArgb, tones, oklchChromaCurve);
 
 			// Process extended colors
 			if (extendedColors && extendedColors.length > 0) {
-				this.processExtendedColors(extendedColors, lightColors, darkColors, lightStateLayers, darkStateLayers, tonalPalettes, seedArgb, lightScheme, darkScheme);
+				this.processExtendedColors(extendedColors, schemes, seedArgb, { variant, specVersion, modes, chromaCurve: oklchChromaCurve });
 			}
 
+			// State layers are built from the final scheme colors, extended colors included
+			const stateLayers = this.generateModeStateLayers(schemes, stateLayerOptions, extendedColors);
+
 			// Collect source colors for each palette (for OKLCH post-processing)
-			const sourceColors = this.collectSourceColors(seedColor, customCoreColors, extendedColors, tonalPalettes);
-
-			return {
-				schemes: {
-					light: lightColors,
-					dark: darkColors
-				},
-				stateLayers: {
-					light: lightStateLayers,
-					dark: darkStateLayers
-				},
+			const sourceColors = this.collectSourceColors(seedColor, customCoreColors, extendedColors, paletteScheme);
+
+			const result = {
+				schemes: schemes,
+				stateLayers: stateLayers,
 				tonalPalettes: tonalPalettes,
 				sourceColors: sourceColors
 			};
 
+			// Unclamped colors for wide gamut mapping (internal, like sourceColors)
+			if (wideGamut) {
+				result.colorIntents = this.collectColorIntents(dynamicSchemes, paletteScheme, extendedColors, seedArgb, {
+					variant, specVersion, modes, includeLegacyRoles, tones, chromaCurve: oklchChromaCurve
+				});
+			}
+
+			return result;
+
 		} catch (error) {
 			console.error('Error generating color scheme:', error);
-			throw new Error('Failed to generate color scheme');
+			throw new Error('Failed to generate color scheme', { cause: error });
 		}
 	}
 
+	/**
+	 * Resolve which scheme modes to generate for a contrast selection
+	 * Standard contrast keeps the plain 'light'/'dark' keys, other levels get a suffix
+	 * (e.g. 'lightMediumContrast', 'darkHighContrast')
+	 * @param {string} contrast - Contrast option value or CONTRAST_ALL
+	 * @returns {Array<{key: string, isDark: boolean, contrastLevel: number}>} Scheme modes
+	 */
+	getSchemeModes(contrast = DEFAULT_CONTRAST) {
+		const selectedOptions = contrast === CONTRAST_ALL
+			? CONTRAST_OPTIONS
+			: CONTRAST_OPTIONS.filter(option => option.value === contrast);
+		const options = selectedOptions.length > 0 ? selectedOptions : CONTRAST_OPTIONS.filter(option => option.value === DEFAULT_CONTRAST);
+
+		return options.flatMap(option => [false, true].map(isDark => ({
+			key: `${isDark ? 'dark' : 'light'}${option.modeSuffix}`,
+			isDark: isDark,
+			contrastLevel: option.level
+		})));
+	}
+
 	/**
 	 * Create DynamicScheme with custom color role overrides
 	 * @param {Hct} sourceColorHct - Source color in HCT format
@@ -97,14 +145,15 @@ export class MaterialColorGenerator {
 	 * @param {boolean} isDark - Whether scheme is dark
 	 * @param {number} specVersion - Specification version
 	 * @param {Object} customColors - Custom color role overrides
+	 * @param {number} contrastLevel - Contrast level from -1 to 1 (0 is standard)
 	 * @returns {DynamicScheme} Dynamic scheme with custom overrides
 	 */
-	createCustomDynamicScheme(sourceColorHct, variant, isDark, specVersion, customColors = {}) {
+	createCustomDynamicScheme(sourceColorHct, variant, isDark, specVersion, customColors = {}, contrastLevel = 0.0) {
 		const schemeOptions = {
 			sourceColorHct: sourceColorHct,
 			variant: variant,
 			isDark: isDark,
-			contrastLevel: 0.0,
+			contrastLevel: contrastLevel,
 			specVersion: specVersion
 		};
 
@@ -184,162 +233,269 @@ export class MaterialColorGenerator {
 
 	/**
 	 * Generate scheme colors for light/dark mode
+	 * Roles come from the full MaterialDynamicColors catalogue for the scheme's spec
 	 * @param {DynamicScheme} scheme - Dynamic scheme instance
+	 * @param {Object} options - Generation options
+	 * @param {boolean} options.includeLegacyRoles - Include deprecated roles like background and surfaceVariant (default: true)
+	 * @param {string|null} options.chromaCurve - Read roles from OKLCH palettes with this chroma curve (default: HCT palettes)
 	 * @returns {Object} Color scheme object
 	 */
-	generateSchemeColors(scheme) {
+	generateSchemeColors(scheme, options = {}) {
+		const { includeLegacyRoles = true, chromaCurve = null } = options;
 		const colors = {};
 		
-		// Primary colors
-		colors.primary = hexFromArgb(MaterialDynamicColors.primary.getArgb(scheme));
-		colors.onPrimary = hexFromArgb(MaterialDynamicColors.onPrimary.getArgb(scheme));
-		colors.primaryContainer = hexFromArgb(MaterialDynamicColors.primaryContainer.getArgb(scheme));
-		colors.onPrimaryContainer = hexFromArgb(MaterialDynamicColors.onPrimaryContainer.getArgb(scheme));
-
-		// Secondary colors
-		colors.secondary = hexFromArgb(MaterialDynamicColors.secondary.getArgb(scheme));
-		colors.onSecondary = hexFromArgb(MaterialDynamicColors.onSecondary.getArgb(scheme));
-		colors.secondaryContainer = hexFromArgb(MaterialDynamicColors.secondaryContainer.getArgb(scheme));
-		colors.onSecondaryContainer = hexFromArgb(MaterialDynamicColors.onSecondaryContainer.getArgb(scheme));
-
-		// Tertiary colors
-		colors.tertiary = hexFromArgb(MaterialDynamicColors.tertiary.getArgb(scheme));
-		colors.onTertiary = hexFromArgb(MaterialDynamicColors.onTertiary.getArgb(scheme));
-		colors.tertiaryContainer = hexFromArgb(MaterialDynamicColors.tertiaryContainer.getArgb(scheme));
-		colors.onTertiaryContainer = hexFromArgb(MaterialDynamicColors.onTertiaryContainer.getArgb(scheme));
-
-		// Error colors
-		colors.error = hexFromArgb(MaterialDynamicColors.error.getArgb(scheme));
-		colors.onError = hexFromArgb(MaterialDynamicColors.onError.getArgb(scheme));
-		colors.errorContainer = hexFromArgb(MaterialDynamicColors.errorContainer.getArgb(scheme));
-		colors.onErrorContainer = hexFromArgb(MaterialDynamicColors.onErrorContainer.getArgb(scheme));
-
-		// Surface colors
-		colors.surface = hexFromArgb(MaterialDynamicColors.surface.getArgb(scheme));
-		colors.onSurface = hexFromArgb(MaterialDynamicColors.onSurface.getArgb(scheme));
-
-		// Additional surface colors
-		colors.surfaceDim = hexFromArgb(MaterialDynamicColors.surfaceDim.getArgb(scheme));
-		colors.surfaceBright = hexFromArgb(MaterialDynamicColors.surfaceBright.getArgb(scheme));
-		colors.surfaceContainerLowest = hexFromArgb(MaterialDynamicColors.surfaceContainerLowest.getArgb(scheme));
-		colors.surfaceContainerLow = hexFromArgb(MaterialDynamicColors.surfaceContainerLow.getArgb(scheme));
-		colors.surfaceContainer = hexFromArgb(MaterialDynamicColors.surfaceContainer.getArgb(scheme));
-		colors.surfaceContainerHigh = hexFromArgb(MaterialDynamicColors.surfaceContainerHigh.getArgb(scheme));
-		colors.surfaceContainerHighest = hexFromArgb(MaterialDynamicColors.surfaceContainerHighest.getArgb(scheme));
-
-
-		// Outline colors
-		colors.outline = hexFromArgb(MaterialDynamicColors.outline.getArgb(scheme));
-		colors.outlineVariant = hexFromArgb(MaterialDynamicColors.outlineVariant.getArgb(scheme));
-
-		// Fixed colors
-		colors.primaryFixed = hexFromArgb(MaterialDynamicColors.primaryFixed.getArgb(scheme));
-		colors.primaryFixedDim = hexFromArgb(MaterialDynamicColors.primaryFixedDim.getArgb(scheme));
-		colors.onPrimaryFixed = hexFromArgb(MaterialDynamicColors.onPrimaryFixed.getArgb(scheme));
-		colors.onPrimaryFixedVariant = hexFromArgb(MaterialDynamicColors.onPrimaryFixedVariant.getArgb(scheme));
-
-		colors.secondaryFixed = hexFromArgb(MaterialDynamicColors.secondaryFixed.getArgb(scheme));
-		colors.secondaryFixedDim = hexFromArgb(MaterialDynamicColors.secondaryFixedDim.getArgb(scheme));
-		colors.onSecondaryFixed = hexFromArgb(MaterialDynamicColors.onSecondaryFixed.getArgb(scheme));
-		colors.onSecondaryFixedVariant = hexFromArgb(MaterialDynamicColors.onSecondaryFixedVariant.getArgb(scheme));
-
-		colors.tertiaryFixed = hexFromArgb(MaterialDynamicColors.tertiaryFixed.getArgb(scheme));
-		colors.tertiaryFixedDim = hexFromArgb(MaterialDynamicColors.tertiaryFixedDim.getArgb(scheme));
-		colors.onTertiaryFixed = hexFromArgb(MaterialDynamicColors.onTertiaryFixed.getArgb(scheme));
-		colors.onTertiaryFixedVariant = hexFromArgb(MaterialDynamicColors.onTertiaryFixedVariant.getArgb(scheme));
-
-		// Scrim and shadow
-		colors.scrim = hexFromArgb(MaterialDynamicColors.scrim.getArgb(scheme));
-		colors.shadow = hexFromArgb(MaterialDynamicColors.shadow.getArgb(scheme));
-
-		// Inverse colors
-		colors.inverseSurface = hexFromArgb(MaterialDynamicColors.inverseSurface.getArgb(scheme));
-		colors.inverseOnSurface = hexFromArgb(MaterialDynamicColors.inverseOnSurface.getArgb(scheme));
-		colors.inversePrimary = hexFromArgb(MaterialDynamicColors.inversePrimary.getArgb(scheme));
-
+		this.dynamicColors.allDynamicColors.forEach(dynamicColor => {
+			// Catalogue names are snake_case (e.g. "on_surface_variant")
+			const role = this.toCamelCase(dynamicColor.name);
+			
+			if (!this.isSchemeRole(role, scheme.specVersion, includeLegacyRoles)) {
+				return;
+			}
+			
+			colors[role] = this.getDynamicColorHex(dynamicColor, scheme, chromaCurve);
+		});
+		
 		return colors;
 	}
 
 	/**
-	 * Generate state layers with opacity values
-	 * @param {Object} colors - Base colors object
-	 * @returns {Object} State layers with opacity values
+	 * Get the sRGB color of a dynamic color in a scheme
+	 * With OKLCH palettes the role keeps the tone Material picks for it (contrast, tone
+	 * delta pairs) and reads that tone from the OKLCH version of its palette
+	 * @param {DynamicColor} dynamicColor - Dynamic color
+	 * @param {DynamicScheme} scheme - Scheme to resolve it in
+	 * @param {string|null} chromaCurve - OKLCH palette chroma curve, null for HCT palettes
+	 * @returns {string} Hex color
+	 */
+	getDynamicColorHex(dynamicColor, scheme, chromaCurve = null) {
+		if (!chromaCurve) {
+			return hexFromArgb(dynamicColor.getArgb(scheme));
+		}
+		return this.getOklchPalette(dynamicColor.palette(scheme), chromaCurve).tone(dynamicColor.getTone(scheme));
+	}
+
+	/**
+	 * Get a tone of a tonal palette
+	 * @param {TonalPalette} palette - HCT palette
+	 * @param {number} tone - Tone (0-100)
+	 * @param {string|null} chromaCurve - OKLCH palette chroma curve, null for HCT palettes
+	 * @returns {string} Hex color
+	 */
+	getPaletteToneHex(palette, tone, chromaCurve = null) {
+		return chromaCurve ? this.getOklchPalette(palette, chromaCurve).tone(tone) : hexFromArgb(palette.tone(tone));
+	}
+
+	/**
+	 * Get the OKLCH palette built from an HCT palette's key color
+	 * Cached per palette instance, as every role of a scheme reads the same few palettes
+	 * @param {TonalPalette} palette - HCT palette
+	 * @param {string} chromaCurve - CHROMA_CURVE_OPTIONS value
+	 * @returns {OklchPalette} OKLCH palette
+	 */
+	getOklchPalette(palette, chromaCurve) {
+		const palettesByCurve = this.oklchPalettes.get(palette) || {};
+		palettesByCurve[chromaCurve] ??= OklchPalette.fromTonalPalette(palette, chromaCurve);
+		this.oklchPalettes.set(palette, palettesByCurve);
+		return palettesByCurve[chromaCurve];
+	}
+
+	/**
+	 * Check whether a catalogue color is a theme role for the given spec
+	 * @param {string} role - Role name in camelCase
+	 * @param {string} specVersion - Specification version
+	 * @param {boolean} includeLegacyRoles - Whether deprecated roles are wanted
+	 * @returns {boolean} True if the role belongs in the scheme
 	 */
-	generateStateLayers(colors) {
+	isSchemeRole(role, specVersion, includeLegacyRoles) {
+		if (role.endsWith('PaletteKeyColor') || EXCLUDED_DYNAMIC_COLORS.includes(role)) {
+			return false;
+		}
+		if (!includeLegacyRoles && LEGACY_COLOR_ROLES.includes(role)) {
+			return false;
+		}
+		if (specVersion !== SpecVersion.SPEC_2025 && SPEC_2025_COLOR_ROLES.includes(role)) {
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Collect the HCT color every role and palette asks for before it is clamped to sRGB
+	 * Palettes with more chroma than sRGB can show lose it in hexFromArgb; wide gamut
+	 * mapping uses these intents to bring it back within Display P3
+	 * @param {Object<string, DynamicScheme>} dynamicSchemes - Schemes keyed by mode
+	 * @param {DynamicScheme} paletteScheme - Light scheme the tonal palettes come from
+	 * @param {Array} extendedColors - Extended color definitions
+	 * @param {number} seedColorArgb - Seed color in ARGB format for harmonization
+	 * @param {Object} schemeOptions - Active scheme settings (variant, specVersion, modes, includeLegacyRoles, tones, chromaCurve)
+	 * @returns {{schemes: Object, tonalPalettes: Object}} {hue, chroma, tone} per scheme role, {hue, chroma} per palette.
+	 *     OKLCH palettes give {oklchChroma} per role and {oklchChromaByTone} per palette instead
+	 */
+	collectColorIntents(dynamicSchemes, paletteScheme, extendedColors, seedColorArgb, { variant, specVersion, modes, includeLegacyRoles, tones = TONAL_VALUES, chromaCurve = null }) {
+		const intents = { schemes: {}, tonalPalettes: {} };
+		const validExtendedColors = extendedColors.filter(extendedColor => extendedColor.color && extendedColor.name);
+
+		modes.forEach(({ key, isDark, contrastLevel }) => {
+			const scheme = dynamicSchemes[key];
+			intents.schemes[key] = {};
+
+			this.dynamicColors.allDynamicColors.forEach(dynamicColor => {
+				const role = this.toCamelCase(dynamicColor.name);
+				if (this.isSchemeRole(role, scheme.specVersion, includeLegacyRoles)) {
+					intents.schemes[key][role] = this.getColorIntent(dynamicColor, scheme, chromaCurve);
+				}
+			});
+
+			validExtendedColors.forEach(extendedColor => {
+				const colorName = this.sanitizeColorName(extendedColor.name);
+				const extendedScheme = this.createExtendedColorScheme(extendedColor, seedColorArgb, variant, isDark, specVersion, contrastLevel);
+				Object.entries(EXTENDED_COLOR_ROLES).forEach(([extendedRole, primaryRole]) => {
+					intents.schemes[key][this.getExtendedRoleName(colorName, extendedRole)] = this.getColorIntent(this.dynamicColors[primaryRole](), extendedScheme, chromaCurve);
+				});
+			});
+		});
+
+		const getPaletteIntent = palette => chromaCurve
+			? { oklchChromaByTone: Object.fromEntries(tones.map(tone => [tone, this.getOklchPalette(palette, chromaCurve).getChroma(tone)])) }
+			: { hue: palette.hue, chroma: palette.chroma };
+
+		Object.entries(this.getSchemePalettes(paletteScheme)).forEach(([role, palette]) => {
+			intents.tonalPalettes[role] = getPaletteIntent(palette);
+		});
+		validExtendedColors.forEach(extendedColor => {
+			const palette = this.createExtendedColorScheme(
+				extendedColor, seedColorArgb, paletteScheme.variant, false, paletteScheme.specVersion
+			).primaryPalette;
+			intents.tonalPalettes[this.sanitizeColorName(extendedColor.name)] = getPaletteIntent(palette);
+		});
+
+		return intents;
+	}
+
+	/**
+	 * Get the unclamped HCT color of a dynamic color, as the spec's color calculation requests it
+	 * @param {DynamicColor} dynamicColor - Dynamic color
+	 * @param {DynamicScheme} scheme - Scheme to resolve it in
+	 * @param {string|null} chromaCurve - OKLCH palette chroma curve, null for HCT palettes
+	 * @returns {{hue: number, chroma: number, tone: number}|{oklchChroma: number}} Requested HCT color,
+	 *     or the OKLCH chroma the palette's curve requests
+	 */
+	getColorIntent(dynamicColor, scheme, chromaCurve = null) {
+		const palette = dynamicColor.palette(scheme);
+		if (chromaCurve) {
+			return { oklchChroma: this.getOklchPalette(palette, chromaCurve).getChroma(dynamicColor.getTone(scheme)) };
+		}
+		// Only the 2025 spec applies chroma multipliers
+		const chromaMultiplier = scheme.specVersion === SpecVersion.SPEC_2025 && dynamicColor.chromaMultiplier
+			? dynamicColor.chromaMultiplier(scheme)
+			: 1;
+
+		return { hue: palette.hue, chroma: palette.chroma * chromaMultiplier, tone: dynamicColor.getTone(scheme) };
+	}
+
+	/**
+	 * Generate state layers for every scheme mode
+	 * Also run again once post-processing (hue preservation, contrast fixes) has changed the schemes
+	 * @param {Object} schemes - Scheme colors keyed by mode
+	 * @param {Object} options - State layer options (see generateStateLayers)
+	 * @param {Array} extendedColors - Extended color definitions
+	 * @returns {Object} State layers keyed by mode, then role
+	 */
+	generateModeStateLayers(schemes, options = {}, extendedColors = []) {
+		return Object.fromEntries(Object.entries(schemes).map(([mode, colors]) =>
+			[mode, this.generateStateLayers(colors, options, extendedColors)]
+		));
+	}
+
+	/**
+	 * Generate state layers for the selected roles
+	 * @param {Object} colors - Scheme colors for one mode
+	 * @param {Object} options - State layer options
+	 * @param {Object<string, number>} options.opacities - Opacity per state (default: STATE_LAYER_OPACITIES)
+	 * @param {Array<string>} options.roles - Scheme roles that get state layers
+	 * @param {Array<string>} options.extendedRoles - Extended color roles that get state layers
+	 * @param {Array} extendedColors - Extended color definitions
+	 * @returns {Object} State layers keyed by role
+	 */
+	generateStateLayers(colors, options = {}, extendedColors = []) {
+		const {
+			opacities = STATE_LAYER_OPACITIES,
+			roles = DEFAULT_STATE_LAYER_ROLES,
+			extendedRoles = DEFAULT_EXTENDED_STATE_LAYER_ROLES
+		} = options;
 		const stateLayers = {};
 		
-		// Use state layer opacity values from constants
-		const opacities = STATE_LAYER_OPACITIES;
-		
-		// Primary state layers
-		stateLayers.primary = {
-			hover: this.addOpacityToHex(colors.primary, opacities.hover),
-			focus: this.addOpacityToHex(colors.primary, opacities.focus),
-			pressed: this.addOpacityToHex(colors.primary, opacities.pressed),
-			dragged: this.addOpacityToHex(colors.primary, opacities.dragged),
-			disabled: this.addOpacityToHex(colors.primary, opacities.disabled)
-		};
-		
-		// Secondary state layers
-		stateLayers.secondary = {
-			hover: this.addOpacityToHex(colors.secondary, opacities.hover),
-			focus: this.addOpacityToHex(colors.secondary, opacities.focus),
-			pressed: this.addOpacityToHex(colors.secondary, opacities.pressed),
-			dragged: this.addOpacityToHex(colors.secondary, opacities.dragged),
-			disabled: this.addOpacityToHex(colors.secondary, opacities.disabled)
-		};
-		
-		// Tertiary state layers
-		stateLayers.tertiary = {
-			hover: this.addOpacityToHex(colors.tertiary, opacities.hover),
-			focus: this.addOpacityToHex(colors.tertiary, opacities.focus),
-			pressed: this.addOpacityToHex(colors.tertiary, opacities.pressed),
-			dragged: this.addOpacityToHex(colors.tertiary, opacities.dragged),
-			disabled: this.addOpacityToHex(colors.tertiary, opacities.disabled)
-		};
-		
-		// Error state layers
-		stateLayers.error = {
-			hover: this.addOpacityToHex(colors.error, opacities.hover),
-			focus: this.addOpacityToHex(colors.error, opacities.focus),
-			pressed: this.addOpacityToHex(colors.error, opacities.pressed),
-			dragged: this.addOpacityToHex(colors.error, opacities.dragged),
-			disabled: this.addOpacityToHex(colors.error, opacities.disabled)
-		};
+		roles.forEach(role => {
+			const color = colors[STATE_LAYER_CONTENT_ROLES[role] || role];
+			if (color) {
+				stateLayers[role] = this.createStateLayer(color, opacities);
+			}
+		});
 		
-		// Surface state layers (using onSurface color)
-		stateLayers.surface = {
-			hover: this.addOpacityToHex(colors.onSurface, opacities.hover),
-			focus: this.addOpacityToHex(colors.onSurface, opacities.focus),
-			pressed: this.addOpacityToHex(colors.onSurface, opacities.pressed),
-			dragged: this.addOpacityToHex(colors.onSurface, opacities.dragged),
-			disabled: this.addOpacityToHex(colors.onSurface, opacities.disabled)
-		};
+		extendedColors.forEach(extendedColor => {
+			const colorName = this.sanitizeColorName(extendedColor.name);
+			extendedRoles.forEach(extendedRole => {
+				const contentRole = extendedRole === 'colorContainer' ? 'onColorContainer' : extendedRole;
+				const color = colors[this.getExtendedRoleName(colorName, contentRole)];
+				if (color) {
+					stateLayers[this.getExtendedRoleName(colorName, extendedRole)] = this.createStateLayer(color, opacities);
+				}
+			});
+		});
 		
 		return stateLayers;
 	}
 
+	/**
+	 * Create state layer colors for every state
+	 * @param {string} color - Layer color hex
+	 * @param {Object<string, number>} opacities - Opacity per state
+	 * @returns {Object} Hex colors with alpha keyed by state
+	 */
+	createStateLayer(color, opacities) {
+		const stateLayer = {};
+		Object.entries(opacities).forEach(([state, opacity]) => {
+			stateLayer[state] = this.addOpacityToHex(color, opacity);
+		});
+		return stateLayer;
+	}
+
+	/**
+	 * Get the scheme key of an extended color role
+	 * @param {string} colorName - Sanitized extended color name
+	 * @param {string} extendedRole - EXTENDED_COLOR_ROLES key (color, onColor, colorContainer...)
+	 * @returns {string} Scheme key (e.g. "on warning container")
+	 */
+	getExtendedRoleName(colorName, extendedRole) {
+		const roleNames = {
+			color: colorName,
+			onColor: `on ${colorName}`,
+			colorContainer: `${colorName} container`,
+			onColorContainer: `on ${colorName} container`,
+			colorFixed: `${colorName} fixed`,
+			colorFixedDim: `${colorName} fixed dim`,
+			onColorFixed: `on ${colorName} fixed`,
+			onColorFixedVariant: `on ${colorName} fixed variant`
+		};
+		return roleNames[extendedRole];
+	}
+
 	/**
 	 * Generate tonal palettes for all color roles using actual scheme palettes
 	 * @param {DynamicScheme} lightScheme - Light scheme instance for palette extraction
 	 * @param {Array} extendedColors - Extended color definitions
 	 * @param {Object} customCoreColors - Custom core color overrides
 	 * @param {number} seedColorArgb - Seed color in ARGB format for harmonization
+	 * @param {Array<number>} tones - Tones to generate for every palette
+	 * @param {string|null} chromaCurve - Build palettes in OKLCH with this chroma curve (default: HCT palettes)
 	 * @returns {Object} Tonal palettes object
 	 */
-	generateTonalPalettes(lightScheme, extendedColors = [], _customCoreColors = {}, seedColorArgb) {
+	generateTonalPalettes(lightScheme, extendedColors = [], _customCoreColors = {}, seedColorArgb, tones = TONAL_VALUES, chromaCurve = null) {
 		const palettes = {};
 		
 		// Extract palettes from the actual scheme (variant-aware)
 		// These palettes already have proper chroma levels applied
-		const schemePalettes = {
-			primary: lightScheme.primaryPalette,
-			secondary: lightScheme.secondaryPalette,
-			tertiary: lightScheme.tertiaryPalette,
-			error: lightScheme.errorPalette,
-			neutral: lightScheme.neutralPalette,
-			neutralVariant: lightScheme.neutralVariantPalette
-		};
+		const schemePalettes = this.getSchemePalettes(lightScheme);
 		
 		// Generate palettes for each color role using scheme palettes
 		// Scheme palettes are already generated with proper Material Design rules
@@ -348,8 +504,8 @@ export class MaterialColorGenerator {
 			
 			if (palette) {
 				palettes[role] = {};
-				TONAL_VALUES.forEach(tone => {
-					palettes[role][tone] = hexFromArgb(palette.tone(tone));
+				tones.forEach(tone => {
+					palettes[role][tone] = this.getPaletteToneHex(palette, tone, chromaCurve);
 				});
 			}
 		});
@@ -359,19 +515,15 @@ export class MaterialColorGenerator {
 			if (extendedColor.color && extendedColor.name) {
 				try {
 					const colorName = this.sanitizeColorName(extendedColor.name);
-					let colorArgb = argbFromHex(extendedColor.color);
 					
-					// Apply harmonization if enabled
-					if (extendedColor.harmonize !== false && seedColorArgb) { // Default to true if not specified
-						colorArgb = Blend.harmonize(colorArgb, seedColorArgb);
-					}
-					
-					const colorHct = Hct.fromInt(colorArgb);
-					const palette = TonalPalette.fromHueAndChroma(colorHct.hue, colorHct.chroma);
+					// Same palette the extended color roles are generated from
+					const palette = this.createExtendedColorScheme(
+						extendedColor, seedColorArgb, lightScheme.variant, false, lightScheme.specVersion
+					).primaryPalette;
 					
 					palettes[colorName] = {};
-					TONAL_VALUES.forEach(tone => {
-						palettes[colorName][tone] = hexFromArgb(palette.tone(tone));
+					tones.forEach(tone => {
+						palettes[colorName][tone] = this.getPaletteToneHex(palette, tone, chromaCurve);
 					});
 				} catch (error) {
 					console.warn('Error generating palette for extended color:', extendedColor, error);
@@ -383,82 +535,91 @@ export class MaterialColorGenerator {
 	}
 
 	/**
-	 * Process extended colors using themeFromSourceColor API from material-color-utilities
-	 * @param {Array} extendedColors - Extended color definitions  
-	 * @param {Object} lightColors - Light scheme colors
-	 * @param {Object} darkColors - Dark scheme colors
-	 * @param {Object} lightStateLayers - Light state layers
-	 * @param {Object} darkStateLayers - Dark state layers
-	 * @param {Object} tonalPalettes - Tonal palettes
+	 * Get the core tonal palettes of a scheme keyed by color role
+	 * @param {DynamicScheme} scheme - Scheme instance
+	 * @returns {Object<string, TonalPalette>} Palettes keyed by VALID_COLOR_ROLES
+	 */
+	getSchemePalettes(scheme) {
+		return {
+			primary: scheme.primaryPalette,
+			secondary: scheme.secondaryPalette,
+			tertiary: scheme.tertiaryPalette,
+			error: scheme.errorPalette,
+			neutral: scheme.neutralPalette,
+			neutralVariant: scheme.neutralVariantPalette
+		};
+	}
+
+	/**
+	 * Add extended color roles to every scheme mode
+	 * Each extended color gets its own DynamicScheme with the active variant, spec and
+	 * contrast level, and its roles are read from that scheme's primary roles
+	 * @param {Array} extendedColors - Extended color definitions
+	 * @param {Object} schemes - Scheme colors keyed by mode
 	 * @param {number} seedColorArgb - Seed color in ARGB format for harmonization
-	 * @param {DynamicScheme} lightScheme - Light dynamic scheme (unused now)
-	 * @param {DynamicScheme} darkScheme - Dark dynamic scheme (unused now)
+	 * @param {Object} schemeOptions - Active scheme settings
+	 * @param {number} schemeOptions.variant - Color variant
+	 * @param {number} schemeOptions.specVersion - Specification version
+	 * @param {Array<{key: string, isDark: boolean, contrastLevel: number}>} schemeOptions.modes - Scheme modes
+	 * @param {string|null} schemeOptions.chromaCurve - OKLCH palette chroma curve, null for HCT palettes
 	 */
-	processExtendedColors(extendedColors, lightColors, darkColors, lightStateLayers, darkStateLayers, tonalPalettes, seedColorArgb, _lightScheme, _darkScheme) {
-		if (extendedColors.length === 0) return;
-		
-		// Prepare custom colors for themeFromSourceColor API
-		const customColors = extendedColors.map(extendedColor => ({
-			name: this.sanitizeColorName(extendedColor.name),
-			value: argbFromHex(extendedColor.color),
-			blend: extendedColor.harmonize !== false // Default to true if not specified
-		}));
-		
-		// Generate theme with extended colors using the official API
-		const theme = themeFromSourceColor(seedColorArgb, customColors);
-		
-		// Extract extended colors from the generated theme
+	processExtendedColors(extendedColors, schemes, seedColorArgb, { variant, specVersion, modes, chromaCurve = null }) {
 		extendedColors.forEach(extendedColor => {
-			if (extendedColor.color && extendedColor.name) {
-				try {
-					const colorName = this.sanitizeColorName(extendedColor.name);
-					
-					// Find the custom color in the array by index
-					const customColorIndex = customColors.findIndex(c => c.name === colorName);
-					
-					if (theme.customColors && theme.customColors[customColorIndex]) {
-						const customColor = theme.customColors[customColorIndex];
-						
-						// Extract colors - library handles all contrast calculations automatically
-						// Light theme colors
-						lightColors[colorName] = hexFromArgb(customColor.light.color);
-						lightColors[`on ${colorName}`] = hexFromArgb(customColor.light.onColor);
-						lightColors[`${colorName} container`] = hexFromArgb(customColor.light.colorContainer);
-						lightColors[`on ${colorName} container`] = hexFromArgb(customColor.light.onColorContainer);
-						
-						// Dark theme colors  
-						darkColors[colorName] = hexFromArgb(customColor.dark.color);
-						darkColors[`on ${colorName}`] = hexFromArgb(customColor.dark.onColor);
-						darkColors[`${colorName} container`] = hexFromArgb(customColor.dark.colorContainer);
-						darkColors[`on ${colorName} container`] = hexFromArgb(customColor.dark.onColorContainer);
-						
-						// Add state layers
-						const opacities = STATE_LAYER_OPACITIES;
-						
-						lightStateLayers[colorName] = {
-							hover: this.addOpacityToHex(lightColors[colorName], opacities.hover),
-							focus: this.addOpacityToHex(lightColors[colorName], opacities.focus),
-							pressed: this.addOpacityToHex(lightColors[colorName], opacities.pressed),
-							dragged: this.addOpacityToHex(lightColors[colorName], opacities.dragged),
-							disabled: this.addOpacityToHex(lightColors[colorName], opacities.disabled)
-						};
-						
-						darkStateLayers[colorName] = {
-							hover: this.addOpacityToHex(darkColors[colorName], opacities.hover),
-							focus: this.addOpacityToHex(darkColors[colorName], opacities.focus),
-							pressed: this.addOpacityToHex(darkColors[colorName], opacities.pressed),
-							dragged: this.addOpacityToHex(darkColors[colorName], opacities.dragged),
-							disabled: this.addOpacityToHex(darkColors[colorName], opacities.disabled)
-						};
-					}
+			if (!extendedColor.color || !extendedColor.name) return;
+			
+			try {
+				const colorName = this.sanitizeColorName(extendedColor.name);
+				
+				modes.forEach(({ key, isDark, contrastLevel }) => {
+					const scheme = this.createExtendedColorScheme(extendedColor, seedColorArgb, variant, isDark, specVersion, contrastLevel);
 					
-				} catch (error) {
-					console.warn('Error processing extended color:', extendedColor, error);
-				}
+					Object.entries(EXTENDED_COLOR_ROLES).forEach(([extendedRole, primaryRole]) => {
+						schemes[key][this.getExtendedRoleName(colorName, extendedRole)] = this.getDynamicColorHex(this.dynamicColors[primaryRole](), scheme, chromaCurve);
+					});
+				});
+			} catch (error) {
+				console.warn('Error processing extended color:', extendedColor, error);
 			}
 		});
 	}
 
+	/**
+	 * Create DynamicScheme for an extended color
+	 * The primary palette keeps the (optionally harmonized) extended color's hue, the variant only
+	 * decides its chroma and the tone mappings: hue rotations of Expressive or Fruit Salad would turn
+	 * a warning purple. Monochrome would make every extended color the same black, so it uses Tonal Spot
+	 * @param {Object} extendedColor - Extended color definition
+	 * @param {number} seedColorArgb - Seed color in ARGB format for harmonization
+	 * @param {number} variant - Color variant
+	 * @param {boolean} isDark - Whether scheme is dark
+	 * @param {number} specVersion - Specification version
+	 * @param {number} contrastLevel - Contrast level from -1 to 1 (0 is standard)
+	 * @returns {DynamicScheme} Dynamic scheme of the extended color
+	 */
+	createExtendedColorScheme(extendedColor, seedColorArgb, variant, isDark, specVersion, contrastLevel = 0.0) {
+		let colorArgb = argbFromHex(extendedColor.color);
+		
+		// Apply harmonization if enabled (default to true if not specified)
+		if (extendedColor.harmonize !== false && seedColorArgb) {
+			colorArgb = Blend.harmonize(colorArgb, seedColorArgb);
+		}
+		
+		const sourceColorHct = Hct.fromInt(colorArgb);
+		const schemeOptions = {
+			sourceColorHct: sourceColorHct,
+			variant: variant === Variant.MONOCHROME ? Variant.TONAL_SPOT : variant,
+			isDark: isDark,
+			contrastLevel: contrastLevel,
+			specVersion: specVersion
+		};
+		const { primaryPalette } = DynamicScheme.from(schemeOptions);
+
+		return DynamicScheme.from({
+			...schemeOptions,
+			primaryPalette: TonalPalette.fromHueAndChroma(sourceColorHct.hue, primaryPalette.chroma)
+		});
+	}
+
 	/**
 	 * Add opacity to hex color
 	 * @param {string} hexColor - Hex color string
@@ -522,20 +683,20 @@ export class MaterialColorGenerator {
 	 * @param {string} seedColor - Seed color hex
 	 * @param {Object} customCoreColors - Custom core color overrides
 	 * @param {Array} extendedColors - Extended colors array
-	 * @param {Object} tonalPalettes - Generated tonal palettes to extract colors from
+	 * @param {DynamicScheme} lightScheme - Scheme whose palettes generated the tonal palettes
 	 * @returns {Object} Map of palette name to source color hex
 	 */
-	collectSourceColors(seedColor, customCoreColors = {}, extendedColors = [], tonalPalettes = {}) {
+	collectSourceColors(seedColor, customCoreColors = {}, extendedColors = [], lightScheme = null) {
 		const sourceColors = {};
+		const schemePalettes = lightScheme ? this.getSchemePalettes(lightScheme) : {};
 		
-		// Core colors: use custom if provided, otherwise extract from generated palette (tone 50)
-		// This ensures we use the ACTUAL color Material Design generated, not the seed color
-		sourceColors.primary = customCoreColors.primary || (tonalPalettes.primary && tonalPalettes.primary['50']) || seedColor;
-		sourceColors.secondary = customCoreColors.secondary || (tonalPalettes.secondary && tonalPalettes.secondary['50']) || seedColor;
-		sourceColors.tertiary = customCoreColors.tertiary || (tonalPalettes.tertiary && tonalPalettes.tertiary['50']) || seedColor;
-		sourceColors.error = customCoreColors.error || (tonalPalettes.error && tonalPalettes.error['50']) || seedColor;
-		sourceColors.neutral = customCoreColors.neutral || (tonalPalettes.neutral && tonalPalettes.neutral['50']) || seedColor;
-		sourceColors.neutralVariant = customCoreColors.neutralVariant || (tonalPalettes.neutralVariant && tonalPalettes.neutralVariant['50']) || seedColor;
+		// Core colors: use custom if provided, otherwise take tone 50 of the generated palette
+		// This ensures we use the ACTUAL color Material Design generated, not the seed color.
+		// Read from the palette itself, as tone 50 may not be part of the selected tone set
+		VALID_COLOR_ROLES.forEach(role => {
+			const palette = schemePalettes[role];
+			sourceColors[role] = customCoreColors[role] || (palette && hexFromArgb(palette.tone(50))) || seedColor;
+		});
 		
 		// Extended colors: use their own color
 		for (const extendedColor of extendedColors) {
@@ -1,4 +1,7 @@
-import { formatHex, converter, inGamut, clampChroma } from 'culori';
+import { HueSpace } from './HueSpace.js';
+import { HueCurve } from './HueCurve.js';
+import { ContrastValidator } from './ContrastValidator.js';
+import { DEFAULT_HUE_SPACE, VALID_COLOR_ROLES } from '../constants/materialDesign.js';
 
 /**
  * OKLCH Post-Processor for preserving hue in tonal palettes
@@ -7,11 +10,18 @@ import { formatHex, converter, inGamut, clampChroma } from 'culori';
  * causes hue to shift when generating different tones. By converting to OKLCH
  * and fixing the hue value, we ensure consistent hue across all lightness levels.
  * 
- * Uses culori library for all OKLCH operations.
+ * Hue is measured and pinned in a selectable HueSpace (OKLCH by default,
+ * CIELCh or CAM16); every space shares the same palette and scheme regeneration flow.
+ * Regenerated schemes are then re-checked for WCAG contrast (see ContrastValidator).
+ * Per-tone hue and chroma results are collected in a diagnostics object.
  */
 export class OKLCHPostProcessor {
+	// Chroma loss (percent) above which a tone is flagged in diagnostics
+	static CHROMA_LOSS_WARNING = 20;
+
 	// Map color roles to their source palettes
 	static PALETTE_MAPPING = {
+		'background': 'neutral',
 		'surface': 'neutral',
 		'surfaceDim': 'neutral',
 		'surfaceBright': 'neutral',
@@ -20,6 +30,12 @@ export class OKLCHPostProcessor {
 		'surfaceContainer': 'neutral',
 		'surfaceContainerHigh': 'neutral',
 		'surfaceContainerHighest': 'neutral',
+		'surfaceVariant': 'neutralVariant',
+		'surfaceTint': 'primary',
+		'primaryDim': 'primary',
+		'secondaryDim': 'secondary',
+		'tertiaryDim': 'tertiary',
+		'errorDim': 'error',
 		'outline': 'neutralVariant',
 		'outlineVariant': 'neutralVariant',
 		'inverseSurface': 'neutral',
@@ -37,24 +53,26 @@ export class OKLCHPostProcessor {
 	 * @param {boolean} options.preserveHue - Whether to preserve hue (default: true)
 	 * @param {Array<string>} options.affectedPalettes - Which palettes to process (default: ['primary', 'secondary', 'tertiary'])
 	 * @param {boolean} options.neutralHueFromPrimary - Use primary hue for neutral/neutralVariant (default: false)
-	 * @returns {Object} Processed color scheme with preserved hues
+	 * @param {string} options.hueSpace - HUE_SPACE_OPTIONS value to pin hue in (default: OKLCH)
+	 * @param {Object} options.hueCurves - Validated hue offset curves by palette name (default: none)
+	 * @returns {Object} Processed color scheme with preserved hues and internal diagnostics:
+	 *     {hueSpace, palettes: {name: palette diagnostics}, schemes: {mode: regeneration diagnostics}}
 	 */
 	static processColorScheme(colorScheme, options = {}) {
 		const {
 			preserveHue = true,
 			affectedPalettes = ['primary', 'secondary', 'tertiary'],
-			neutralHueFromPrimary = false
+			neutralHueFromPrimary = false,
+			hueSpace = DEFAULT_HUE_SPACE,
+			hueCurves = {}
 		} = options;
 
 		if (!preserveHue || !colorScheme || !colorScheme.tonalPalettes) {
 			return colorScheme;
 		}
 
-		console.log('[OKLCH] Available palettes:', Object.keys(colorScheme.tonalPalettes));
-		console.log('[OKLCH] Processing palettes:', affectedPalettes);
-		if (neutralHueFromPrimary) {
-			console.log('[OKLCH] Using primary hue for neutral/neutralVariant');
-		}
+		const space = HueSpace.get(hueSpace);
+		const diagnostics = { hueSpace: space.name, palettes: {}, schemes: {} };
 
 		// Deep clone the scheme to avoid mutations
 		const processedScheme = JSON.parse(JSON.stringify(colorScheme));
@@ -72,36 +90,50 @@ export class OKLCHPostProcessor {
 				let sourceColor = sourceColors[paletteName];
 				if (neutralHueFromPrimary && (paletteName === 'neutral' || paletteName === 'neutralVariant')) {
 					sourceColor = sourceColors['primary'] || sourceColor;
-					console.log(`[OKLCH] ${paletteName}: using primary hue from ${sourceColor}`);
 				}
 				
-				processedScheme.tonalPalettes[paletteName] = this.processPalette(
+				const { palette, diagnostics: paletteDiagnostics } = this.processPalette(
 					processedScheme.tonalPalettes[paletteName],
 					paletteName,
-					sourceColor
+					sourceColor,
+					space,
+					hueCurves[paletteName]
 				);
+				processedScheme.tonalPalettes[paletteName] = palette;
+				diagnostics.palettes[paletteName] = paletteDiagnostics;
 			}
 		}
 
 		// Regenerate scheme colors from updated palettes
 		// Pass both original and processed palettes for accurate tone matching
 		if (processedScheme.schemes) {
-			processedScheme.schemes.light = this.regenerateSchemeColors(
-				processedScheme.schemes.light,
-				originalPalettes,
-				processedScheme.tonalPalettes,
-				false
-			);
-			processedScheme.schemes.dark = this.regenerateSchemeColors(
-				processedScheme.schemes.dark,
-				originalPalettes,
-				processedScheme.tonalPalettes,
-				true
-			);
+			const extendedNames = Object.keys(originalPalettes).filter(name => !VALID_COLOR_ROLES.includes(name));
+			const contrastAdjustments = [];
+
+			for (const mode of Object.keys(processedScheme.schemes)) {
+				const regenerated = this.regenerateSchemeColors(
+					processedScheme.schemes[mode],
+					originalPalettes,
+					processedScheme.tonalPalettes,
+					mode.startsWith('dark'),
+					space
+				);
+				diagnostics.schemes[mode] = regenerated.diagnostics;
+
+				// Restore contrast levels the original scheme met
+				const { scheme, adjustments } = ContrastValidator.validateScheme(regenerated.scheme, colorScheme.schemes[mode], extendedNames);
+				processedScheme.schemes[mode] = scheme;
+				adjustments.forEach(adjustment => contrastAdjustments.push({ mode, ...adjustment }));
+			}
+
+			if (contrastAdjustments.length > 0) {
+				processedScheme.metadata = { ...processedScheme.metadata, contrastAdjustments };
+			}
 		}
 
 		// Remove sourceColors from result - it's internal metadata, not for display
 		delete processedScheme.sourceColors;
+		processedScheme.diagnostics = diagnostics;
 
 		return processedScheme;
 	}
@@ -111,27 +143,28 @@ export class OKLCHPostProcessor {
 	 * 
 	 * Strategy:
 	 * 1. Extract reference hue from source color (the color that created this palette)
-	 * 2. For each tone, convert to OKLCH
-	 * 3. Replace hue with reference hue
+	 * 2. For each tone, convert to the hue space
+	 * 3. Replace hue with reference hue, offset by the palette's hue curve at that tone
 	 * 4. Ensure color stays in sRGB gamut by clamping chroma if needed
 	 * 
 	 * @param {Object} palette - Tonal palette object with tone values (e.g., {0: '#000', 10: '#1a1a1a', ...})
-	 * @param {string} paletteName - Name of the palette (for logging)
+	 * @param {string} paletteName - Name of the palette
 	 * @param {string|null} sourceColor - Source color hex that created this palette
-	 * @returns {Object} Processed palette with preserved hue
+	 * @param {HueSpace} space - Space to measure and pin hue in
+	 * @param {Object|null} hueCurve - Hue offset curve across tones (null keeps hue constant)
+	 * @returns {{palette: Object, diagnostics: Object}} Processed palette with preserved hue, and
+	 *     {referenceHue, hueSource, warning, tones: [{tone, originalHue, targetHue, actualHue, deviation,
+	 *     maxDeviation, chromaLoss, hitMaxDeviation, highChromaLoss}]}
 	 */
-	static processPalette(palette, paletteName, sourceColor = null) {
-		// Convert reference color to OKLCH to extract hue
-		const toOklch = converter('oklch');
-		
+	static processPalette(palette, paletteName, sourceColor = null, space = HueSpace.get(DEFAULT_HUE_SPACE), hueCurve = null) {
 		let referenceHue = null;
 		let hueSource = null;
 		
 		// If source color is provided, use its hue (most reliable)
 		if (sourceColor) {
-			const sourceOklch = toOklch(sourceColor);
-			if (sourceOklch && sourceOklch.h !== undefined && !isNaN(sourceOklch.h)) {
-				referenceHue = sourceOklch.h;
+			const sourceLch = space.fromHex(sourceColor);
+			if (sourceLch && sourceLch.h !== undefined && !isNaN(sourceLch.h)) {
+				referenceHue = sourceLch.h;
 				hueSource = `source color ${sourceColor}`;
 			}
 		}
@@ -139,7 +172,6 @@ export class OKLCHPostProcessor {
 		// Fallback: extract hue from palette tones (for backward compatibility)
 		if (referenceHue === null) {
 			let maxChroma = -1;
-			let referenceToneName = null;
 			
 			// Try tones in order of preference: 50 (middle), 40, 60, 30, 70, etc.
 			const tonePreference = [50, 40, 60, 30, 70, 20, 80, 10, 90];
@@ -148,41 +180,41 @@ export class OKLCHPostProcessor {
 				const toneKey = String(tone);
 				if (!palette[toneKey]) continue;
 				
-				const oklch = toOklch(palette[toneKey]);
-				if (!oklch || oklch.h === undefined || isNaN(oklch.h)) continue;
+				const lch = space.fromHex(palette[toneKey]);
+				if (!lch || lch.h === undefined || isNaN(lch.h)) continue;
 				
 				// Use the first tone with reasonable chroma, or track the highest chroma
-				if (oklch.c > 0.02) {
+				if (lch.c > space.minChroma) {
 					// Found a tone with sufficient chroma
-					referenceHue = oklch.h;
-					referenceToneName = toneKey;
-					hueSource = `tone ${toneKey} (chroma: ${oklch.c.toFixed(3)})`;
+					referenceHue = lch.h;
+					hueSource = `tone ${toneKey} (chroma: ${lch.c.toFixed(3)})`;
 					break;
-				} else if (oklch.c > maxChroma) {
+				} else if (lch.c > maxChroma) {
 					// Track the tone with highest chroma as fallback
-					maxChroma = oklch.c;
-					referenceHue = oklch.h;
-					referenceToneName = toneKey;
-					hueSource = `tone ${referenceToneName} (low chroma: ${maxChroma.toFixed(3)})`;
+					maxChroma = lch.c;
+					referenceHue = lch.h;
+					hueSource = `tone ${toneKey} (low chroma: ${maxChroma.toFixed(3)})`;
 				}
 			}
 		}
 		
 		if (referenceHue === null) {
-			console.warn(`[OKLCH] ${paletteName}: could not extract valid hue`);
-			return palette;
+			return {
+				palette,
+				diagnostics: { referenceHue: null, hueSource: null, warning: 'could not extract valid hue', tones: [] }
+			};
 		}
-		
-		console.log(`[OKLCH] ${paletteName}: using hue ${referenceHue.toFixed(1)}° from ${hueSource}`);
+
+		const diagnostics = { referenceHue: this.round(referenceHue), hueSource, warning: null, tones: [] };
 
 		// Process each tone with flexible hue preservation
 		const processedPalette = {};
 		
 		for (const [tone, hexColor] of Object.entries(palette)) {
-			// Convert current color to OKLCH
-			const oklchColor = toOklch(hexColor);
+			// Convert current color to the hue space
+			const lchColor = space.fromHex(hexColor);
 			
-			if (!oklchColor) {
+			if (!lchColor) {
 				// If conversion fails, keep original
 				processedPalette[tone] = hexColor;
 				continue;
@@ -196,33 +228,48 @@ export class OKLCHPostProcessor {
 			const toneNum = parseInt(tone);
 			const maxHueDeviation = (toneNum >= 40 && toneNum <= 60) ? 5 : 8;
 
+			// Intentional hue drift for this tone, if the palette has a curve
+			const targetHue = referenceHue + HueCurve.getOffset(hueCurve, toneNum);
+
 			// Try to find the best color with flexible hue
 			const result = this.findBestGamutColor(
-				oklchColor,
-				referenceHue,
-				maxHueDeviation
+				lchColor,
+				targetHue,
+				maxHueDeviation,
+				space
 			);
 
-			// Log detailed information
-			const originalHue = oklchColor.h ?? 0;
+			// Record what pinning cost this tone (signed deviation wraps around 360°)
 			const actualHue = result.color.h ?? 0;
-			const hueDeviation = Math.abs(actualHue - referenceHue);
-			const chromaLoss = ((oklchColor.c - result.color.c) / oklchColor.c * 100);
-			
-			console.log(
-				`[OKLCH] ${paletteName}[${tone}]: ` +
-				`orig_hue=${originalHue.toFixed(1)}° → ` +
-				`target=${referenceHue.toFixed(1)}° → ` +
-				`actual=${actualHue.toFixed(1)}° ` +
-				`(deviation ${hueDeviation >= 0.1 ? '+' : ''}${hueDeviation.toFixed(1)}°, ` +
-				`chroma ${chromaLoss >= 0 ? '-' : '+'}${Math.abs(chromaLoss).toFixed(1)}%)`
-			);
+			const deviation = ((actualHue - targetHue) % 360 + 540) % 360 - 180;
+			const chromaLoss = lchColor.c > 0 ? (lchColor.c - result.color.c) / lchColor.c * 100 : 0;
+
+			diagnostics.tones.push({
+				tone: toneNum,
+				originalHue: this.round(lchColor.h ?? 0),
+				targetHue: this.round((targetHue % 360 + 360) % 360),
+				actualHue: this.round((actualHue % 360 + 360) % 360),
+				deviation: this.round(deviation),
+				maxDeviation: maxHueDeviation,
+				chromaLoss: this.round(chromaLoss),
+				hitMaxDeviation: result.hueDeviation >= maxHueDeviation,
+				highChromaLoss: chromaLoss > this.CHROMA_LOSS_WARNING
+			});
 
 			// Convert back to HEX
-			processedPalette[tone] = formatHex(result.color).toLowerCase();
+			processedPalette[tone] = space.toHex(result.color);
 		}
 
-		return processedPalette;
+		return { palette: processedPalette, diagnostics };
+	}
+
+	/**
+	 * Round a diagnostic value to one decimal
+	 * @param {number} value - Value
+	 * @returns {number} Rounded value
+	 */
+	static round(value) {
+		return Math.round(value * 10) / 10;
 	}
 
 	/**
@@ -234,27 +281,28 @@ export class OKLCHPostProcessor {
 	 * 3. For each hue, try to preserve maximum chroma
 	 * 4. Select the color closest to reference hue that fits in gamut
 	 * 
-	 * @param {Object} originalColor - Original OKLCH color
+	 * @param {Object} originalColor - Original color in the hue space
 	 * @param {number} referenceHue - Target hue to preserve
 	 * @param {number} maxHueDeviation - Maximum allowed hue deviation in degrees
-	 * @returns {Object} { color: OKLCH color object, hueDeviation: number }
+	 * @param {HueSpace} space - Space the color is expressed in
+	 * @returns {Object} { color: color object in the hue space, hueDeviation: number }
 	 */
-	static findBestGamutColor(originalColor, referenceHue, maxHueDeviation) {
+	static findBestGamutColor(originalColor, referenceHue, maxHueDeviation, space = HueSpace.get(DEFAULT_HUE_SPACE)) {
 		// Try exact reference hue first
 		let testColor = {
-			mode: 'oklch',
+			mode: originalColor.mode,
 			l: originalColor.l,
 			c: originalColor.c,
 			h: referenceHue
 		};
 
 		// If exact hue works, return it
-		if (inGamut('rgb')(testColor)) {
+		if (space.inGamut(testColor)) {
 			return { color: testColor, hueDeviation: 0 };
 		}
 
 		// Try with reduced chroma at exact hue as fallback
-		const clampedAtExactHue = clampChroma(testColor, 'oklch');
+		const clampedAtExactHue = space.clampChroma(testColor);
 		let bestColor = clampedAtExactHue || originalColor;
 		let bestHueDeviation = clampedAtExactHue ? 0 : Math.abs((originalColor.h ?? 0) - referenceHue);
 
@@ -264,20 +312,20 @@ export class OKLCHPostProcessor {
 				const testHue = referenceHue + (deviation * sign);
 				
 				testColor = {
-					mode: 'oklch',
+					mode: originalColor.mode,
 					l: originalColor.l,
 					c: originalColor.c,
 					h: testHue
 				};
 
 				// Check if this hue allows full chroma
-				if (inGamut('rgb')(testColor)) {
+				if (space.inGamut(testColor)) {
 					// Found a better option with full chroma!
 					return { color: testColor, hueDeviation: deviation };
 				}
 
 				// Try with clamped chroma at this hue
-				const clamped = clampChroma(testColor, 'oklch');
+				const clamped = space.clampChroma(testColor);
 				if (clamped && clamped.c > bestColor.c) {
 					// This hue allows more chroma than our current best
 					bestColor = clamped;
@@ -332,20 +380,17 @@ export class OKLCHPostProcessor {
 	 * @param {Object} originalPalettes - Original tonal palettes (before processing)
 	 * @param {Object} processedPalettes - Processed tonal palettes (after OKLCH hue fix)
 	 * @param {boolean} isDark - Whether this is dark mode (unused but kept for API compatibility)
-	 * @returns {Object} Regenerated scheme colors
+	 * @param {HueSpace} space - Space to match tones and pin hue in
+	 * @returns {{scheme: Object, diagnostics: {updated: number, skipped: Object<string, string>}}} Regenerated
+	 *     scheme colors, count of changed roles and skip reason by role
 	 */
-	static regenerateSchemeColors(scheme, originalPalettes, processedPalettes, isDark) {
+	static regenerateSchemeColors(scheme, originalPalettes, processedPalettes, isDark, space = HueSpace.get(DEFAULT_HUE_SPACE)) {
+		const diagnostics = { updated: 0, skipped: {} };
 		if (!scheme || !originalPalettes || !processedPalettes) {
-			return scheme;
+			return { scheme, diagnostics };
 		}
 
 		const regenerated = { ...scheme };
-		const toOklch = converter('oklch');
-		let updatedCount = 0;
-		let skippedCount = 0;
-		const skippedReasons = {};
-
-		console.log(`[OKLCH] Regenerating ${isDark ? 'dark' : 'light'} scheme colors...`);
 
 		// For each color role in the scheme, find its tone and update from processed palette
 		for (const [colorRole, originalHex] of Object.entries(scheme)) {
@@ -362,27 +407,22 @@ export class OKLCHPostProcessor {
 			
 			// Skip colors that don't use palettes (scrim, shadow - always black)
 			if (mappedPaletteName === null) {
-				skippedCount++;
-				const reason = 'not palette-based';
-				skippedReasons[reason] = (skippedReasons[reason] || 0) + 1;
+				diagnostics.skipped[colorRole] = 'not palette-based';
 				continue;
 			}
 			
 			// Skip if we don't have palettes for this role
 			if (!originalPalettes[mappedPaletteName] || !processedPalettes[mappedPaletteName]) {
-				skippedCount++;
-				const reason = `no palette: ${mappedPaletteName}`;
-				skippedReasons[reason] = (skippedReasons[reason] || 0) + 1;
-				console.log(`[OKLCH] SKIP ${colorRole}: palette="${paletteName}" → "${mappedPaletteName}" not found`);
+				diagnostics.skipped[colorRole] = `no palette: ${mappedPaletteName}`;
 				continue;
 			}
 			
 			// Find the closest tone in the ORIGINAL palette that matches this color
-			// We use OKLCH lightness for comparison as it's perceptually uniform
-			const originalOklch = toOklch(originalHex);
-			if (!originalOklch) continue;
+			// We use the hue space's lightness for comparison as it's perceptually uniform
+			const originalLch = space.fromHex(originalHex);
+			if (!originalLch) continue;
 			
-			const originalLightness = originalOklch.l;
+			const originalLightness = originalLch.l;
 			
 			// Find the tone value that best matches this lightness
 			// by comparing against the ORIGINAL palette's tone values
@@ -390,10 +430,10 @@ export class OKLCHPostProcessor {
 			let minDifference = Infinity;
 			
 			for (const [tone, hexColor] of Object.entries(originalPalettes[mappedPaletteName])) {
-				const toneOklch = toOklch(hexColor);
-				if (!toneOklch) continue;
+				const toneLch = space.fromHex(hexColor);
+				if (!toneLch) continue;
 				
-				const difference = Math.abs(toneOklch.l - originalLightness);
+				const difference = Math.abs(toneLch.l - originalLightness);
 				if (difference < minDifference) {
 					minDifference = difference;
 					closestTone = tone;
@@ -404,62 +444,38 @@ export class OKLCHPostProcessor {
 			if (closestTone !== null && processedPalettes[mappedPaletteName][closestTone]) {
 				// Get the processed color (with corrected hue)
 				const processedHex = processedPalettes[mappedPaletteName][closestTone];
-				const processedOklch = toOklch(processedHex);
+				const processedLch = space.fromHex(processedHex);
 				
 				// Preserve original lightness and chroma - only take the corrected hue
 				// This prevents colors from becoming too desaturated or changing brightness
 				let newHex = processedHex; // fallback
 				
-				if (processedOklch && originalOklch) {
+				if (processedLch && originalLch) {
 					let finalColor = {
-						mode: 'oklch',
-						l: originalOklch.l,  // Keep original lightness
-						c: originalOklch.c,  // Keep original chroma
-						h: processedOklch.h  // Use corrected hue from processed palette
+						mode: originalLch.mode,
+						l: originalLch.l,  // Keep original lightness
+						c: originalLch.c,  // Keep original chroma
+						h: processedLch.h  // Use corrected hue from processed palette
 					};
 					
 					// Ensure the color is in sRGB gamut
-					if (!inGamut('rgb')(finalColor)) {
-						finalColor = clampChroma(finalColor, 'oklch');
+					if (!space.inGamut(finalColor)) {
+						finalColor = space.clampChroma(finalColor);
 					}
 					
-					newHex = formatHex(finalColor).toLowerCase();
+					newHex = space.toHex(finalColor);
 				}
 				
-				const changed = newHex !== originalHex;
-				
-				if (changed) {
-					updatedCount++;
-				}
-				
-				// Log detailed information for sample colors
-				const shouldLog = 
-					colorRole.includes('primary') || 
-					colorRole.includes('secondary') || 
-					colorRole.includes('warning') ||
-					colorRole.includes('neutral');
-				
-				if (shouldLog) {
-					console.log(
-						`[OKLCH] ${colorRole}: ${originalHex} → ${newHex} ` +
-						`(palette: ${paletteName}→${mappedPaletteName}, tone: ${closestTone}, changed: ${changed})`
-					);
+				if (newHex !== originalHex) {
+					diagnostics.updated++;
 				}
 				
 				regenerated[colorRole] = newHex;
 			} else {
-				skippedCount++;
-				const reason = closestTone === null ? 'no matching tone' : 'tone not in processed palette';
-				skippedReasons[reason] = (skippedReasons[reason] || 0) + 1;
-				console.log(`[OKLCH] SKIP ${colorRole}: ${reason} (palette: ${mappedPaletteName}, tone: ${closestTone})`);
+				diagnostics.skipped[colorRole] = closestTone === null ? 'no matching tone' : 'tone not in processed palette';
 			}
 		}
 
-		console.log(`[OKLCH] ${isDark ? 'Dark' : 'Light'} scheme: ${updatedCount} updated, ${skippedCount} skipped`);
-		if (Object.keys(skippedReasons).length > 0) {
-			console.log(`[OKLCH] Skip reasons:`, skippedReasons);
-		}
-
-		return regenerated;
+		return { scheme: regenerated, diagnostics };
 	}
 }
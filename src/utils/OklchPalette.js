@@ -0,0 +1,121 @@
+import { converter, clampChroma, formatHex } from 'culori';
+import { hexFromArgb } from '@materialx/material-color-utilities';
+import { DEFAULT_CHROMA_CURVE } from '../constants/materialDesign.js';
+
+const toOklch = converter('oklch');
+const toLab = converter('lab65');
+
+// Share of the peak chroma the SMOOTH and LINEAR curves keep at tones 0 and 100, so light
+// surfaces (tones 90-99) stay tinted like HCT palettes instead of fading to gray
+const CHROMA_FLOOR = 0.2;
+
+// OKLCH lightness range searched around the gray's for a tone: chroma moves L* by a few units at most
+const LIGHTNESS_SEARCH_RANGE = 0.1;
+const LIGHTNESS_SEARCH_STEPS = 20;
+
+/**
+ * Tonal palette built directly in OKLCH
+ *
+ * Tone keeps its HCT meaning (L*, so scheme tone mappings and contrast still apply): the OKLCH
+ * lightness of each tone is searched so the color has that L* at its chroma. Hue is fixed to the
+ * key color's OKLCH hue, and chroma follows a curve peaking at the key color's tone, reduced only
+ * where sRGB can't show it.
+ */
+export class OklchPalette {
+	/**
+	 * @param {Object} options - Palette definition
+	 * @param {number} options.hue - OKLCH hue in degrees
+	 * @param {number} options.peakChroma - OKLCH chroma at the key tone
+	 * @param {number} options.keyTone - Tone (L*) of the key color
+	 * @param {string} options.chromaCurve - CHROMA_CURVE_OPTIONS value
+	 */
+	constructor({ hue, peakChroma, keyTone, chromaCurve = DEFAULT_CHROMA_CURVE }) {
+		this.hue = hue;
+		this.peakChroma = peakChroma;
+		this.keyTone = Math.min(99, Math.max(1, keyTone));
+		this.chromaCurve = chromaCurve;
+		this.cache = new Map();
+	}
+
+	/**
+	 * Create an OKLCH palette from the key color of a Material tonal palette
+	 * @param {TonalPalette} tonalPalette - HCT palette
+	 * @param {string} chromaCurve - CHROMA_CURVE_OPTIONS value
+	 * @returns {OklchPalette} OKLCH palette
+	 */
+	static fromTonalPalette(tonalPalette, chromaCurve) {
+		const keyColor = toOklch(hexFromArgb(tonalPalette.keyColor.toInt()));
+
+		return new OklchPalette({
+			hue: keyColor.h ?? 0,
+			peakChroma: keyColor.c,
+			keyTone: tonalPalette.keyColor.tone,
+			chromaCurve
+		});
+	}
+
+	/**
+	 * OKLCH lightness of the gray with a given tone (L*)
+	 * @param {number} tone - Tone (0-100)
+	 * @returns {number} OKLCH lightness (0-1)
+	 */
+	static lightnessFromTone(tone) {
+		return toOklch({ mode: 'lab', l: tone, a: 0, b: 0 }).l;
+	}
+
+	/**
+	 * Chroma the curve asks for at a tone, before gamut mapping
+	 * @param {number} tone - Tone (0-100)
+	 * @returns {number} OKLCH chroma
+	 */
+	getChroma(tone) {
+		if (this.chromaCurve === 'FLAT') {
+			return this.peakChroma;
+		}
+
+		// 0 at tones 0 and 100, 1 at the key tone
+		const position = tone <= this.keyTone
+			? tone / this.keyTone
+			: (100 - tone) / (100 - this.keyTone);
+		const clamped = Math.min(1, Math.max(0, position));
+		const factor = this.chromaCurve === 'LINEAR' ? clamped : Math.sin(clamped * Math.PI / 2);
+
+		return this.peakChroma * (CHROMA_FLOOR + (1 - CHROMA_FLOOR) * factor);
+	}
+
+	/**
+	 * Get the sRGB color of a tone
+	 * @param {number} tone - Tone (0-100)
+	 * @returns {string} Lowercase hex
+	 */
+	tone(tone) {
+		if (!this.cache.has(tone)) {
+			this.cache.set(tone, formatHex(this.solveTone(tone)).toLowerCase());
+		}
+		return this.cache.get(tone);
+	}
+
+	/**
+	 * Gamut mapped color of a tone, bisecting OKLCH lightness until its L* matches the tone
+	 * @param {number} tone - Tone (0-100)
+	 * @returns {Object} Culori OKLCH color
+	 */
+	solveTone(tone) {
+		const chroma = this.getChroma(tone);
+		const gray = OklchPalette.lightnessFromTone(tone);
+		const colorAt = l => clampChroma({ mode: 'oklch', l, c: chroma, h: this.hue }, 'oklch');
+		let low = Math.max(0, gray - LIGHTNESS_SEARCH_RANGE);
+		let high = Math.min(1, gray + LIGHTNESS_SEARCH_RANGE);
+
+		for (let step = 0; step < LIGHTNESS_SEARCH_STEPS; step++) {
+			const middle = (low + high) / 2;
+			if (toLab(colorAt(middle)).l < tone) {
+				low = middle;
+			} else {
+				high = middle;
+			}
+		}
+
+		return colorAt((low + high) / 2);
+	}
+}
@@ -0,0 +1,124 @@
+import { ColorUtils } from './color.js';
+import { FormatUtils } from './format.js';
+import { SASS_VARIABLE_PREFIX } from '../constants/materialDesign.js';
+
+const formatUtils = new FormatUtils();
+
+/**
+ * SCSS and Less variables export
+ *
+ * Flat variables come first: the first scheme mode (light) unqualified ($md-primary),
+ * other modes with the mode in the name ($md-dark-primary), then palette tones ($md-primary-40).
+ * The same values follow as nested maps: Sass maps, and Less maps (detached rulesets
+ * read with @md-schemes[@light][primary]).
+ */
+export class SassExporter {
+	/**
+	 * Convert a result to SCSS
+	 * @param {Object} result - Unformatted result, already filtered by the state layer and tonal palette toggles
+	 * @param {Object} options - Export options
+	 * @param {string} options.namingFormat - Naming format of role names
+	 * @returns {string} SCSS partial
+	 */
+	static toScss(result, { namingFormat = 'kebab-case' } = {}) {
+		return this.serialize(result, namingFormat, {
+			declaration: (name, value) => `$${name}: ${value};`,
+			map: (name, entries) => `$${name}: ${this.scssMap(entries, 0)};`
+		});
+	}
+
+	/**
+	 * Convert a result to Less
+	 * @param {Object} result - Unformatted result, already filtered by the state layer and tonal palette toggles
+	 * @param {Object} options - Export options
+	 * @param {string} options.namingFormat - Naming format of role names
+	 * @returns {string} Less stylesheet
+	 */
+	static toLess(result, { namingFormat = 'kebab-case' } = {}) {
+		return this.serialize(result, namingFormat, {
+			declaration: (name, value) => `@${name}: ${value};`,
+			map: (name, entries) => `@${name}: ${this.lessMap(entries, 0)}`
+		});
+	}
+
+	/**
+	 * Flat variables then maps, written with a syntax's declaration and map writers
+	 */
+	static serialize(result, namingFormat, syntax) {
+		const modes = Object.keys(result?.schemes || {});
+		const name = parts => formatUtils.formatIdentifier(parts, namingFormat);
+		const modeKey = mode => formatUtils.camelToKebab(mode);
+		const sections = [];
+
+		modes.forEach((mode, index) => {
+			// The first mode is the default theme, later modes are qualified with their name
+			const modePrefix = index === 0 ? [] : [modeKey(mode)];
+			const declarations = [
+				...Object.entries(result.schemes[mode]).map(([role, color]) => [[role], color]),
+				...Object.entries(result.stateLayers?.[mode] || {}).flatMap(([role, states]) =>
+					Object.entries(states).map(([state, color]) => [[role, state], color])
+				)
+			].map(([parts, color]) =>
+				syntax.declaration([SASS_VARIABLE_PREFIX, ...modePrefix, name(parts)].join('-'), this.formatColor(color))
+			);
+
+			sections.push(`// ${formatUtils.camelToTitle(mode)} scheme\n${declarations.join('\n')}`);
+		});
+
+		if (result?.tonalPalettes) {
+			const declarations = Object.entries(result.tonalPalettes).flatMap(([palette, tones]) =>
+				Object.entries(tones).map(([tone, color]) => syntax.declaration(`${SASS_VARIABLE_PREFIX}-${name([palette, tone])}`, this.formatColor(color)))
+			);
+			sections.push(`// Tonal palettes\n${declarations.join('\n')}`);
+		}
+
+		const colorEntries = colors => Object.entries(colors).map(([key, color]) => [name([key]), this.formatColor(color)]);
+
+		if (modes.length) {
+			sections.push(syntax.map(`${SASS_VARIABLE_PREFIX}-schemes`,
+				modes.map(mode => [modeKey(mode), colorEntries(result.schemes[mode])])));
+		}
+		if (result?.stateLayers) {
+			sections.push(syntax.map(`${SASS_VARIABLE_PREFIX}-state-layers`,
+				Object.entries(result.stateLayers).map(([mode, roles]) => [
+					modeKey(mode),
+					Object.entries(roles).map(([role, states]) => [name([role]), colorEntries(states)])
+				])));
+		}
+		if (result?.tonalPalettes) {
+			sections.push(syntax.map(`${SASS_VARIABLE_PREFIX}-palettes`,
+				Object.entries(result.tonalPalettes).map(([palette, tones]) => [name([palette]), colorEntries(tones)])));
+		}
+
+		return sections.join('\n\n') + '\n';
+	}
+
+	/**
+	 * Write [key, value] entries as a Sass map, nested arrays becoming nested maps
+	 */
+	static scssMap(entries, depth) {
+		const indent = '\t'.repeat(depth + 1);
+		const lines = entries.map(([key, value]) =>
+			`${indent}${key}: ${Array.isArray(value) ? this.scssMap(value, depth + 1) : value},`
+		);
+		return `(\n${lines.join('\n')}\n${'\t'.repeat(depth)})`;
+	}
+
+	/**
+	 * Write [key, value] entries as a Less map, nested arrays becoming nested @rulesets
+	 */
+	static lessMap(entries, depth) {
+		const indent = '\t'.repeat(depth + 1);
+		const lines = entries.map(([key, value]) =>
+			Array.isArray(value) ? `${indent}@${key}: ${this.lessMap(value, depth + 1)}` : `${indent}${key}: ${value};`
+		);
+		return `{\n${lines.join('\n')}\n${'\t'.repeat(depth)}}`;
+	}
+
+	/**
+	 * Translucent state layers are written as rgba(), like the JSON export
+	 */
+	static formatColor(color) {
+		return ColorUtils.hexToRgba(color);
+	}
+}
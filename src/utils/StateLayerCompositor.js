@@ -0,0 +1,69 @@
+import { ColorUtils } from './color.js';
+import { STATE_LAYER_BACKGROUND_ROLES } from '../constants/materialDesign.js';
+
+/**
+ * Pre-composites translucent state layers over the surface they are drawn on
+ * For targets that can't stack translucent overlays (email templates, native charts...)
+ */
+export class StateLayerCompositor {
+	/**
+	 * Replace state layers with opaque colors and document the pairing in metadata
+	 * @param {Object} result - Unformatted result with schemes and stateLayers keyed by mode
+	 * @param {Function} formatName - Formats role names written as metadata values
+	 * @returns {Object} Result with opaque state layers and metadata.stateLayers
+	 */
+	static compositeStateLayers(result, formatName = name => name) {
+		if (!result?.stateLayers || !result.schemes) {
+			return result;
+		}
+
+		const stateLayers = {};
+		const backgrounds = {};
+
+		for (const [mode, modeStateLayers] of Object.entries(result.stateLayers)) {
+			const scheme = result.schemes[mode] || {};
+			stateLayers[mode] = {};
+
+			for (const [role, states] of Object.entries(modeStateLayers)) {
+				// Every scheme has a surface, so fall back to it if the paired role isn't generated
+				const pairedRole = this.getBackgroundRole(role);
+				const backgroundRole = scheme[pairedRole] ? pairedRole : 'surface';
+				backgrounds[role] = formatName(backgroundRole);
+
+				stateLayers[mode][role] = {};
+				for (const [state, color] of Object.entries(states)) {
+					stateLayers[mode][role][state] = ColorUtils.blendOver(color, scheme[backgroundRole]);
+				}
+			}
+		}
+
+		return {
+			...result,
+			stateLayers,
+			metadata: {
+				...result.metadata,
+				stateLayers: { mode: 'opaque', backgrounds }
+			}
+		};
+	}
+
+	/**
+	 * Get the scheme role a state layer is drawn on
+	 * Extended colors follow the generator's naming ("warning", "on warning", "warning container"...)
+	 * @param {string} role - State layer role
+	 * @returns {string} Background scheme role
+	 */
+	static getBackgroundRole(role) {
+		if (STATE_LAYER_BACKGROUND_ROLES[role]) {
+			return STATE_LAYER_BACKGROUND_ROLES[role];
+		}
+		// "on warning" is drawn on "warning", "on warning container" on "warning container"
+		if (role.startsWith('on ')) {
+			return role.substring(3);
+		}
+		if (role.endsWith(' container')) {
+			return role;
+		}
+		return 'surface';
+	}
+}
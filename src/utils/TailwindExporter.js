@@ -0,0 +1,136 @@
+import { CssExporter } from './CssExporter.js';
+import { FormatUtils } from './format.js';
+import { DEFAULT_CSS_PREFIX, DEFAULT_CSS_STRATEGY } from '../constants/materialDesign.js';
+
+const formatUtils = new FormatUtils();
+
+// Tailwind dark variant matching each CSS strategy: light-dark() follows color-scheme,
+// which follows the OS preference like the media strategy
+const DARK_SELECTORS = {
+	'data-attribute': '[data-theme="dark"]'
+};
+
+/**
+ * Tailwind CSS theme export
+ *
+ * Scheme roles become Tailwind colors reading the CSS custom properties of CssExporter,
+ * so they switch to the dark scheme on their own, and Tailwind's dark: variant is configured
+ * with the same selector or media query. Tonal palette tones are static colors (primary-40).
+ */
+export class TailwindExporter {
+	/**
+	 * Convert a result to a Tailwind CSS v3 config module
+	 * Custom properties are added to the base layer by an inline plugin
+	 * @param {Object} result - Unformatted result, already filtered by the tonal palette toggle
+	 * @param {Object} options - CSS options (prefix, strategy, namingFormat), see CssExporter.toCss
+	 * @returns {string} CommonJS module for tailwind.config.js presets
+	 */
+	static toV3Config(result, options = {}) {
+		const { strategy = DEFAULT_CSS_STRATEGY } = options;
+		const colors = [
+			...this.getRoleColors(result, options).map(([name, variable]) =>
+				// <alpha-value> keeps opacity modifiers (bg-primary/50) working with CSS variables
+				[name, `color-mix(in srgb, var(${variable}) calc(<alpha-value> * 100%), transparent)`]
+			),
+			...this.getPaletteColors(result, options)
+		];
+		const darkMode = DARK_SELECTORS[strategy] ? `['selector', '${DARK_SELECTORS[strategy]}']` : `'media'`;
+
+		return [
+			'// Material color tokens for Tailwind CSS v3: add to presets in tailwind.config.js',
+			'// Role colors read CSS variables and switch to the dark scheme on their own',
+			`const plugin = require('tailwindcss/plugin');`,
+			'',
+			'module.exports = {',
+			`\tdarkMode: ${darkMode},`,
+			'\ttheme: {',
+			'\t\textend: {',
+			'\t\t\tcolors: {',
+			colors.map(([name, value]) => `\t\t\t\t${this.quote(name)}: ${this.quote(value)}`).join(',\n'),
+			'\t\t\t}',
+			'\t\t}',
+			'\t},',
+			'\tplugins: [',
+			`\t\tplugin(({ addBase }) => addBase(${this.toJs(this.getBaseStyles(result, options), 3)}))`,
+			'\t]',
+			'};',
+			''
+		].join('\n');
+	}
+
+	/**
+	 * Convert a result to a Tailwind CSS v4 stylesheet
+	 * @param {Object} result - Unformatted result, already filtered by the tonal palette toggle
+	 * @param {Object} options - CSS options (prefix, strategy, namingFormat), see CssExporter.toCss
+	 * @returns {string} Stylesheet to import after tailwindcss
+	 */
+	static toV4Theme(result, options = {}) {
+		const { strategy = DEFAULT_CSS_STRATEGY } = options;
+		const darkSelector = DARK_SELECTORS[strategy];
+		const theme = [
+			...this.getRoleColors(result, options).map(([name, variable]) => [`--color-${name}`, `var(${variable})`]),
+			...this.getPaletteColors(result, options).map(([name, color]) => [`--color-${name}`, color])
+		];
+
+		return [
+			'/* Material color tokens for Tailwind CSS v4: import after "tailwindcss" */',
+			...(darkSelector ? [`@custom-variant dark (&:where(${darkSelector}, ${darkSelector} *));`] : []),
+			CssExporter.toCss({ schemes: result?.schemes }, options).trimEnd(),
+			// inline: utilities use the role variables directly, so they follow the dark scheme
+			CssExporter.formatRule({ selectors: ['@theme inline'], properties: theme })
+		].join('\n\n') + '\n';
+	}
+
+	/**
+	 * Tailwind color name and custom property of every scheme role
+	 * @returns {Array<[string, string]>} Color name (naming format applied) and custom property name
+	 */
+	static getRoleColors(result, { prefix = DEFAULT_CSS_PREFIX, namingFormat = 'kebab-case' } = {}) {
+		const roles = new Set(Object.values(result?.schemes || {}).flatMap(scheme => Object.keys(scheme)));
+
+		return [...roles].map(role => [
+			formatUtils.formatIdentifier([role], namingFormat),
+			CssExporter.getPropertyName(prefix, [role], namingFormat)
+		]);
+	}
+
+	/**
+	 * Tailwind color name and value of every tonal palette tone
+	 * @returns {Array<[string, string]>} Color name (e.g. primary-40) and hex
+	 */
+	static getPaletteColors(result, { namingFormat = 'kebab-case' } = {}) {
+		return Object.entries(result?.tonalPalettes || {}).flatMap(([palette, tones]) =>
+			Object.entries(tones).map(([tone, color]) => [formatUtils.formatIdentifier([palette, tone], namingFormat), color])
+		);
+	}
+
+	/**
+	 * Scheme custom properties as a CSS-in-JS object for addBase
+	 */
+	static getBaseStyles(result, options) {
+		const styles = {};
+
+		for (const { selectors, properties, media } of CssExporter.getRules({ schemes: result?.schemes }, options)) {
+			const target = media ? (styles[`@media ${media}`] ??= {}) : styles;
+			target[selectors.join(', ')] = Object.fromEntries(properties);
+		}
+
+		return styles;
+	}
+
+	/**
+	 * Write a CSS-in-JS object as an indented JavaScript literal
+	 */
+	static toJs(value, depth) {
+		const indent = '\t'.repeat(depth + 1);
+		const entries = Object.entries(value).map(([key, entry]) =>
+			`${indent}${this.quote(key)}: ${typeof entry === 'object' ? this.toJs(entry, depth + 1) : this.quote(entry)}`
+		);
+
+		return `{\n${entries.join(',\n')}\n${'\t'.repeat(depth)}}`;
+	}
+
+	static quote(text) {
+		return `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+	}
+}
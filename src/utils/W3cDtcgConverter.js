@@ -1,17 +1,25 @@
 import { ColorUtils } from '../utils/color.js';
+import { FormatUtils } from '../utils/format.js';
+import { WideGamutMapper } from './WideGamutMapper.js';
+import { ROLE_PALETTE_PATTERNS, VALID_COLOR_ROLES } from '../constants/materialDesign.js';
 
 /**
  * Converter for W3C Design Tokens Community Group (W3C DTCG) format
  * Transforms the standard Material Colors JSON to W3C Design Tokens structure
+ * Wide gamut colors are DTCG color objects (display-p3 components with an sRGB hex fallback)
+ * In alias mode scheme roles reference the tonal palette token of their tone ({Semantic colors.Tonal Palettes.primary 40})
  */
 export class W3cDtcgConverter {
     /**
      * Convert standard format to W3C DTCG format
      * @param {Object} standardJson - Standard Material Colors JSON
      * @param {string} collectionName - Top-level collection name (e.g., Figma variables collection)
+     * @param {Object} options - Conversion options
+     * @param {boolean} options.aliases - Reference tonal palette tokens from scheme roles when a tone matches exactly
+     * @param {Function} options.formatKey - Formats reference path segments the way the token keys will be formatted
      * @returns {Object} W3C DTCG format JSON
      */
-    static convertToW3cDtcgFormat(standardJson, collectionName = 'Semantic colors') {
+    static convertToW3cDtcgFormat(standardJson, collectionName = 'Semantic colors', { aliases = false, formatKey = key => key } = {}) {
         if (!standardJson || typeof standardJson !== 'object') {
             return { error: 'Invalid JSON structure' };
         }
@@ -24,21 +32,29 @@ export class W3cDtcgConverter {
         // Convert schemes
         if (standardJson.schemes) {
             designTokens[topLevelCollection]["Schemes"] = {};
-            const lightColors = standardJson.schemes.light || {};
-            const darkColors = standardJson.schemes.dark || {};
+            const modes = Object.keys(standardJson.schemes);
             
             // Get all unique color names (already formatted by FormatUtils)
-            const allColorNames = new Set([...Object.keys(lightColors), ...Object.keys(darkColors)]);
+            const allColorNames = new Set(modes.flatMap(mode => Object.keys(standardJson.schemes[mode] || {})));
             
             allColorNames.forEach(colorName => {
                 const values = {};
                 
-                if (lightColors[colorName]) {
-                    values.Light = ColorUtils.convertToDesignTokenColor(lightColors[colorName]);
-                }
-                if (darkColors[colorName]) {
-                    values.Dark = ColorUtils.convertToDesignTokenColor(darkColors[colorName]);
-                }
+                modes.forEach(mode => {
+                    const color = standardJson.schemes[mode]?.[colorName];
+                    if (color) {
+                        const displayP3 = standardJson.wideGamut?.schemes?.[mode]?.[colorName];
+                        const paletteTone = aliases && this.findPaletteTone(standardJson, colorName, color, displayP3);
+                        if (paletteTone) {
+                            const path = [topLevelCollection, 'Tonal Palettes', `${paletteTone.palette} ${paletteTone.tone}`];
+                            values[FormatUtils.getModeName(mode) || mode] = `{${path.map((key, index) => (index ? formatKey(key) : key)).join('.')}}`;
+                        } else {
+                            values[FormatUtils.getModeName(mode) || mode] = displayP3
+                                ? WideGamutMapper.toDesignTokenColor(color, displayP3)
+                                : ColorUtils.convertToDesignTokenColor(color);
+                        }
+                    }
+                });
                 
                 designTokens[topLevelCollection]["Schemes"][colorName] = {
                     "$type": "color",
@@ -50,39 +66,40 @@ export class W3cDtcgConverter {
         // Convert state layers
         if (standardJson.stateLayers) {
             designTokens[topLevelCollection]["State Layers"] = {};
-            const lightStateLayers = standardJson.stateLayers.light || {};
-            const darkStateLayers = standardJson.stateLayers.dark || {};
+            const modes = Object.keys(standardJson.stateLayers);
             
             // Collect all state layer variable names
-            const allStateLayerVars = new Set();
-			
-			Object.keys(lightStateLayers).forEach(colorType => {
-				Object.keys(lightStateLayers[colorType]).forEach(stateType => {
-					allStateLayerVars.add(`${colorType} ${stateType}`);
-				});
-			});
+            const allStateLayerVars = new Map();
 			
-			Object.keys(darkStateLayers).forEach(colorType => {
-				Object.keys(darkStateLayers[colorType]).forEach(stateType => {
-					allStateLayerVars.add(`${colorType} ${stateType}`);
+			modes.forEach(mode => {
+				const modeStateLayers = standardJson.stateLayers[mode] || {};
+				Object.keys(modeStateLayers).forEach(colorType => {
+					Object.keys(modeStateLayers[colorType]).forEach(stateType => {
+						allStateLayerVars.set(`${colorType} ${stateType}`, { colorType, stateType });
+					});
 				});
 			});
 			            
-            allStateLayerVars.forEach(variableName => {
+            allStateLayerVars.forEach(({ colorType, stateType }, variableName) => {
                 const values = {};
-                const [colorType, stateType] = variableName.split(' ', 2);
                 
-                if (lightStateLayers[colorType]?.[stateType]) {
-                    values.Light = ColorUtils.convertToDesignTokenColor(lightStateLayers[colorType][stateType]);
-                }
-                if (darkStateLayers[colorType]?.[stateType]) {
-                    values.Dark = ColorUtils.convertToDesignTokenColor(darkStateLayers[colorType][stateType]);
-                }
+                modes.forEach(mode => {
+                    const color = standardJson.stateLayers[mode]?.[colorType]?.[stateType];
+                    if (color) {
+                        values[FormatUtils.getModeName(mode) || mode] = ColorUtils.convertToDesignTokenColor(color);
+                    }
+                });
                 
                 designTokens[topLevelCollection]["State Layers"][variableName] = {
                     "$type": "color",
                     "$value": values
                 };
+                
+                // Opaque state layers: document which color they were blended over
+                const background = standardJson.metadata?.stateLayers?.backgrounds?.[colorType];
+                if (background) {
+                    designTokens[topLevelCollection]["State Layers"][variableName]["$description"] = `Opaque, pre-composited over ${background}`;
+                }
             });
         }
         
@@ -93,7 +110,10 @@ export class W3cDtcgConverter {
                 const palette = standardJson.tonalPalettes[paletteName];
                 Object.keys(palette).forEach(tone => {
                     const variableName = `${paletteName} ${tone}`;
-                    const colorValue = ColorUtils.convertToDesignTokenColor(palette[tone]);
+                    const displayP3 = standardJson.wideGamut?.tonalPalettes?.[paletteName]?.[tone];
+                    const colorValue = displayP3
+                        ? WideGamutMapper.toDesignTokenColor(palette[tone], displayP3)
+                        : ColorUtils.convertToDesignTokenColor(palette[tone]);
                     
                     designTokens[topLevelCollection]["Tonal Palettes"][variableName] = {
                         "$type": "color",
@@ -105,4 +125,40 @@ export class W3cDtcgConverter {
         
         return designTokens;
     }
+
+    /**
+     * Find the tonal palette tone a role color is, for alias references
+     * Hue preservation, chroma multipliers or tones missing from the tone set leave no exact tone
+     * @param {Object} standardJson - Standard Material Colors JSON
+     * @param {string} role - Scheme role
+     * @param {string} color - Role hex in the mode
+     * @param {Object} [displayP3] - Role Display P3 color, which the tone must share
+     * @returns {{palette: string, tone: string}|null} Palette and tone, null without an exact match
+     */
+    static findPaletteTone(standardJson, role, color, displayP3) {
+        const palette = this.getRolePalette(role, Object.keys(standardJson.tonalPalettes || {}));
+        const tones = standardJson.tonalPalettes?.[palette] || {};
+        const tone = Object.keys(tones).find(tone =>
+            tones[tone].toLowerCase() === color.toLowerCase()
+            && JSON.stringify(standardJson.wideGamut?.tonalPalettes?.[palette]?.[tone]) === JSON.stringify(displayP3)
+        );
+
+        return tone === undefined ? null : { palette, tone };
+    }
+
+    /**
+     * Get the tonal palette a role reads its tone from
+     * @param {string} role - Scheme role (onPrimaryContainer, "on warning container")
+     * @param {Array<string>} paletteNames - Tonal palette names of the result
+     * @returns {string|undefined} Palette name
+     */
+    static getRolePalette(role, paletteNames) {
+        // Extended roles are named after their color ("warning container", "on warning")
+        const extendedRole = role.replace(/^on /, '');
+        const extendedPalette = paletteNames
+            .filter(name => !VALID_COLOR_ROLES.includes(name))
+            .find(name => extendedRole === name || extendedRole.startsWith(`${name} `));
+
+        return extendedPalette ?? ROLE_PALETTE_PATTERNS.find(({ pattern }) => pattern.test(role))?.palette;
+    }
 }
@@ -0,0 +1,154 @@
+import { converter, clampChroma } from 'culori';
+import { Cam16, ViewingConditions, yFromLstar } from '@materialx/material-color-utilities';
+
+const toOklch = converter('oklch');
+const toP3 = converter('p3');
+
+// Binary search steps to find the CAM16 lightness matching a tone
+const TONE_SEARCH_STEPS = 24;
+
+/**
+ * Display P3 values for wide gamut themes
+ *
+ * Every sRGB hex stays as the gamut-mapped fallback. Its Display P3 counterpart keeps the
+ * final OKLCH lightness and hue (so hue preservation still applies) and raises chroma
+ * toward what the palette requested (in HCT, or in OKLCH for OKLCH palettes), as far as Display P3 allows.
+ * State layers stay sRGB.
+ */
+export class WideGamutMapper {
+	/**
+	 * Add Display P3 values for scheme roles and palette tones
+	 * @param {Object} result - Generated result with internal colorIntents
+	 * @returns {Object} Result with wideGamut: {schemes, tonalPalettes} of color(display-p3 ...) strings
+	 */
+	static addDisplayP3(result) {
+		const intents = result?.colorIntents;
+		if (!intents) {
+			return result;
+		}
+
+		const wideGamut = { schemes: {}, tonalPalettes: {} };
+
+		for (const [mode, scheme] of Object.entries(result.schemes || {})) {
+			wideGamut.schemes[mode] = {};
+			for (const [role, hex] of Object.entries(scheme)) {
+				wideGamut.schemes[mode][role] = this.toDisplayP3(hex, intents.schemes[mode]?.[role]);
+			}
+		}
+
+		for (const [paletteName, palette] of Object.entries(result.tonalPalettes || {})) {
+			const paletteIntent = intents.tonalPalettes[paletteName];
+			wideGamut.tonalPalettes[paletteName] = {};
+			for (const [tone, hex] of Object.entries(palette)) {
+				const toneIntent = paletteIntent?.oklchChromaByTone
+					? { oklchChroma: paletteIntent.oklchChromaByTone[tone] }
+					: paletteIntent && { ...paletteIntent, tone: Number(tone) };
+				wideGamut.tonalPalettes[paletteName][tone] = this.toDisplayP3(hex, toneIntent);
+			}
+		}
+
+		return { ...result, wideGamut };
+	}
+
+	/**
+	 * Convert an sRGB color to Display P3, restoring chroma sRGB had to drop
+	 * @param {string} hex - Final sRGB color
+	 * @param {{hue: number, chroma: number, tone: number}|{oklchChroma: number}|undefined} intent - Requested HCT
+	 *     color, or OKLCH chroma for OKLCH palettes
+	 * @returns {string} color(display-p3 r g b)
+	 */
+	static toDisplayP3(hex, intent) {
+		const color = toOklch(hex);
+		const intendedChroma = intent?.oklchChroma ?? (intent ? this.getIntendedChroma(intent) : 0);
+		const chroma = Math.max(color.c ?? 0, intendedChroma);
+		const wideColor = clampChroma({ mode: 'oklch', l: color.l, c: chroma, h: color.h ?? 0 }, 'oklch', 'p3');
+
+		return this.formatDisplayP3(toP3(wideColor));
+	}
+
+	/**
+	 * OKLCH chroma of an HCT color, without clamping it to sRGB
+	 * @param {{hue: number, chroma: number, tone: number}} intent - Requested HCT color
+	 * @returns {number} OKLCH chroma
+	 */
+	static getIntendedChroma({ hue, chroma, tone }) {
+		if (chroma <= 0 || tone <= 0 || tone >= 100) {
+			return 0;
+		}
+
+		// Tone is L*, so find the CAM16 lightness J whose luminance matches it
+		const targetY = yFromLstar(tone);
+		const getXyz = j => Cam16.fromJch(j, chroma, hue).xyzInViewingConditions(ViewingConditions.DEFAULT);
+		let low = 0;
+		let high = 100;
+		for (let step = 0; step < TONE_SEARCH_STEPS; step++) {
+			const j = (low + high) / 2;
+			if (getXyz(j)[1] < targetY) {
+				low = j;
+			} else {
+				high = j;
+			}
+		}
+
+		const [x, y, z] = getXyz((low + high) / 2);
+		const intendedChroma = toOklch({ mode: 'xyz65', x: x / 100, y: y / 100, z: z / 100 }).c;
+		return Number.isFinite(intendedChroma) ? intendedChroma : 0;
+	}
+
+	/**
+	 * Format a culori p3 color as CSS
+	 * @param {Object} color - culori p3 color
+	 * @returns {string} color(display-p3 r g b)
+	 */
+	static formatDisplayP3(color) {
+		const channels = [color.r, color.g, color.b].map(channel => Math.round(Math.min(1, Math.max(0, channel)) * 10000) / 10000);
+		return `color(display-p3 ${channels.join(' ')})`;
+	}
+
+	/**
+	 * Parse channels of a color(display-p3 ...) string
+	 * @param {string} displayP3 - color(display-p3 r g b)
+	 * @returns {Array<number>|null} [r, g, b] in 0-1
+	 */
+	static parseDisplayP3(displayP3) {
+		const match = /^color\(display-p3 ([\d.]+) ([\d.]+) ([\d.]+)\)$/.exec(displayP3 || '');
+		return match ? match.slice(1).map(Number) : null;
+	}
+
+	/**
+	 * Replace scheme and palette hex values with {hex, wideGamut} pairs
+	 * Used for the plain JSON output (a displayP3 key would read display-p-3 in kebab-case)
+	 * @param {Object} result - Result with wideGamut
+	 * @returns {Object} Result with paired values and without wideGamut
+	 */
+	static pairColors(result) {
+		if (!result?.wideGamut) {
+			return result;
+		}
+
+		const { wideGamut, ...paired } = result;
+		const pairSection = (section, wideSection) => Object.fromEntries(Object.entries(section).map(([group, colors]) => [
+			group,
+			Object.fromEntries(Object.entries(colors).map(([name, hex]) => [
+				name,
+				wideSection?.[group]?.[name] ? { hex, wideGamut: wideSection[group][name] } : hex
+			]))
+		]));
+
+		if (paired.schemes) paired.schemes = pairSection(paired.schemes, wideGamut.schemes);
+		if (paired.tonalPalettes) paired.tonalPalettes = pairSection(paired.tonalPalettes, wideGamut.tonalPalettes);
+
+		return paired;
+	}
+
+	/**
+	 * Build a W3C DTCG color value with sRGB hex fallback
+	 * @param {string} hex - sRGB hex
+	 * @param {string} displayP3 - color(display-p3 r g b)
+	 * @returns {Object|string} DTCG color object, or the hex if there is no P3 value
+	 */
+	static toDesignTokenColor(hex, displayP3) {
+		const components = this.parseDisplayP3(displayP3);
+		return components ? { colorSpace: 'display-p3', components, hex } : hex;
+	}
+}
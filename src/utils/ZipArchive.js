@@ -0,0 +1,113 @@
+// CRC-32 (IEEE 802.3) lookup table
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) {
+		c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+	}
+	return c >>> 0;
+});
+
+// MS-DOS date of 1980-01-01, the earliest ZIP timestamp: archives of the same files are identical
+const DOS_DATE = (1 << 5) | 1;
+
+/**
+ * Minimal ZIP writer for export bundles
+ * Files are stored uncompressed: text tokens are small and this keeps the app dependency-free
+ */
+export class ZipArchive {
+	/**
+	 * Create a ZIP archive
+	 * @param {Object<string, string|Uint8Array>} files - File contents by path inside the archive
+	 * @returns {Uint8Array} Archive bytes
+	 */
+	static create(files) {
+		const encoder = new TextEncoder();
+		const localParts = [];
+		const centralParts = [];
+		let offset = 0;
+
+		for (const [path, content] of Object.entries(files)) {
+			const name = encoder.encode(path);
+			const data = typeof content === 'string' ? encoder.encode(content) : content;
+			const crc = this.crc32(data);
+
+			const local = this.header(30 + name.length, view => {
+				view.setUint32(0, 0x04034B50, true);
+				this.writeEntryFields(view, 4, crc, data.length);
+				view.setUint16(26, name.length, true);
+			});
+			local.set(name, 30);
+
+			const central = this.header(46 + name.length, view => {
+				view.setUint32(0, 0x02014B50, true);
+				view.setUint16(4, 20, true);
+				this.writeEntryFields(view, 6, crc, data.length);
+				view.setUint16(28, name.length, true);
+				view.setUint32(42, offset, true);
+			});
+			central.set(name, 46);
+
+			localParts.push(local, data);
+			centralParts.push(central);
+			offset += local.length + data.length;
+		}
+
+		const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+		const end = this.header(22, view => {
+			view.setUint32(0, 0x06054B50, true);
+			view.setUint16(8, centralParts.length, true);
+			view.setUint16(10, centralParts.length, true);
+			view.setUint32(12, centralSize, true);
+			view.setUint32(16, offset, true);
+		});
+
+		return this.concat([...localParts, ...centralParts, end]);
+	}
+
+	/**
+	 * Fields shared by local and central headers, from "version needed" to the sizes
+	 */
+	static writeEntryFields(view, start, crc, size) {
+		view.setUint16(start, 20, true);
+		// UTF-8 file names
+		view.setUint16(start + 2, 0x0800, true);
+		view.setUint16(start + 4, 0, true);
+		view.setUint16(start + 6, 0, true);
+		view.setUint16(start + 8, DOS_DATE, true);
+		view.setUint32(start + 10, crc, true);
+		view.setUint32(start + 14, size, true);
+		view.setUint32(start + 18, size, true);
+	}
+
+	/**
+	 * Allocate a zeroed header and fill it through a DataView
+	 */
+	static header(length, write) {
+		const bytes = new Uint8Array(length);
+		write(new DataView(bytes.buffer));
+		return bytes;
+	}
+
+	static concat(parts) {
+		const bytes = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+		let offset = 0;
+		for (const part of parts) {
+			bytes.set(part, offset);
+			offset += part.length;
+		}
+		return bytes;
+	}
+
+	/**
+	 * CRC-32 checksum of bytes
+	 * @param {Uint8Array} data - Bytes
+	 * @returns {number} Unsigned checksum
+	 */
+	static crc32(data) {
+		let crc = 0xFFFFFFFF;
+		for (const byte of data) {
+			crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+		}
+		return (crc ^ 0xFFFFFFFF) >>> 0;
+	}
+}
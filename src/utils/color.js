@@ -23,6 +23,28 @@ export class ColorUtils {
 		return `rgba(${r}, ${g}, ${b}, ${alpha})`;
 	}
 
+	/**
+	 * Blend an 8-digit hex color over an opaque background (source-over compositing)
+	 * @param {string} hex - 8-digit hex color (#RRGGBBAA)
+	 * @param {string} backgroundHex - 6-digit hex background color
+	 * @returns {string} Opaque 6-digit hex color
+	 */
+	static blendOver(hex, backgroundHex) {
+		if (!hex || hex.length !== 9 || !hex.startsWith('#')) {
+			return hex;
+		}
+		
+		const alpha = parseInt(hex.substring(7, 9), 16) / 255;
+		const channels = [1, 3, 5].map(index => {
+			const foreground = parseInt(hex.substring(index, index + 2), 16);
+			const background = parseInt(backgroundHex.substring(index, index + 2), 16);
+			const blended = Math.round(foreground * alpha + background * (1 - alpha));
+			return blended.toString(16).padStart(2, '0');
+		});
+		
+		return `#${channels.join('')}`;
+	}
+
 	/**
 	 * Convert transparent colors to rgba format recursively
 	 * @param {*} obj - Object to process
@@ -71,6 +71,35 @@ export class FormatUtils {
 			.replace(/^[^a-zA-Z]+/, '');
 	}
 
+	/**
+	 * Get display name for a scheme mode key
+	 * Accepts any naming format of a mode (lightMediumContrast, light-medium-contrast, Light Medium Contrast)
+	 * @param {string} key - Object key to check
+	 * @returns {string|null} Title Case mode name (e.g., "Dark High Contrast") or null if the key is not a mode
+	 */
+	static getModeName(key) {
+		const match = key.replace(/[\s-]+/g, '').match(/^(light|dark)(?:(medium|high)contrast)?$/i);
+		if (!match) {
+			return null;
+		}
+
+		const words = match[2] ? [match[1], match[2], 'contrast'] : [match[1]];
+		return words.map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join(' ');
+	}
+
+	/**
+	 * Get the scheme roles of extended colors
+	 * Core roles are camelCase, extended roles have spaces ("on success") except the color itself,
+	 * found through its "on" role: tonal palettes can't tell them apart as they may be filtered out
+	 * @param {Object} result - Unformatted result
+	 * @returns {Array<string>} Extended roles in scheme order
+	 */
+	static getExtendedRoles(result) {
+		const roles = new Set(Object.values(result?.schemes || {}).flatMap(scheme => Object.keys(scheme)));
+
+		return [...roles].filter(role => role.includes(' ') || roles.has(`on ${role}`));
+	}
+
 	/**
 	 * Transform object keys based on naming format
 	 * @param {Object} obj - Object to transform
@@ -88,30 +117,82 @@ export class FormatUtils {
 
 		const transformed = {};
 		for (const [key, value] of Object.entries(obj)) {
-			let newKey = key;
-			
-			// Preserve scheme mode names unchanged (Light, Dark, light, dark)
-			if (key.toLowerCase() === 'light' || key.toLowerCase() === 'dark') {
-				// Always use capitalized format: "Light" and "Dark"
-				newKey = key.charAt(0).toUpperCase() + key.slice(1).toLowerCase();
-			} else {
-				// Apply format transformations to all other keys
-				if (format === 'kebab-case') {
-					newKey = this.camelToKebab(key);
-				} else if (format === 'Title Case') {
-					newKey = this.camelToTitle(key);
-				} else if (format === 'camelCase' && (key.includes('-') || key.includes(' '))) {
-					// Convert hyphenated or spaced keys to camelCase
-					newKey = this.toCamelCase(key);
-				}
-				// camelCase is default, no transformation needed for already camelCase keys
-			}
-			
-			transformed[newKey] = this.transformKeys(value, format);
+			// W3C token properties ($value, $type...) hold data, not names
+			transformed[this.formatKey(key, format)] = key.startsWith('$') ? value : this.transformKeys(value, format);
 		}
 		return transformed;
 	}
 
+	/**
+	 * Format a single key or token name based on naming format
+	 * @param {string} key - Key to format
+	 * @param {string} format - Naming format (camelCase, kebab-case, Title Case)
+	 * @returns {string} Formatted key
+	 */
+	formatKey(key, format) {
+		// Preserve scheme mode names (light, darkHighContrast, Light Medium Contrast...)
+		const modeName = FormatUtils.getModeName(key);
+		if (modeName) {
+			// Always use Title Case format: "Light", "Dark High Contrast"
+			return modeName;
+		}
+
+		// Apply format transformations to all other keys
+		if (format === 'kebab-case') {
+			return this.camelToKebab(key);
+		} else if (format === 'Title Case') {
+			return this.camelToTitle(key);
+		} else if (format === 'camelCase' && (key.includes('-') || key.includes(' '))) {
+			// Convert hyphenated or spaced keys to camelCase
+			return this.toCamelCase(key);
+		}
+		// camelCase is default, no transformation needed for already camelCase keys
+		return key;
+	}
+
+	/**
+	 * Join name parts into an identifier (CSS custom property, Sass or Less variable)
+	 * Each part follows the naming format, spaces (Title Case, extended color names) become hyphens
+	 * @param {Array<string>} parts - Name parts (prefix, role, state...), empty parts are skipped
+	 * @param {string} format - Naming format (camelCase, kebab-case, Title Case)
+	 * @returns {string} Hyphen-joined identifier (e.g. md-on-primary-hover)
+	 */
+	formatIdentifier(parts, format) {
+		return parts
+			.map(part => this.formatKey(String(part), format).trim().replace(/\s+/g, '-'))
+			.filter(Boolean)
+			.join('-');
+	}
+
+	/**
+	 * Turn a role, mode or palette name into a lowerCamelCase identifier for generated source code
+	 * (Kotlin, Dart, Swift), whatever the naming format
+	 * @param {string} name - Name (onPrimary, "on warning container", lightHighContrast)
+	 * @returns {string} Identifier (e.g. onWarningContainer), prefixed with "_" if it would start with a digit
+	 */
+	formatCodeIdentifier(name) {
+		const identifier = this.formatKey(String(name), 'camelCase').replace(/[^A-Za-z0-9_]/g, '');
+		const camel = identifier.charAt(0).toLowerCase() + identifier.slice(1);
+		return /^[0-9]/.test(camel) ? `_${camel}` : camel;
+	}
+
+	/**
+	 * Transform W3C Design Tokens keys except the top-level collection name
+	 * @param {Object} w3cResult - W3C Design Tokens object
+	 * @param {string} namingFormat - Naming format to apply
+	 * @returns {Object} Transformed object with preserved collection name
+	 */
+	transformW3cKeysExceptTopLevel(w3cResult, namingFormat) {
+		const result = {};
+		
+		// Preserve top-level collection names, but transform their contents
+		Object.keys(w3cResult).forEach(topLevelKey => {
+			result[topLevelKey] = this.transformKeys(w3cResult[topLevelKey], namingFormat);
+		});
+		
+		return result;
+	}
+
 	/**
 	 * Apply format options to result (state layers and tonal palettes toggles)
 	 * @param {Object} result - Original result object
@@ -1,3 +1,31 @@
+import {
+	STYLE_OPTIONS,
+	SPEC_OPTIONS,
+	CONTRAST_OPTIONS,
+	CONTRAST_ALL,
+	DEFAULT_CONTRAST,
+	DEFAULT_INCLUDE_LEGACY_ROLES,
+	DEFAULT_TONE_SET,
+	TONE_SET_OPTIONS,
+	HUE_SPACE_OPTIONS,
+	HUE_CURVE_TYPES,
+	HUE_CURVE_MAX_OFFSET,
+	PALETTE_MODE_OPTIONS,
+	DEFAULT_PALETTE_MODE,
+	CHROMA_CURVE_OPTIONS,
+	DEFAULT_CHROMA_CURVE,
+	NAMING_FORMATS,
+	EXPORT_FORMAT_OPTIONS,
+	CSS_STRATEGY_OPTIONS,
+	STATE_LAYER_OPACITIES,
+	STATE_LAYER_MODES,
+	STATE_LAYER_ROLE_OPTIONS,
+	DEFAULT_STATE_LAYER_ROLES,
+	EXTENDED_STATE_LAYER_ROLE_OPTIONS,
+	DEFAULT_EXTENDED_STATE_LAYER_ROLES,
+	VALID_COLOR_ROLES
+} from '../constants/materialDesign.js';
+
 /**
  * Validation utilities for color inputs and UI data
  */
@@ -63,6 +91,112 @@ export function validateCustomColors(customColors) {
 	return validated;
 }
 
+/**
+ * Validate contrast selection
+ * @param {string} contrast - Contrast option value or CONTRAST_ALL
+ * @returns {string} Valid contrast selection
+ */
+export function validateContrast(contrast) {
+	const value = typeof contrast === 'string' ? contrast.trim().toUpperCase() : '';
+	const isKnown = value === CONTRAST_ALL || CONTRAST_OPTIONS.some(option => option.value === value);
+	return isKnown ? value : DEFAULT_CONTRAST;
+}
+
+/**
+ * Parse a list of tones
+ * Entries that aren't integers between 0 and 100 are dropped
+ * @param {Array<number>|string} tones - Array of tones or comma/space separated string (e.g. "4, 6, 12")
+ * @returns {Array<number>} Unique tones in ascending order
+ */
+export function parseToneList(tones) {
+	const entries = Array.isArray(tones)
+		? tones
+		: String(tones ?? '').split(/[\s,]+/).filter(Boolean).map(Number);
+
+	const valid = entries.filter(tone => Number.isInteger(tone) && tone >= 0 && tone <= 100);
+	return [...new Set(valid)].sort((a, b) => a - b);
+}
+
+/**
+ * Resolve a tone set selection to the list of tones to generate
+ * @param {string|Array<number>} tones - TONE_SET_OPTIONS value or custom list of tones
+ * @returns {Array<number>} Tones in ascending order (default set if nothing valid is given)
+ */
+export function resolveTones(tones) {
+	const defaultTones = TONE_SET_OPTIONS.find(option => option.value === DEFAULT_TONE_SET).tones;
+
+	if (typeof tones === 'string') {
+		const preset = TONE_SET_OPTIONS.find(option => option.value === tones.trim().toUpperCase());
+		if (preset) {
+			return preset.tones;
+		}
+	}
+
+	const customTones = parseToneList(tones);
+	return customTones.length > 0 ? customTones : defaultTones;
+}
+
+/**
+ * Validate state layer options
+ * Missing or invalid opacities fall back to STATE_LAYER_OPACITIES, unknown roles are dropped
+ * @param {Object} options - State layer options ({opacities, roles, extendedRoles})
+ * @returns {{opacities: Object<string, number>, roles: Array<string>, extendedRoles: Array<string>}} Valid options
+ */
+export function validateStateLayerOptions(options) {
+	const { opacities = {}, roles, extendedRoles } = options && typeof options === 'object' ? options : {};
+
+	const validOpacities = {};
+	Object.entries(STATE_LAYER_OPACITIES).forEach(([state, defaultOpacity]) => {
+		const opacity = opacities?.[state];
+		validOpacities[state] = typeof opacity === 'number' && opacity >= 0 && opacity <= 1 ? opacity : defaultOpacity;
+	});
+
+	const filterRoles = (values, roleOptions, defaults) => Array.isArray(values)
+		? roleOptions.map(option => option.value).filter(role => values.includes(role))
+		: defaults;
+
+	return {
+		opacities: validOpacities,
+		roles: filterRoles(roles, STATE_LAYER_ROLE_OPTIONS, DEFAULT_STATE_LAYER_ROLES),
+		extendedRoles: filterRoles(extendedRoles, EXTENDED_STATE_LAYER_ROLE_OPTIONS, DEFAULT_EXTENDED_STATE_LAYER_ROLES)
+	};
+}
+
+/**
+ * Validate hue curves, dropping invalid curves and points
+ * Points are sorted by tone (one point per tone), offsets clamped to ±HUE_CURVE_MAX_OFFSET
+ * @param {Object} hueCurves - Curves by palette name ({type, points: [{tone, offset}]})
+ * @returns {Object<string, {type: string, points: Array<{tone: number, offset: number}>}>} Valid curves
+ */
+export function validateHueCurves(hueCurves) {
+	const validCurves = {};
+	if (!hueCurves || typeof hueCurves !== 'object' || Array.isArray(hueCurves)) {
+		return validCurves;
+	}
+
+	Object.entries(hueCurves).forEach(([paletteName, curve]) => {
+		if (!HUE_CURVE_TYPES.some(option => option.value === curve?.type) || !Array.isArray(curve.points)) return;
+
+		const pointsByTone = new Map();
+		curve.points.forEach(point => {
+			const tone = Math.round(point?.tone);
+			const offset = point?.offset;
+			if (tone >= 0 && tone <= 100 && Number.isFinite(offset)) {
+				pointsByTone.set(tone, Math.max(-HUE_CURVE_MAX_OFFSET, Math.min(HUE_CURVE_MAX_OFFSET, offset)));
+			}
+		});
+
+		if (pointsByTone.size > 0) {
+			validCurves[paletteName] = {
+				type: curve.type,
+				points: [...pointsByTone].sort((a, b) => a[0] - b[0]).map(([tone, offset]) => ({ tone, offset }))
+			};
+		}
+	});
+
+	return validCurves;
+}
+
 /**
  * Build color scheme data from UI inputs
  * @param {Object} uiData - UI input values
@@ -77,6 +211,13 @@ export function buildFromUI(uiData) {
 		seedColor,
 		style,
 		colorSpec,
+		contrast,
+		includeLegacyRoles,
+		tones,
+		stateLayers,
+		wideGamut,
+		paletteMode,
+		chromaCurve,
 		customCoreColors = {}
 	} = uiData;
 
@@ -84,6 +225,13 @@ export function buildFromUI(uiData) {
 		seedColor: validateHexColor(seedColor || '#6750A4'),
 		style: (style || 'TONAL_SPOT').toUpperCase(),
 		colorSpec: (colorSpec || 'SPEC_2021').toUpperCase(),
+		contrast: validateContrast(contrast),
+		includeLegacyRoles: typeof includeLegacyRoles === 'boolean' ? includeLegacyRoles : DEFAULT_INCLUDE_LEGACY_ROLES,
+		tones: resolveTones(tones),
+		stateLayers: validateStateLayerOptions(stateLayers),
+		wideGamut: wideGamut === true,
+		paletteMode: PALETTE_MODE_OPTIONS.some(option => option.value === paletteMode) ? paletteMode : DEFAULT_PALETTE_MODE,
+		chromaCurve: CHROMA_CURVE_OPTIONS.some(option => option.value === chromaCurve) ? chromaCurve : DEFAULT_CHROMA_CURVE,
 		customCoreColors: validateCustomColors(customCoreColors)
 	};
 }
@@ -100,3 +248,159 @@ export function isValidHexColor(color) {
 	const hexRegex = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
 	return hexRegex.test(color);
 }
+
+/**
+ * Strictly validate a theme config file (used by the CLI)
+ * Unlike buildFromUI, nothing falls back to defaults silently: every problem is reported
+ * @param {Object} config - Parsed theme config
+ * @returns {Array<string>} List of validation errors (empty if the config is valid)
+ */
+export function validateThemeConfig(config) {
+	if (!config || typeof config !== 'object' || Array.isArray(config)) {
+		return ['Config must be a JSON object'];
+	}
+
+	const errors = [];
+	const checkOption = (value, field, allowed) => {
+		if (value !== undefined && !allowed.includes(value)) {
+			errors.push(`"${field}" must be one of: ${allowed.join(', ')}`);
+		}
+	};
+	const checkBoolean = (value, field) => {
+		if (value !== undefined && typeof value !== 'boolean') {
+			errors.push(`"${field}" must be a boolean`);
+		}
+	};
+
+	if (!isValidHexColor(config.seed)) {
+		errors.push('"seed" must be a hex color like #6750A4');
+	}
+
+	checkOption(config.style, 'style', STYLE_OPTIONS.map(option => option.value));
+	checkOption(config.spec, 'spec', SPEC_OPTIONS.map(option => option.value));
+	checkOption(config.contrast, 'contrast', [...CONTRAST_OPTIONS.map(option => option.value), CONTRAST_ALL]);
+	checkBoolean(config.includeLegacyRoles, 'includeLegacyRoles');
+	checkBoolean(config.preserveHue, 'preserveHue');
+	checkBoolean(config.neutralHueFromPrimary, 'neutralHueFromPrimary');
+	checkBoolean(config.wideGamut, 'wideGamut');
+	checkOption(config.hueSpace, 'hueSpace', HUE_SPACE_OPTIONS.map(option => option.value));
+	checkOption(config.paletteMode, 'paletteMode', PALETTE_MODE_OPTIONS.map(option => option.value));
+	checkOption(config.chromaCurve, 'chromaCurve', CHROMA_CURVE_OPTIONS.map(option => option.value));
+
+	if (config.hueCurves !== undefined) {
+		if (!config.hueCurves || typeof config.hueCurves !== 'object' || Array.isArray(config.hueCurves)) {
+			errors.push('"hueCurves" must be an object keyed by palette name');
+		} else {
+			Object.entries(config.hueCurves).forEach(([paletteName, curve]) => {
+				const field = `hueCurves.${paletteName}`;
+				const curveTypes = HUE_CURVE_TYPES.map(option => option.value);
+				if (!curveTypes.includes(curve?.type)) {
+					errors.push(`"${field}.type" must be one of: ${curveTypes.join(', ')}`);
+				}
+				if (!Array.isArray(curve?.points) || curve.points.length === 0) {
+					errors.push(`"${field}.points" must be a non-empty array of {tone, offset}`);
+					return;
+				}
+				curve.points.forEach((point, index) => {
+					if (typeof point?.tone !== 'number' || point.tone < 0 || point.tone > 100) {
+						errors.push(`"${field}.points[${index}].tone" must be a number between 0 and 100`);
+					}
+					if (typeof point?.offset !== 'number' || Math.abs(point.offset) > HUE_CURVE_MAX_OFFSET) {
+						errors.push(`"${field}.points[${index}].offset" must be a number between -${HUE_CURVE_MAX_OFFSET} and ${HUE_CURVE_MAX_OFFSET}`);
+					}
+				});
+			});
+		}
+	}
+
+	if (Array.isArray(config.tones)) {
+		if (config.tones.length === 0 || config.tones.some(tone => !Number.isInteger(tone) || tone < 0 || tone > 100)) {
+			errors.push('"tones" must be a non-empty list of integers between 0 and 100');
+		}
+	} else {
+		checkOption(config.tones, 'tones', TONE_SET_OPTIONS.map(option => option.value));
+	}
+
+	if (config.stateLayers !== undefined) {
+		const stateLayers = config.stateLayers;
+		if (!stateLayers || typeof stateLayers !== 'object' || Array.isArray(stateLayers)) {
+			errors.push('"stateLayers" must be an object');
+		} else {
+			if (stateLayers.opacities !== undefined) {
+				if (!stateLayers.opacities || typeof stateLayers.opacities !== 'object' || Array.isArray(stateLayers.opacities)) {
+					errors.push('"stateLayers.opacities" must be an object');
+				} else {
+					Object.entries(stateLayers.opacities).forEach(([state, opacity]) => {
+						if (!(state in STATE_LAYER_OPACITIES)) {
+							errors.push(`"stateLayers.opacities.${state}" is not a state (${Object.keys(STATE_LAYER_OPACITIES).join(', ')})`);
+						} else if (typeof opacity !== 'number' || opacity < 0 || opacity > 1) {
+							errors.push(`"stateLayers.opacities.${state}" must be a number between 0 and 1`);
+						}
+					});
+				}
+			}
+			const checkRoles = (roles, field, roleOptions) => {
+				const allowed = roleOptions.map(option => option.value);
+				if (roles !== undefined && (!Array.isArray(roles) || roles.some(role => !allowed.includes(role)))) {
+					errors.push(`"${field}" must be an array of: ${allowed.join(', ')}`);
+				}
+			};
+			checkRoles(stateLayers.roles, 'stateLayers.roles', STATE_LAYER_ROLE_OPTIONS);
+			checkRoles(stateLayers.extendedRoles, 'stateLayers.extendedRoles', EXTENDED_STATE_LAYER_ROLE_OPTIONS);
+		}
+	}
+
+	if (config.coreColors !== undefined) {
+		if (!config.coreColors || typeof config.coreColors !== 'object' || Array.isArray(config.coreColors)) {
+			errors.push('"coreColors" must be an object');
+		} else {
+			Object.entries(config.coreColors).forEach(([role, color]) => {
+				if (!VALID_COLOR_ROLES.includes(role)) {
+					errors.push(`"coreColors.${role}" is not a core color role (${VALID_COLOR_ROLES.join(', ')})`);
+				} else if (!isValidHexColor(color)) {
+					errors.push(`"coreColors.${role}" must be a hex color`);
+				}
+			});
+		}
+	}
+
+	if (config.extendedColors !== undefined) {
+		if (!Array.isArray(config.extendedColors)) {
+			errors.push('"extendedColors" must be an array');
+		} else {
+			config.extendedColors.forEach((extendedColor, index) => {
+				if (typeof extendedColor?.name !== 'string' || !extendedColor.name.trim()) {
+					errors.push(`"extendedColors[${index}].name" must be a non-empty string`);
+				}
+				if (!isValidHexColor(extendedColor?.color)) {
+					errors.push(`"extendedColors[${index}].color" must be a hex color`);
+				}
+				checkBoolean(extendedColor?.harmonize, `extendedColors[${index}].harmonize`);
+			});
+		}
+	}
+
+	const exportOptions = config.export;
+	if (exportOptions !== undefined) {
+		if (!exportOptions || typeof exportOptions !== 'object' || Array.isArray(exportOptions)) {
+			errors.push('"export" must be an object');
+		} else {
+			checkOption(exportOptions.namingFormat, 'export.namingFormat', NAMING_FORMATS);
+			if (exportOptions.collectionName !== undefined && typeof exportOptions.collectionName !== 'string') {
+				errors.push('"export.collectionName" must be a string');
+			}
+			checkBoolean(exportOptions.stateLayers, 'export.stateLayers');
+			checkOption(exportOptions.stateLayerMode, 'export.stateLayerMode', STATE_LAYER_MODES);
+			checkBoolean(exportOptions.tonalPalettes, 'export.tonalPalettes');
+			checkBoolean(exportOptions.w3c, 'export.w3c');
+			checkBoolean(exportOptions.w3cAliases, 'export.w3cAliases');
+			checkOption(exportOptions.format, 'export.format', EXPORT_FORMAT_OPTIONS.map(option => option.value));
+			if (exportOptions.cssPrefix !== undefined && typeof exportOptions.cssPrefix !== 'string') {
+				errors.push('"export.cssPrefix" must be a string');
+			}
+			checkOption(exportOptions.cssStrategy, 'export.cssStrategy', CSS_STRATEGY_OPTIONS.map(option => option.value));
+		}
+	}
+
+	return errors;
+}
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+
+import { generateTheme } from '../src/generateTheme.js';
+import { AccessibilityReport } from '../src/utils/AccessibilityReport.js';
+
+describe('AccessibilityReport.getApcaContrast', () => {
+	it('matches APCA 0.0.98G reference values', () => {
+		expect(AccessibilityReport.getApcaContrast('#000000', '#ffffff')).toBeCloseTo(106.04, 1);
+		expect(AccessibilityReport.getApcaContrast('#ffffff', '#000000')).toBeCloseTo(-107.88, 1);
+		expect(AccessibilityReport.getApcaContrast('#888888', '#ffffff')).toBeCloseTo(63.06, 1);
+		expect(AccessibilityReport.getApcaContrast('#777777', '#777777')).toBe(0);
+	});
+});
+
+describe('AccessibilityReport.build', () => {
+	it('lists core and extended pairs for light and dark', async () => {
+		const { raw } = await generateTheme({
+			seed: '#6750A4',
+			extendedColors: [{ name: 'Warning', color: '#FFAA00', harmonize: true }]
+		});
+		const rows = AccessibilityReport.build(raw);
+		const pairs = rows.filter(row => row.mode === 'light').map(row => `${row.foreground}/${row.background}`);
+
+		expect(new Set(rows.map(row => row.mode))).toEqual(new Set(Object.keys(raw.schemes)));
+		expect(pairs).toEqual(expect.arrayContaining([
+			'onPrimaryContainer/primaryContainer',
+			'onSurface/surfaceContainerLow',
+			'outline/surface',
+			'inverseOnSurface/inverseSurface',
+			'on warning container/warning container'
+		]));
+		expect(rows.find(row => row.foreground === 'onPrimary' && row.mode === 'light')).toMatchObject({
+			kind: 'text',
+			wcagLevel: 'AA',
+			wcagPass: true,
+			apcaPass: true
+		});
+		expect(rows.find(row => row.foreground === 'outline')).toMatchObject({ kind: 'ui', wcagPass: true });
+	});
+});
+
+describe('AccessibilityReport exports', () => {
+	const rows = [
+		{ mode: 'light', foreground: 'onPrimary', background: 'primary', foregroundHex: '#ffffff', backgroundHex: '#6750a4',
+			kind: 'text', wcag: 6.44, wcagLevel: 'AA', wcagPass: true, apca: -84.2, apcaLevel: 'Body text', apcaPass: true },
+		{ mode: 'dark', foreground: 'outline', background: 'surface', foregroundHex: '#444444', backgroundHex: '#141218',
+			kind: 'ui', wcag: 1.9, wcagLevel: 'Fail', wcagPass: false, apca: -9.1, apcaLevel: 'Fail', apcaPass: false }
+	];
+
+	it('writes one CSV line per row', () => {
+		expect(AccessibilityReport.toCsv(rows).split('\n')).toEqual([
+			'mode,foreground,background,foregroundHex,backgroundHex,kind,wcag,wcagLevel,wcagPass,apca,apcaLevel,apcaPass',
+			'light,onPrimary,primary,#ffffff,#6750a4,text,6.44,AA,true,-84.2,Body text,true',
+			'dark,outline,surface,#444444,#141218,ui,1.9,Fail,false,-9.1,Fail,false',
+			''
+		]);
+	});
+
+	it('writes a Markdown table per mode with badges', () => {
+		const markdown = AccessibilityReport.toMarkdown(rows);
+
+		expect(markdown).toContain('## light\n\n1 pair, 0 failing');
+		expect(markdown).toContain('| onPrimary | primary | `#ffffff` / `#6750a4` | 6.44:1 | ✅ AA | -84.2 | ✅ Body text |');
+		expect(markdown).toContain('| outline | surface | `#444444` / `#141218` | 1.9:1 | ❌ Fail | -9.1 | ❌ Fail |');
+	});
+});
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+
+import { AndroidExporter } from '../src/utils/AndroidExporter.js';
+
+const result = {
+	schemes: {
+		light: { primary: '#6750a4', onPrimary: '#ffffff', primaryFixed: '#e9ddff', warning: '#8b5000', 'on warning': '#ffffff' },
+		dark: { primary: '#d0bcff', onPrimary: '#381e72', primaryFixed: '#e9ddff', warning: '#ffb870', 'on warning': '#4a2800' },
+		lightHighContrast: { primary: '#3d2a78', onPrimary: '#ffffff', primaryFixed: '#4f3d8c', warning: '#4f2b00', 'on warning': '#ffffff' }
+	},
+	tonalPalettes: {
+		neutralVariant: { 40: '#605d66' }
+	}
+};
+
+describe('AndroidExporter', () => {
+	it('writes light and dark color resources', () => {
+		const files = AndroidExporter.toFiles(result);
+
+		expect(Object.keys(files)).toEqual(['res/values/colors.xml', 'res/values-night/colors.xml', 'ui/theme/Color.kt', 'ui/theme/Theme.kt']);
+		expect(files['res/values/colors.xml']).toContain('    <color name="md_theme_light_on_primary">#FFFFFFFF</color>');
+		expect(files['res/values/colors.xml']).toContain('    <color name="md_theme_light_high_contrast_on_warning">#FFFFFFFF</color>');
+		expect(files['res/values/colors.xml']).toContain('    <color name="md_palette_neutral_variant_40">#FF605D66</color>');
+		expect(files['res/values-night/colors.xml']).toContain('    <color name="md_theme_dark_primary">#FFD0BCFF</color>');
+		expect(files['res/values-night/colors.xml']).not.toContain('md_theme_light');
+		expect(files['res/values-night/colors.xml']).not.toContain('md_palette');
+	});
+
+	it('declares Compose colors per role and mode', () => {
+		const colorKt = AndroidExporter.toColorKt(result);
+
+		expect(colorKt).toContain('package com.example.ui.theme\n\nimport androidx.compose.ui.graphics.Color');
+		expect(colorKt).toContain('val onPrimaryLight = Color(0xFFFFFFFF)');
+		expect(colorKt).toContain('val onWarningLightHighContrast = Color(0xFFFFFFFF)');
+		expect(colorKt).toContain('val primaryLightHighContrast = Color(0xFF3D2A78)');
+		expect(colorKt).toContain('// Tonal palettes\nval neutralVariant40 = Color(0xFF605D66)');
+	});
+
+	it('builds color schemes and extended colors in Theme.kt', () => {
+		const themeKt = AndroidExporter.toThemeKt(result);
+
+		expect(themeKt).toContain('private val lightScheme = lightColorScheme(\n    primary = primaryLight,\n    onPrimary = onPrimaryLight\n)');
+		expect(themeKt).toContain('private val lightHighContrastScheme = lightColorScheme(');
+		expect(themeKt).toContain('private val darkScheme = darkColorScheme(');
+		expect(themeKt).not.toContain('primaryFixed =');
+		expect(themeKt).toContain('@Immutable\ndata class ExtendedColors(\n    val warning: Color,\n    val onWarning: Color\n)');
+		expect(themeKt).toContain('private val darkExtendedColors = ExtendedColors(\n    warning = warningDark,\n    onWarning = onWarningDark\n)');
+		expect(themeKt).toContain('val LocalExtendedColors = staticCompositionLocalOf { lightExtendedColors }');
+		expect(themeKt).toContain('    CompositionLocalProvider(LocalExtendedColors provides extendedColors) {');
+	});
+
+	it('picks the schemes of the contrast parameter', () => {
+		const themeKt = AndroidExporter.toThemeKt(result);
+
+		expect(themeKt).toContain('enum class ThemeContrast { Standard, High }');
+		expect(themeKt).toContain('    darkTheme: Boolean = isSystemInDarkTheme(),\n    contrast: ThemeContrast = ThemeContrast.Standard,');
+		expect(themeKt).toContain([
+			'    val colorScheme = when (contrast) {',
+			'        ThemeContrast.Standard -> if (darkTheme) darkScheme else lightScheme',
+			'        ThemeContrast.High -> if (darkTheme) lightHighContrastScheme else lightHighContrastScheme',
+			'    }'
+		].join('\n'));
+		expect(themeKt).toContain('        ThemeContrast.High -> if (darkTheme) lightHighContrastExtendedColors else lightHighContrastExtendedColors');
+	});
+
+	it('pairs the light and dark schemes of a contrast level', () => {
+		const themeKt = AndroidExporter.toThemeKt({
+			schemes: {
+				light: { primary: '#6750a4' },
+				dark: { primary: '#d0bcff' },
+				lightHighContrast: { primary: '#3d2a78' },
+				darkHighContrast: { primary: '#f2e7ff' }
+			}
+		});
+
+		expect(themeKt).toContain('        ThemeContrast.High -> if (darkTheme) darkHighContrastScheme else lightHighContrastScheme');
+	});
+
+	it('quotes extended colors named after Kotlin keywords', () => {
+		const themeKt = AndroidExporter.toThemeKt({ schemes: { light: { class: '#8b5000', 'on class': '#ffffff' } } });
+
+		expect(themeKt).toContain('data class ExtendedColors(\n    val `class`: Color,\n    val onClass: Color\n)');
+		expect(themeKt).toContain('private val lightExtendedColors = ExtendedColors(\n    `class` = classLight,');
+	});
+
+	it('leaves out extended colors when there are none', () => {
+		const themeKt = AndroidExporter.toThemeKt({ schemes: { light: { primary: '#6750a4' }, dark: { primary: '#d0bcff' } } });
+
+		expect(themeKt).not.toContain('ExtendedColors');
+		expect(themeKt).not.toContain('import androidx.compose.ui.graphics.Color');
+		expect(themeKt).not.toContain('ThemeContrast');
+		expect(themeKt).toContain('    val colorScheme = if (darkTheme) darkScheme else lightScheme\n\n    MaterialTheme(colorScheme = colorScheme, content = content)');
+	});
+});
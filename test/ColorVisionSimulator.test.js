@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+
+import { generateTheme } from '../src/generateTheme.js';
+import { ColorVisionSimulator } from '../src/utils/ColorVisionSimulator.js';
+
+describe('ColorVisionSimulator.simulate', () => {
+	it('keeps grays', () => {
+		for (const deficiency of ['PROTANOPIA', 'DEUTERANOPIA', 'TRITANOPIA', 'ACHROMATOPSIA']) {
+			expect(ColorVisionSimulator.simulate('#808080', deficiency)).toBe('#808080');
+		}
+	});
+
+	it('reduces achromatopsia to gray', () => {
+		const [r, g, b] = ColorVisionSimulator.simulate('#6750a4', 'ACHROMATOPSIA').match(/\w\w/g);
+
+		expect(r).toBe(g);
+		expect(g).toBe(b);
+	});
+
+	it('rejects unknown deficiencies', () => {
+		expect(() => ColorVisionSimulator.simulate('#6750a4', 'NONE')).toThrow(/Unknown color vision deficiency/);
+	});
+});
+
+describe('ColorVisionSimulator.checkDistinguishability', () => {
+	it('pairs accents and containers with extended colors', () => {
+		expect(ColorVisionSimulator.getRolePairs(['success'])).toEqual([
+			['primary', 'tertiary'], ['primary', 'error'], ['primary', 'success'],
+			['tertiary', 'error'], ['tertiary', 'success'], ['error', 'success'],
+			['primaryContainer', 'tertiaryContainer'], ['primaryContainer', 'errorContainer'], ['primaryContainer', 'success container'],
+			['tertiaryContainer', 'errorContainer'], ['tertiaryContainer', 'success container'], ['errorContainer', 'success container']
+		]);
+	});
+
+	it('flags error against a green extended color for deuteranopia', async () => {
+		const { raw } = await generateTheme({
+			seed: '#6750A4',
+			extendedColors: [{ name: 'Success', color: '#2E7D32' }]
+		});
+		const warnings = ColorVisionSimulator.checkDistinguishability(raw);
+		const warning = warnings.find(({ deficiency, mode, first, second }) =>
+			deficiency === 'DEUTERANOPIA' && mode === 'light' && first === 'error' && second === 'success');
+
+		expect(warning.deltaE).toBeLessThan(0.05);
+		expect(warning.originalDeltaE).toBeGreaterThan(0.15);
+	});
+
+	it('simulates schemes and palettes with the result shape', async () => {
+		const { raw } = await generateTheme({ seed: '#6750A4' });
+		const simulated = ColorVisionSimulator.simulateResult(raw, 'TRITANOPIA');
+
+		expect(Object.keys(simulated.schemes.light)).toEqual(Object.keys(raw.schemes.light));
+		expect(Object.keys(simulated.tonalPalettes.primary)).toEqual(Object.keys(raw.tonalPalettes.primary));
+		expect(simulated.schemes.light.primary).not.toBe(raw.schemes.light.primary);
+	});
+});
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+
+import { wcagContrast } from 'culori';
+
+import { ContrastValidator } from '../src/utils/ContrastValidator.js';
+
+const originalScheme = {
+	primary: '#6750a4',
+	onPrimary: '#ffffff',
+	surface: '#fef7ff',
+	outlineVariant: '#cac4d0',
+	warning: '#855426',
+	'on warning': '#ffffff'
+};
+
+describe('ContrastValidator.getTargetRatio', () => {
+	it('targets the highest WCAG level the pair met', () => {
+		expect(ContrastValidator.getTargetRatio(12)).toBe(7);
+		expect(ContrastValidator.getTargetRatio(4.6)).toBe(4.5);
+		expect(ContrastValidator.getTargetRatio(3.2)).toBe(3);
+		expect(ContrastValidator.getTargetRatio(1.5)).toBeNull();
+	});
+});
+
+describe('ContrastValidator.validateScheme', () => {
+	it('keeps schemes that still meet their levels', () => {
+		const { scheme, adjustments } = ContrastValidator.validateScheme(originalScheme, originalScheme, ['warning']);
+
+		expect(scheme).toEqual(originalScheme);
+		expect(adjustments).toEqual([]);
+	});
+
+	it('moves a foreground away from its background until the level is met again', () => {
+		const processed = { ...originalScheme, onPrimary: '#c8bfe8', 'on warning': '#e0c0a0' };
+		const { scheme, adjustments } = ContrastValidator.validateScheme(processed, originalScheme, ['warning']);
+
+		expect(adjustments.map(({ foreground, target, met }) => [foreground, target, met])).toEqual([
+			['onPrimary', 4.5, true],
+			['on warning', 4.5, true]
+		]);
+		expect(wcagContrast(scheme.onPrimary, scheme.primary)).toBeGreaterThanOrEqual(4.5);
+		// Smallest change: still tinted, not pure white
+		expect(scheme.onPrimary).not.toBe('#ffffff');
+		expect(adjustments[0]).toMatchObject({ from: '#c8bfe8', to: scheme.onPrimary });
+	});
+
+	it('skips pairs that met no level before post-processing', () => {
+		const processed = { ...originalScheme, outlineVariant: '#eeeeee' };
+
+		expect(ContrastValidator.validateScheme(processed, originalScheme).adjustments).toEqual([]);
+	});
+});
@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+
+import { CssExporter } from '../src/utils/CssExporter.js';
+
+const result = {
+	schemes: {
+		light: { primary: '#6750a4', 'on warning': '#ffffff' },
+		dark: { primary: '#d0bcff', 'on warning': '#4a2800' },
+		lightHighContrast: { primary: '#3d2a78', 'on warning': '#ffffff' },
+		darkHighContrast: { primary: '#f2e7ff', 'on warning': '#000000' }
+	},
+	stateLayers: {
+		light: { primary: { hover: '#6750A414' } },
+		dark: { primary: { hover: '#D0BCFF14' } }
+	},
+	tonalPalettes: {
+		primary: { 0: '#000000', 40: '#6750a4' }
+	}
+};
+
+describe('CssExporter.toCss', () => {
+	it('writes light-dark() values with palettes on :root', () => {
+		const css = CssExporter.toCss(result);
+
+		expect(css).toContain([
+			':root {',
+			'\tcolor-scheme: light dark;',
+			'\t--md-sys-color-primary: light-dark(#6750a4, #d0bcff);',
+			'\t--md-sys-color-on-warning: light-dark(#ffffff, #4a2800);',
+			'\t--md-sys-color-primary-hover: light-dark(#6750A414, #D0BCFF14);',
+			'\t--md-sys-color-primary-0: #000000;',
+			'\t--md-sys-color-primary-40: #6750a4;',
+			'}'
+		].join('\n'));
+		expect(css).toContain('[data-contrast="high"] {\n\t--md-sys-color-primary: light-dark(#3d2a78, #f2e7ff);');
+	});
+
+	it('writes dark values in a prefers-color-scheme media query', () => {
+		const css = CssExporter.toCss(result, { strategy: 'media' });
+
+		expect(css).toContain(':root {\n\t--md-sys-color-primary: #6750a4;');
+		expect(css).toContain('@media (prefers-color-scheme: dark) {\n\t:root {\n\t\t--md-sys-color-primary: #d0bcff;');
+		expect(css).toContain('@media (prefers-color-scheme: dark) {\n\t[data-contrast="high"] {\n\t\t--md-sys-color-primary: #f2e7ff;');
+	});
+
+	it('writes data-theme selectors that outrank contrast selectors', () => {
+		const css = CssExporter.toCss(result, { strategy: 'data-attribute' });
+
+		expect(css).toContain(':root,\n[data-theme="light"] {\n\t--md-sys-color-primary: #6750a4;');
+		expect(css).toContain('[data-theme="dark"] {\n\t--md-sys-color-primary: #d0bcff;');
+		expect(css).toContain('[data-contrast="high"] {\n\t--md-sys-color-primary: #3d2a78;');
+		expect(css).toContain('[data-theme="dark"][data-contrast="high"] {\n\t--md-sys-color-primary: #f2e7ff;');
+	});
+
+	it('applies the prefix and naming format', () => {
+		expect(CssExporter.toCss(result, { prefix: '--brand-', namingFormat: 'camelCase' })).toContain('\t--brand-onWarning: light-dark(');
+		expect(CssExporter.toCss(result, { prefix: '', namingFormat: 'Title Case' })).toContain('\t--On-Warning: light-dark(');
+	});
+
+	it('leaves out sections missing from the result', () => {
+		const css = CssExporter.toCss({ schemes: { light: result.schemes.light, dark: result.schemes.dark } });
+
+		expect(css).not.toContain('hover');
+		expect(css).not.toContain('primary-40');
+		expect(css).not.toContain('data-contrast');
+	});
+});
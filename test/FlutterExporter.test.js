@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+
+import { FlutterExporter } from '../src/utils/FlutterExporter.js';
+
+const result = {
+	schemes: {
+		light: { primary: '#6750a4', primaryDim: '#5b4898', surfaceContainerHigh: '#ece6f0', inverseOnSurface: '#f5eff7', background: '#fef7ff', warning: '#8b5000', 'on warning': '#ffffff' },
+		dark: { primary: '#d0bcff', primaryDim: '#c4b0f3', surfaceContainerHigh: '#2b2930', inverseOnSurface: '#322f35', background: '#141218', warning: '#ffb870', 'on warning': '#4a2800' }
+	},
+	tonalPalettes: {
+		neutralVariant: { 40: '#605d66' }
+	}
+};
+
+describe('FlutterExporter.toDart', () => {
+	it('writes a ColorScheme per mode with Flutter parameter names', () => {
+		const dart = FlutterExporter.toDart(result);
+
+		expect(dart).toContain([
+			'const lightColorScheme = ColorScheme(',
+			'  brightness: Brightness.light,',
+			'  primary: Color(0xFF6750A4),',
+			'  surfaceContainerHigh: Color(0xFFECE6F0),',
+			'  onInverseSurface: Color(0xFFF5EFF7),',
+			');'
+		].join('\n'));
+		expect(dart).toContain('const darkColorScheme = ColorScheme(\n  brightness: Brightness.dark,');
+		expect(dart).not.toContain('primaryDim');
+		expect(dart).not.toContain('background:');
+	});
+
+	it('writes extended colors as a ThemeExtension', () => {
+		const dart = FlutterExporter.toDart(result);
+
+		expect(dart).toContain('class ExtendedColors extends ThemeExtension<ExtendedColors> {');
+		expect(dart).toContain('  final Color onWarning;');
+		expect(dart).toContain('      onWarning: onWarning ?? this.onWarning,');
+		expect(dart).toContain('      onWarning: Color.lerp(onWarning, other.onWarning, t)!,');
+		expect(dart).toContain('const darkExtendedColors = ExtendedColors(\n  warning: Color(0xFFFFB870),\n  onWarning: Color(0xFF4A2800),\n);');
+		expect(dart).toContain('final lightTheme = ThemeData(\n  colorScheme: lightColorScheme,\n  extensions: const [lightExtendedColors],\n);');
+		expect(dart).toContain('  static const neutralVariant40 = Color(0xFF605D66);');
+	});
+
+	it('escapes extended colors named after Dart reserved words', () => {
+		const dart = FlutterExporter.toDart({ schemes: { light: { class: '#8b5000', 'on class': '#ffffff', type: '#006a6a', 'on type': '#ffffff' } } });
+
+		expect(dart).toContain('  final Color class_;');
+		expect(dart).toContain('  final Color type_;');
+		expect(dart).toContain('  final Color onClass;');
+		expect(dart).toContain('const lightExtendedColors = ExtendedColors(\n  class_: Color(0xFF8B5000),');
+	});
+
+	it('leaves out extended colors and palettes when there are none', () => {
+		const dart = FlutterExporter.toDart({ schemes: { light: { primary: '#6750a4' } } });
+
+		expect(dart).not.toContain('ExtendedColors');
+		expect(dart).not.toContain('TonalPalettes');
+		expect(dart).toContain('final lightTheme = ThemeData(\n  colorScheme: lightColorScheme,\n);');
+	});
+});
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+
+import { HueCurve } from '../src/utils/HueCurve.js';
+import { validateHueCurves } from '../src/utils/validators.js';
+
+const points = [
+	{ tone: 10, offset: -10 },
+	{ tone: 50, offset: 0 },
+	{ tone: 90, offset: 8 }
+];
+
+describe('HueCurve.getOffset', () => {
+	it('is zero without a curve', () => {
+		expect(HueCurve.getOffset(null, 50)).toBe(0);
+		expect(HueCurve.getOffset({ type: 'linear', points: [] }, 50)).toBe(0);
+	});
+
+	it('interpolates linear segments and holds the ends', () => {
+		const curve = { type: 'linear', points };
+
+		expect(HueCurve.getOffset(curve, 0)).toBe(-10);
+		expect(HueCurve.getOffset(curve, 30)).toBe(-5);
+		expect(HueCurve.getOffset(curve, 70)).toBe(4);
+		expect(HueCurve.getOffset(curve, 100)).toBe(8);
+	});
+
+	it('passes bezier segments through every point without overshooting', () => {
+		const curve = { type: 'bezier', points: [{ tone: 10, offset: -10 }, { tone: 50, offset: 6 }, { tone: 90, offset: -4 }] };
+
+		curve.points.forEach(point => {
+			expect(HueCurve.getOffset(curve, point.tone)).toBeCloseTo(point.offset, 10);
+		});
+		for (let tone = 0; tone <= 100; tone++) {
+			const offset = HueCurve.getOffset(curve, tone);
+			expect(offset).toBeGreaterThanOrEqual(-10);
+			expect(offset).toBeLessThanOrEqual(6);
+		}
+	});
+});
+
+describe('validateHueCurves', () => {
+	it('sorts points, clamps offsets and drops invalid curves', () => {
+		expect(validateHueCurves({
+			primary: { type: 'bezier', points: [{ tone: 90, offset: 50 }, { tone: 10.4, offset: -5 }, { tone: 120, offset: 0 }] },
+			secondary: { type: 'spline', points },
+			tertiary: { type: 'linear', points: [] }
+		})).toEqual({
+			primary: { type: 'bezier', points: [{ tone: 10, offset: -5 }, { tone: 90, offset: 30 }] }
+		});
+	});
+});
@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+
+import { HueSpace } from '../src/utils/HueSpace.js';
+import { HUE_SPACE_OPTIONS } from '../src/constants/materialDesign.js';
+
+describe('HueSpace', () => {
+	it('falls back to OKLCH for unknown spaces', () => {
+		expect(HueSpace.get('XYZ').name).toBe('OKLCH');
+	});
+
+	describe.each(HUE_SPACE_OPTIONS.map(option => option.value))('%s', (name) => {
+		const space = HueSpace.get(name);
+
+		it('round-trips sRGB colors', () => {
+			for (const hex of ['#6750a4', '#ffaa00', '#0061a4', '#1d1b20']) {
+				expect(space.toHex(space.fromHex(hex))).toBe(hex);
+			}
+		});
+
+		it('clamps out-of-gamut chroma without moving lightness', () => {
+			const color = space.fromHex('#6750a4');
+			const saturated = { ...color, c: color.c * 4 };
+
+			expect(space.inGamut(color)).toBe(true);
+			expect(space.inGamut(saturated)).toBe(false);
+
+			const clamped = space.clampChroma(saturated);
+			expect(space.inGamut(clamped)).toBe(true);
+			expect(clamped.c).toBeLessThan(saturated.c);
+			expect(clamped.l).toBeCloseTo(color.l, 0);
+		});
+	});
+});
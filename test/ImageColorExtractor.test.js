@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+
+import { ImageColorExtractor } from '../src/utils/ImageColorExtractor.js';
+
+/**
+ * RGBA bytes with runs of solid colors
+ * @param {Array<[Array<number>, number]>} runs - RGBA color and pixel count
+ */
+const imageBytes = runs => {
+	const bytes = new Uint8ClampedArray(runs.reduce((size, [, count]) => size + count * 4, 0));
+	let offset = 0;
+	for (const [rgba, count] of runs) {
+		for (let pixel = 0; pixel < count; pixel++, offset += 4) {
+			bytes.set(rgba, offset);
+		}
+	}
+	return bytes;
+};
+
+const RED = [200, 40, 40, 255];
+const BLUE = [30, 80, 200, 255];
+const GREEN = [40, 160, 60, 255];
+const TRANSPARENT = [0, 0, 0, 0];
+
+describe('ImageColorExtractor.extractFromImageBytes', () => {
+	const bytes = imageBytes([[RED, 600], [BLUE, 300], [GREEN, 100], [TRANSPARENT, 500]]);
+
+	it('ranks seed candidates by score', () => {
+		expect(ImageColorExtractor.extractFromImageBytes(bytes)).toEqual({
+			seeds: ['#c82828', '#1e50c8', '#28a03c'],
+			extended: []
+		});
+	});
+
+	it('suggests the colors the seeds leave out, most prominent first', () => {
+		expect(ImageColorExtractor.extractFromImageBytes(bytes, { seedCount: 1 })).toEqual({
+			seeds: ['#c82828'],
+			extended: ['#1e50c8', '#28a03c']
+		});
+	});
+
+	it('skips transparent pixels', () => {
+		expect(ImageColorExtractor.extractFromImageBytes(imageBytes([[TRANSPARENT, 10]]))).toEqual({ seeds: [], extended: [] });
+	});
+});
+
+describe('ImageColorExtractor.getExtendedColorName', () => {
+	it('picks the first number no extended color uses', () => {
+		expect(ImageColorExtractor.getExtendedColorName([])).toBe('Image color 1');
+		expect(ImageColorExtractor.getExtendedColorName(['Warning', 'image color 1', 'Image color 3'])).toBe('Image color 2');
+	});
+});
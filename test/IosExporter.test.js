@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+
+import { IosExporter } from '../src/utils/IosExporter.js';
+
+const result = {
+	schemes: {
+		light: { primary: '#6750a4', 'on warning': '#ffffff' },
+		dark: { primary: '#d0bcff', 'on warning': '#4a2800' },
+		lightHighContrast: { primary: '#3d2a78', 'on warning': '#ffffff' },
+		darkHighContrast: { primary: '#f2e7ff', 'on warning': '#000000' }
+	},
+	tonalPalettes: {
+		neutralVariant: { 40: '#605d66' }
+	}
+};
+
+const colorsOf = (files, path) => JSON.parse(files[path]).colors;
+
+describe('IosExporter.toFiles', () => {
+	it('writes a colorset per role with dark and high contrast appearances', () => {
+		const files = IosExporter.toFiles(result);
+		const colors = colorsOf(files, 'MaterialColors.xcassets/onWarning.colorset/Contents.json');
+
+		expect(JSON.parse(files['MaterialColors.xcassets/Contents.json'])).toEqual({ info: { author: 'xcode', version: 1 } });
+		expect(colors.map(color => color.appearances?.map(({ value }) => value).join(' ') ?? 'any')).toEqual(['any', 'dark', 'high', 'dark high']);
+		expect(colors[1].color).toEqual({
+			'color-space': 'srgb',
+			components: { alpha: '1.000', blue: '0x00', green: '0x28', red: '0x4A' }
+		});
+	});
+
+	it('writes palette tones in a namespaced folder', () => {
+		const files = IosExporter.toFiles(result);
+
+		expect(JSON.parse(files['MaterialColors.xcassets/Palettes/Contents.json']).properties).toEqual({ 'provides-namespace': true });
+		expect(colorsOf(files, 'MaterialColors.xcassets/Palettes/neutralVariant40.colorset/Contents.json')).toHaveLength(1);
+		expect(files['Color+Theme.swift']).toContain('        static let neutralVariant40 = Color("Palettes/neutralVariant40")');
+	});
+
+	it('generates SwiftUI colors for every role', () => {
+		const swift = IosExporter.toFiles({ schemes: { light: result.schemes.light, dark: result.schemes.dark } })['Color+Theme.swift'];
+
+		expect(swift).toContain('extension Color {\n    enum Theme {\n        static let primary = Color("primary")\n        static let onWarning = Color("onWarning")\n    }\n}');
+		expect(swift).not.toContain('TonalPalette');
+	});
+
+	it('quotes colors named after Swift keywords', () => {
+		const files = IosExporter.toFiles({ schemes: { light: { class: '#8b5000', 'on class': '#ffffff' } } });
+
+		expect(files).toHaveProperty(['MaterialColors.xcassets/class.colorset/Contents.json']);
+		expect(files['Color+Theme.swift']).toContain('        static let `class` = Color("class")\n        static let onClass = Color("onClass")');
+	});
+
+	it('uses the only contrast level as the base appearance', () => {
+		const files = IosExporter.toFiles({
+			schemes: { lightMediumContrast: { primary: '#4f3d8c' }, darkMediumContrast: { primary: '#e0d2ff' } }
+		});
+		const colors = colorsOf(files, 'MaterialColors.xcassets/primary.colorset/Contents.json');
+
+		expect(colors).toHaveLength(2);
+		expect(colors[0].color.components.red).toBe('0x4F');
+		expect(colors[1].appearances).toEqual([{ appearance: 'luminosity', value: 'dark' }]);
+	});
+});
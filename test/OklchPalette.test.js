@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+
+import { converter } from 'culori';
+import { argbFromHex, Hct } from '@materialx/material-color-utilities';
+
+import { OklchPalette } from '../src/utils/OklchPalette.js';
+
+const toOklch = converter('oklch');
+const options = { hue: 250, peakChroma: 0.1, keyTone: 40 };
+
+describe('OklchPalette', () => {
+	it('maps tone to the OKLCH lightness of the gray with that L*', () => {
+		expect(OklchPalette.lightnessFromTone(0)).toBeCloseTo(0, 5);
+		expect(OklchPalette.lightnessFromTone(100)).toBeCloseTo(1, 5);
+	});
+
+	it('gives every tone its L* at the chosen chroma', () => {
+		const palette = new OklchPalette({ hue: 290, peakChroma: 0.15, keyTone: 40 });
+
+		[5, 20, 40, 60, 80, 90, 95, 98].forEach(tone => {
+			expect(Math.abs(Hct.fromInt(argbFromHex(palette.tone(tone))).tone - tone)).toBeLessThan(0.5);
+		});
+	});
+
+	it('peaks chroma at the key tone for every curve', () => {
+		const smooth = new OklchPalette({ ...options, chromaCurve: 'SMOOTH' });
+		const linear = new OklchPalette({ ...options, chromaCurve: 'LINEAR' });
+		const flat = new OklchPalette({ ...options, chromaCurve: 'FLAT' });
+
+		expect(smooth.getChroma(40)).toBe(0.1);
+		expect(linear.getChroma(20)).toBeCloseTo(0.06);
+		expect(smooth.getChroma(20)).toBeGreaterThan(linear.getChroma(20));
+		expect(flat.getChroma(90)).toBe(0.1);
+	});
+
+	it('keeps a chroma floor so light surfaces stay tinted', () => {
+		const smooth = new OklchPalette({ ...options, chromaCurve: 'SMOOTH' });
+
+		expect(smooth.getChroma(0)).toBeCloseTo(0.02);
+		expect(smooth.getChroma(100)).toBeCloseTo(0.02);
+		expect(toOklch(smooth.tone(98)).c).toBeGreaterThan(0.005);
+	});
+
+	it('keeps the hue and clamps chroma to sRGB', () => {
+		const palette = new OklchPalette({ ...options, peakChroma: 0.3, chromaCurve: 'FLAT' });
+
+		[20, 50, 80].forEach(tone => {
+			const color = toOklch(palette.tone(tone));
+			expect(color.h).toBeCloseTo(250, -1);
+			expect(color.c).toBeLessThan(0.3);
+		});
+	});
+});
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+
+import { SassExporter } from '../src/utils/SassExporter.js';
+
+const result = {
+	schemes: {
+		light: { primary: '#6750a4', 'on warning': '#ffffff' },
+		dark: { primary: '#d0bcff', 'on warning': '#4a2800' },
+		lightHighContrast: { primary: '#3d2a78', 'on warning': '#ffffff' }
+	},
+	stateLayers: {
+		light: { primary: { hover: '#6750A414' } },
+		dark: { primary: { hover: '#D0BCFF14' } }
+	},
+	tonalPalettes: {
+		primary: { 0: '#000000', 40: '#6750a4' }
+	}
+};
+
+describe('SassExporter.toScss', () => {
+	it('writes flat variables with the first mode unqualified', () => {
+		const scss = SassExporter.toScss(result);
+
+		expect(scss).toContain('// Light scheme\n$md-primary: #6750a4;\n$md-on-warning: #ffffff;\n$md-primary-hover: rgba(103, 80, 164, 0.08);');
+		expect(scss).toContain('$md-dark-primary: #d0bcff;');
+		expect(scss).toContain('$md-light-high-contrast-on-warning: #ffffff;');
+		expect(scss).toContain('// Tonal palettes\n$md-primary-0: #000000;\n$md-primary-40: #6750a4;');
+	});
+
+	it('writes nested maps', () => {
+		const scss = SassExporter.toScss(result);
+
+		expect(scss).toContain('$md-schemes: (\n\tlight: (\n\t\tprimary: #6750a4,\n\t\ton-warning: #ffffff,\n\t),\n\tdark: (');
+		expect(scss).toContain('\tlight-high-contrast: (\n');
+		expect(scss).toContain('$md-state-layers: (\n\tlight: (\n\t\tprimary: (\n\t\t\thover: rgba(103, 80, 164, 0.08),\n\t\t),\n\t),');
+		expect(scss).toContain('$md-palettes: (\n\tprimary: (\n\t\t0: #000000,\n\t\t40: #6750a4,\n\t),\n);');
+	});
+
+	it('applies the naming format and leaves out filtered sections', () => {
+		const scss = SassExporter.toScss({ schemes: result.schemes }, { namingFormat: 'camelCase' });
+
+		expect(scss).toContain('$md-onWarning: #ffffff;');
+		expect(scss).toContain('\t\tonWarning: #ffffff,');
+		expect(scss).not.toContain('$md-state-layers');
+		expect(scss).not.toContain('$md-palettes');
+	});
+});
+
+describe('SassExporter.toLess', () => {
+	it('writes flat variables and detached ruleset maps', () => {
+		const less = SassExporter.toLess(result);
+
+		expect(less).toContain('@md-primary: #6750a4;');
+		expect(less).toContain('@md-dark-on-warning: #4a2800;');
+		expect(less).toContain('@md-schemes: {\n\t@light: {\n\t\tprimary: #6750a4;\n\t\ton-warning: #ffffff;\n\t}');
+		expect(less).toContain('@md-palettes: {\n\t@primary: {\n\t\t0: #000000;\n\t\t40: #6750a4;\n\t}\n}');
+	});
+});
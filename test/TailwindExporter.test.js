@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+
+import { TailwindExporter } from '../src/utils/TailwindExporter.js';
+
+const result = {
+	schemes: {
+		light: { primary: '#6750a4', 'on warning': '#ffffff' },
+		dark: { primary: '#d0bcff', 'on warning': '#4a2800' }
+	},
+	tonalPalettes: {
+		primary: { 40: '#6750a4' },
+		warning: { 40: '#8b5000' }
+	}
+};
+
+describe('TailwindExporter.toV3Config', () => {
+	it('writes role colors reading CSS variables and static palette tones', () => {
+		const config = TailwindExporter.toV3Config(result);
+
+		expect(config).toContain(`darkMode: 'media',`);
+		expect(config).toContain(`'on-warning': 'color-mix(in srgb, var(--md-sys-color-on-warning) calc(<alpha-value> * 100%), transparent)'`);
+		expect(config).toContain(`'primary-40': '#6750a4',\n\t\t\t\t'warning-40': '#8b5000'`);
+		expect(config).toContain(`':root': {\n\t\t\t\t\t'color-scheme': 'light dark',\n\t\t\t\t\t'--md-sys-color-primary': 'light-dark(#6750a4, #d0bcff)'`);
+	});
+
+	it('configures the dark variant with the data-theme selector', () => {
+		const config = TailwindExporter.toV3Config(result, { strategy: 'data-attribute', prefix: 'brand', namingFormat: 'camelCase' });
+
+		expect(config).toContain(`darkMode: ['selector', '[data-theme="dark"]'],`);
+		expect(config).toContain(`'onWarning': 'color-mix(in srgb, var(--brand-onWarning)`);
+		expect(config).toContain(`'[data-theme="dark"]': {\n\t\t\t\t\t'--brand-primary': '#d0bcff'`);
+	});
+
+	it('nests dark values in the media query', () => {
+		const config = TailwindExporter.toV3Config(result, { strategy: 'media' });
+
+		expect(config).toContain(`'@media (prefers-color-scheme: dark)': {\n\t\t\t\t\t':root': {\n\t\t\t\t\t\t'--md-sys-color-primary': '#d0bcff'`);
+	});
+});
+
+describe('TailwindExporter.toV4Theme', () => {
+	it('maps theme colors to the role variables', () => {
+		const css = TailwindExporter.toV4Theme(result);
+
+		expect(css).not.toContain('@custom-variant');
+		expect(css).toContain(':root {\n\tcolor-scheme: light dark;\n\t--md-sys-color-primary: light-dark(#6750a4, #d0bcff);');
+		expect(css).not.toContain('--md-sys-color-primary-40');
+		expect(css).toContain([
+			'@theme inline {',
+			'\t--color-primary: var(--md-sys-color-primary);',
+			'\t--color-on-warning: var(--md-sys-color-on-warning);',
+			'\t--color-primary-40: #6750a4;',
+			'\t--color-warning-40: #8b5000;',
+			'}'
+		].join('\n'));
+	});
+
+	it('declares a dark variant for the data-theme selector', () => {
+		const css = TailwindExporter.toV4Theme({ schemes: result.schemes }, { strategy: 'data-attribute' });
+
+		expect(css).toContain('@custom-variant dark (&:where([data-theme="dark"], [data-theme="dark"] *));');
+		expect(css).toContain('[data-theme="dark"] {\n\t--md-sys-color-primary: #d0bcff;');
+		expect(css).not.toContain('-40');
+	});
+});
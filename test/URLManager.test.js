@@ -0,0 +1,172 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import { URLManager } from '../src/ui/managers/URLManager.js';
+
+const stubLocation = (search) => {
+	const replaceState = vi.fn();
+	vi.stubGlobal('window', { location: { search }, history: { replaceState } });
+	return replaceState;
+};
+
+const exportSettings = {
+	namingFormat: 'kebab-case',
+	collectionName: 'Semantic colors',
+	stateLayersEnabled: true,
+	stateLayerMode: 'alpha',
+	tonalPalettesEnabled: true,
+	w3cFormatEnabled: false,
+	w3cAliasesEnabled: false,
+	exportFormat: 'json',
+	cssPrefix: 'md-sys-color',
+	cssStrategy: 'light-dark'
+};
+
+describe('URLManager parsing', () => {
+	const urlManager = new URLManager();
+
+	it('parses valid core colors only', () => {
+		expect(urlManager.parseCore('primary:#FF0000,secondary:red,tertiary:#00FF00')).toEqual({
+			primary: '#FF0000',
+			tertiary: '#00FF00'
+		});
+		expect(urlManager.parseCore('primary:red')).toBeNull();
+		expect(urlManager.parseCore(null)).toBeNull();
+	});
+
+	it('parses extended colors with encoded names', () => {
+		expect(urlManager.parseExtended('Warning:#FFAA00:1,Brand%3A%20Blue:#0000FF:0,Bad:#FFF:1')).toEqual([
+			{ name: 'Warning', color: '#FFAA00', harmonize: true },
+			{ name: 'Brand: Blue', color: '#0000FF', harmonize: false }
+		]);
+		expect(urlManager.parseExtended('')).toEqual([]);
+	});
+
+	it('parses tone presets and custom lists', () => {
+		expect(urlManager.parseTones('STANDARD')).toBe('STANDARD');
+		expect(urlManager.parseTones('50,4,12,4,120')).toEqual([4, 12, 50]);
+		expect(urlManager.parseTones('abc')).toBeNull();
+		expect(urlManager.parseTones(null)).toBeNull();
+	});
+
+	it('parses hue curves', () => {
+		expect(urlManager.parseHueCurves('primary:bezier:10_-10;90_8,My%20Brand:linear:50_4,bad:spline:0_1')).toEqual({
+			primary: { type: 'bezier', points: [{ tone: 10, offset: -10 }, { tone: 90, offset: 8 }] },
+			'My Brand': { type: 'linear', points: [{ tone: 50, offset: 4 }] }
+		});
+		expect(urlManager.parseHueCurves('bad:spline:0_1')).toBeNull();
+	});
+
+	it('parses state layer opacities and roles', () => {
+		const params = new URLSearchParams('stateOpacity=pressed:0.2,hover:2,unknown:0.1&stateRoles=primary,onPrimary&stateExtended=');
+
+		expect(urlManager.parseStateLayers(params)).toEqual({
+			opacities: { pressed: 0.2 },
+			roles: ['primary', 'onPrimary'],
+			extendedRoles: []
+		});
+		expect(urlManager.parseStateLayers(new URLSearchParams(''))).toEqual({});
+	});
+});
+
+describe('URLManager.getSettingsFromURL', () => {
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	it('falls back to defaults for missing params', () => {
+		stubLocation('');
+		const settings = new URLManager().getSettingsFromURL();
+
+		expect(settings).toMatchObject({
+			seedColor: null,
+			tones: null,
+			includeLegacyRoles: true,
+			preserveHue: false,
+			hueSpace: null,
+			paletteMode: null,
+			chromaCurve: null,
+			stateLayers: {},
+			customCoreColors: null,
+			extendedColors: [],
+			exportSettings
+		});
+	});
+
+	it('reads every setting from the query string', () => {
+		stubLocation('?seed=%23FF0000&style=VIBRANT&spec=SPEC_2025&contrast=ALL&tones=FINE_5&legacyRoles=0&preserveHue=1&hueSpace=CIELCH&palette=OKLCH&chromaCurve=LINEAR'
+			+ '&format=camelCase&collection=Brand&stateLayers=0&stateLayerMode=opaque&tonalPalettes=0&w3c=1&w3cAliases=1'
+			+ '&export=css&cssPrefix=brand&cssStrategy=media');
+		const settings = new URLManager().getSettingsFromURL();
+
+		expect(settings).toMatchObject({
+			seedColor: '#FF0000',
+			style: 'VIBRANT',
+			colorSpec: 'SPEC_2025',
+			contrast: 'ALL',
+			tones: 'FINE_5',
+			includeLegacyRoles: false,
+			preserveHue: true,
+			hueSpace: 'CIELCH',
+			paletteMode: 'OKLCH',
+			chromaCurve: 'LINEAR',
+			exportSettings: {
+				namingFormat: 'camelCase',
+				collectionName: 'Brand',
+				stateLayersEnabled: false,
+				stateLayerMode: 'opaque',
+				tonalPalettesEnabled: false,
+				w3cFormatEnabled: true,
+				w3cAliasesEnabled: true,
+				exportFormat: 'css',
+				cssPrefix: 'brand',
+				cssStrategy: 'media'
+			}
+		});
+	});
+});
+
+describe('URLManager.updateURL', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.unstubAllGlobals();
+	});
+
+	it('writes a URL that parses back to the same settings', () => {
+		vi.useFakeTimers();
+		const replaceState = stubLocation('');
+		const urlManager = new URLManager();
+
+		urlManager.updateURL({
+			seedColor: '#FF0000',
+			tones: [4, 12, 50],
+			includeLegacyRoles: true,
+			preserveHue: true,
+			wideGamut: true,
+			hueCurves: { primary: { type: 'bezier', points: [{ tone: 10, offset: -10 }, { tone: 90, offset: 8 }] } },
+			stateLayers: {
+				opacities: { hover: 0.08, focus: 0.12, pressed: 0.2, dragged: 0.16, disabled: 0.12 },
+				roles: [],
+				extendedRoles: ['color']
+			},
+			customCoreColors: { secondary: '#00FF00' },
+			extendedColors: [{ name: 'Warning', color: '#FFAA00', harmonize: true }],
+			exportSettings
+		});
+		vi.runAllTimers();
+
+		expect(replaceState).toHaveBeenCalledTimes(1);
+		const url = replaceState.mock.calls[0][2];
+
+		stubLocation(url);
+		expect(urlManager.getSettingsFromURL()).toMatchObject({
+			seedColor: '#FF0000',
+			tones: [4, 12, 50],
+			preserveHue: true,
+			hueCurves: { primary: { type: 'bezier', points: [{ tone: 10, offset: -10 }, { tone: 90, offset: 8 }] } },
+			stateLayers: { opacities: { pressed: 0.2 }, roles: [] },
+			customCoreColors: { secondary: '#00FF00' },
+			extendedColors: [{ name: 'Warning', color: '#FFAA00', harmonize: true }],
+			exportSettings
+		});
+	});
+});
@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest';
+
+import { W3cDtcgConverter } from '../src/utils/W3cDtcgConverter.js';
+
+const result = {
+	schemes: {
+		light: { primary: '#6750a4', onPrimary: '#ffffff' },
+		dark: { primary: '#d0bcff', onPrimary: '#381e72' },
+		lightHighContrast: { primary: '#3d2a78', onPrimary: '#ffffff' }
+	},
+	stateLayers: {
+		light: { primary: { hover: '#6750A414' } },
+		dark: { primary: { hover: '#D0BCFF14' } }
+	},
+	tonalPalettes: {
+		primary: { 0: '#000000', 40: '#6750a4' }
+	}
+};
+
+describe('W3cDtcgConverter.convertToW3cDtcgFormat', () => {
+	it('converts schemes to one token per role with a value per mode', () => {
+		const tokens = W3cDtcgConverter.convertToW3cDtcgFormat(result, 'Brand');
+
+		expect(tokens.Brand.Schemes.primary).toEqual({
+			$type: 'color',
+			$value: { Light: '#6750a4', Dark: '#d0bcff', 'Light High Contrast': '#3d2a78' }
+		});
+	});
+
+	it('converts state layers to rgba tokens named by role and state', () => {
+		const tokens = W3cDtcgConverter.convertToW3cDtcgFormat(result, 'Brand');
+
+		expect(tokens.Brand['State Layers']['primary hover']).toEqual({
+			$type: 'color',
+			$value: { Light: 'rgba(103, 80, 164, 0.08)', Dark: 'rgba(208, 188, 255, 0.08)' }
+		});
+	});
+
+	it('keeps multi-word state layer roles intact', () => {
+		const tokens = W3cDtcgConverter.convertToW3cDtcgFormat({
+			stateLayers: { light: { 'on warning container': { pressed: '#00000026' } } }
+		});
+
+		expect(Object.keys(tokens['Semantic colors']['State Layers'])).toEqual(['on warning container pressed']);
+	});
+
+	it('converts tonal palettes to single-value tokens', () => {
+		const tokens = W3cDtcgConverter.convertToW3cDtcgFormat(result, 'Brand');
+
+		expect(tokens.Brand['Tonal Palettes']).toEqual({
+			'primary 0': { $type: 'color', $value: '#000000' },
+			'primary 40': { $type: 'color', $value: '#6750a4' }
+		});
+	});
+
+	it('describes opaque state layers with their background', () => {
+		const tokens = W3cDtcgConverter.convertToW3cDtcgFormat({
+			...result,
+			metadata: { stateLayers: { mode: 'opaque', backgrounds: { primary: 'surface' } } }
+		});
+
+		expect(tokens['Semantic colors']['State Layers']['primary hover'].$description).toBe('Opaque, pre-composited over surface');
+	});
+
+	it('falls back to the default collection name', () => {
+		expect(Object.keys(W3cDtcgConverter.convertToW3cDtcgFormat(result, '  '))).toEqual(['Semantic colors']);
+	});
+
+	it('references palette tones from scheme roles in alias mode', () => {
+		const tokens = W3cDtcgConverter.convertToW3cDtcgFormat(result, 'Brand', { aliases: true });
+
+		expect(tokens.Brand.Schemes.primary.$value).toEqual({
+			Light: '{Brand.Tonal Palettes.primary 40}',
+			Dark: '#d0bcff',
+			'Light High Contrast': '#3d2a78'
+		});
+		expect(tokens.Brand['State Layers']['primary hover'].$value.Light).toBe('rgba(103, 80, 164, 0.08)');
+	});
+
+	it('formats reference paths and resolves extended roles to their palette', () => {
+		const tokens = W3cDtcgConverter.convertToW3cDtcgFormat({
+			schemes: { light: { onPrimary: '#ffffff', 'on warning container': '#2d1600' } },
+			tonalPalettes: { primary: { 100: '#ffffff' }, warning: { 10: '#2d1600' }, neutral: { 10: '#ffffff' } }
+		}, 'Brand', { aliases: true, formatKey: key => key.toLowerCase().replace(/ /g, '-') });
+
+		expect(tokens.Brand.Schemes.onPrimary.$value.Light).toBe('{Brand.tonal-palettes.primary-100}');
+		expect(tokens.Brand.Schemes['on warning container'].$value.Light).toBe('{Brand.tonal-palettes.warning-10}');
+	});
+});
@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+
+import { ZipArchive } from '../src/utils/ZipArchive.js';
+
+const decoder = new TextDecoder();
+
+describe('ZipArchive', () => {
+	it('computes CRC-32 checksums', () => {
+		expect(ZipArchive.crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+	});
+
+	it('stores files readable through the central directory', () => {
+		const bytes = ZipArchive.create({ 'res/values/colors.xml': '<resources/>', 'Theme.kt': 'é' });
+		const view = new DataView(bytes.buffer);
+		const endOffset = bytes.length - 22;
+
+		expect(view.getUint32(0, true)).toBe(0x04034B50);
+		expect(view.getUint32(endOffset, true)).toBe(0x06054B50);
+		expect(view.getUint16(endOffset + 10, true)).toBe(2);
+
+		const files = {};
+		let offset = view.getUint32(endOffset + 16, true);
+		for (let i = 0; i < 2; i++) {
+			const nameLength = view.getUint16(offset + 28, true);
+			const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+			const size = view.getUint32(offset + 24, true);
+			const localOffset = view.getUint32(offset + 42, true);
+			const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+			files[name] = decoder.decode(bytes.subarray(dataStart, dataStart + size));
+			offset += 46 + nameLength;
+		}
+
+		expect(files).toEqual({ 'res/values/colors.xml': '<resources/>', 'Theme.kt': 'é' });
+	});
+
+	it('writes identical archives for identical files', () => {
+		expect(ZipArchive.create({ 'a.txt': 'a' })).toEqual(ZipArchive.create({ 'a.txt': 'a' }));
+	});
+});
@@ -0,0 +1,118 @@
+import { describe, expect, it } from 'vitest';
+
+import { FormatUtils } from '../src/utils/format.js';
+
+const formatUtils = new FormatUtils();
+
+describe('FormatUtils.camelToKebab', () => {
+	it.each([
+		['primary', 'primary'],
+		['onPrimaryContainer', 'on-primary-container'],
+		['surfaceContainerHighest', 'surface-container-highest'],
+		['primary40', 'primary-40'],
+		['neutralVariant 95', 'neutral-variant-95'],
+		['on warning container', 'on-warning-container'],
+		['already-kebab', 'already-kebab'],
+		['Mixed-Case', 'mixed-case']
+	])('%s → %s', (input, expected) => {
+		expect(formatUtils.camelToKebab(input)).toBe(expected);
+	});
+});
+
+describe('FormatUtils.camelToTitle', () => {
+	it.each([
+		['onPrimaryContainer', 'On Primary Container'],
+		['primary40', 'Primary 40'],
+		['on-warning-container', 'On Warning Container'],
+		['on warning container', 'On Warning Container']
+	])('%s → %s', (input, expected) => {
+		expect(formatUtils.camelToTitle(input)).toBe(expected);
+	});
+});
+
+describe('FormatUtils.toCamelCase', () => {
+	it.each([
+		['on_surface_variant', 'onSurfaceVariant'],
+		['on warning container', 'onWarningContainer'],
+		['state-layers', 'stateLayers']
+	])('%s → %s', (input, expected) => {
+		expect(formatUtils.toCamelCase(input)).toBe(expected);
+	});
+});
+
+describe('FormatUtils.getModeName', () => {
+	it.each([
+		['light', 'Light'],
+		['dark', 'Dark'],
+		['lightMediumContrast', 'Light Medium Contrast'],
+		['dark-high-contrast', 'Dark High Contrast'],
+		['Dark High Contrast', 'Dark High Contrast']
+	])('%s → %s', (input, expected) => {
+		expect(FormatUtils.getModeName(input)).toBe(expected);
+	});
+
+	it.each(['primary', 'lightness', 'darkLowContrast'])('%s is not a mode', (input) => {
+		expect(FormatUtils.getModeName(input)).toBeNull();
+	});
+});
+
+describe('FormatUtils.transformKeys', () => {
+	const result = {
+		schemes: {
+			light: { onPrimaryContainer: '#000000' },
+			darkHighContrast: { 'on warning container': '#ffffff' }
+		}
+	};
+
+	it('formats every key except mode names', () => {
+		expect(formatUtils.transformKeys(result, 'kebab-case')).toEqual({
+			schemes: {
+				Light: { 'on-primary-container': '#000000' },
+				'Dark High Contrast': { 'on-warning-container': '#ffffff' }
+			}
+		});
+	});
+
+	it('converts spaced keys to camelCase', () => {
+		expect(formatUtils.transformKeys(result, 'camelCase').schemes['Dark High Contrast']).toEqual({
+			onWarningContainer: '#ffffff'
+		});
+	});
+
+	it('formats keys to Title Case', () => {
+		expect(formatUtils.transformKeys(result, 'Title Case').Schemes.Light).toEqual({
+			'On Primary Container': '#000000'
+		});
+	});
+});
+
+describe('FormatUtils.formatResult', () => {
+	it('drops disabled sections and converts alpha colors to rgba', () => {
+		const result = {
+			schemes: { light: { primary: '#6750a4' } },
+			stateLayers: { light: { primary: { hover: '#6750A414' } } },
+			tonalPalettes: { primary: { 40: '#6750a4' } }
+		};
+
+		expect(formatUtils.formatResult(result, 'kebab-case', true, false)).toEqual({
+			schemes: { Light: { primary: '#6750a4' } },
+			'state-layers': { Light: { primary: { hover: 'rgba(103, 80, 164, 0.08)' } } }
+		});
+	});
+});
+
+describe('FormatUtils.formatCodeIdentifier', () => {
+	it('converts names to lowerCamelCase identifiers', () => {
+		expect(formatUtils.formatCodeIdentifier('on warning container')).toBe('onWarningContainer');
+		expect(formatUtils.formatCodeIdentifier('lightHighContrast')).toBe('lightHighContrast');
+		expect(formatUtils.formatCodeIdentifier('Brand-Blue')).toBe('brandBlue');
+	});
+});
+
+describe('FormatUtils.getExtendedRoles', () => {
+	it('finds extended roles without tonal palettes', () => {
+		const result = { schemes: { light: { primary: '#6750a4', onPrimary: '#ffffff', warning: '#8b5000', 'on warning': '#ffffff' } } };
+
+		expect(FormatUtils.getExtendedRoles(result)).toEqual(['warning', 'on warning']);
+	});
+});
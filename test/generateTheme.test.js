@@ -0,0 +1,256 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import { converter } from 'culori';
+import { argbFromHex, Hct } from '@materialx/material-color-utilities';
+
+import { generateTheme, formatTheme } from '../src/generateTheme.js';
+import { AndroidExporter } from '../src/utils/AndroidExporter.js';
+import { CssExporter } from '../src/utils/CssExporter.js';
+import { STYLE_OPTIONS, SPEC_OPTIONS, HUE_SPACE_OPTIONS, CHROMA_CURVE_OPTIONS } from '../src/constants/materialDesign.js';
+
+/**
+ * Golden output for every style × spec × preserveHue combination
+ * Any change in token values (library upgrade, refactor...) fails here.
+ * Review the diff, then run `pnpm test:update` if the change is intended.
+ */
+
+const SEEDS = ['#6750A4', '#0061A4'];
+const EXTENDED_COLORS = [{ name: 'Warning', color: '#FFAA00', harmonize: true }];
+
+describe('generateTheme golden output', () => {
+	for (const seed of SEEDS) {
+		for (const { value: style } of STYLE_OPTIONS) {
+			for (const { value: spec } of SPEC_OPTIONS) {
+				for (const preserveHue of [false, true]) {
+					it(`${seed} ${style} ${spec} preserveHue=${preserveHue}`, async () => {
+						const { raw } = await generateTheme({
+							seed,
+							style,
+							spec,
+							preserveHue,
+							extendedColors: EXTENDED_COLORS
+						});
+
+						expect(raw).toMatchSnapshot();
+					});
+				}
+			}
+		}
+	}
+
+	for (const { value: hueSpace } of HUE_SPACE_OPTIONS) {
+		it(`${SEEDS[0]} preserveHue hueSpace=${hueSpace}`, async () => {
+			const { raw } = await generateTheme({
+				seed: SEEDS[0],
+				preserveHue: true,
+				hueSpace,
+				extendedColors: EXTENDED_COLORS
+			});
+
+			expect(raw).toMatchSnapshot();
+		});
+	}
+
+	for (const { value: chromaCurve } of CHROMA_CURVE_OPTIONS) {
+		it(`${SEEDS[1]} OKLCH palettes chromaCurve=${chromaCurve}`, async () => {
+			const { raw } = await generateTheme({
+				seed: SEEDS[1],
+				paletteMode: 'OKLCH',
+				chromaCurve,
+				extendedColors: EXTENDED_COLORS
+			});
+
+			expect(raw).toMatchSnapshot();
+		});
+	}
+});
+
+describe('generateTheme options', () => {
+	for (const { value: style } of STYLE_OPTIONS) {
+		it(`keeps the hue of unharmonized extended colors with ${style}`, async () => {
+			const extendedColors = [
+				{ name: 'Warning', color: '#FFAA00', harmonize: false },
+				{ name: 'Success', color: '#1B873F', harmonize: false }
+			];
+			const { raw } = await generateTheme({ seed: '#6750A4', style, spec: 'SPEC_2021', preserveHue: false, extendedColors });
+			const hue = hex => Hct.fromInt(argbFromHex(hex)).hue;
+
+			for (const { name, color } of extendedColors) {
+				const role = name.toLowerCase();
+				for (const hex of [raw.schemes.light[role], raw.schemes.light[`${role} container`], raw.schemes.dark[role]]) {
+					expect(Math.abs(hue(hex) - hue(color))).toBeLessThan(5);
+				}
+			}
+			expect(raw.schemes.light.warning).not.toBe(raw.schemes.light.success);
+		});
+	}
+
+	it('generates every contrast level', async () => {
+		const { raw } = await generateTheme({ seed: '#6750A4', contrast: 'ALL' });
+
+		expect(Object.keys(raw.schemes)).toEqual([
+			'light', 'dark', 'lightMediumContrast', 'darkMediumContrast', 'lightHighContrast', 'darkHighContrast'
+		]);
+		expect(Object.keys(raw.stateLayers)).toEqual(Object.keys(raw.schemes));
+	});
+
+	it('uses the selected tone set for every palette', async () => {
+		const { raw } = await generateTheme({
+			seed: '#6750A4',
+			tones: [4, 6, 12, 94],
+			extendedColors: EXTENDED_COLORS
+		});
+
+		Object.values(raw.tonalPalettes).forEach(palette => {
+			expect(Object.keys(palette)).toEqual(['4', '6', '12', '94']);
+		});
+	});
+
+	it('builds OKLCH palettes and reads scheme roles from them at Material tones', async () => {
+		const toOklch = converter('oklch');
+		const { raw } = await generateTheme({ seed: '#0061A4', spec: 'SPEC_2021', paletteMode: 'OKLCH' });
+		const primary = raw.tonalPalettes.primary;
+		const hues = [20, 40, 60, 80].map(tone => toOklch(primary[tone]).h);
+
+		// 8-bit hex rounding moves hue by a degree or two at low chroma
+		hues.forEach(hue => expect(Math.abs(hue - hues[0])).toBeLessThan(3));
+		expect(raw.schemes.light.primary).toBe(primary['40']);
+		expect(raw.schemes.light.primaryContainer).toBe(primary['90']);
+		expect(raw.schemes.dark.primary).toBe(primary['80']);
+	});
+
+	it('offsets preserved hue along a hue curve', async () => {
+		const toOklch = converter('oklch');
+		const config = { seed: '#6750A4', preserveHue: true };
+		const pinned = await generateTheme(config);
+		const curved = await generateTheme({
+			...config,
+			hueCurves: { primary: { type: 'linear', points: [{ tone: 10, offset: -10 }, { tone: 90, offset: 8 }] } }
+		});
+		const hueShift = tone => toOklch(curved.raw.tonalPalettes.primary[tone]).h - toOklch(pinned.raw.tonalPalettes.primary[tone]).h;
+
+		// Mid tones have gamut room for the exact offset
+		expect(hueShift(30)).toBeCloseTo(-5, 0);
+		expect(hueShift(70)).toBeCloseTo(3.5, 0);
+		expect(curved.raw.tonalPalettes.secondary).toEqual(pinned.raw.tonalPalettes.secondary);
+	});
+
+	it('reports hue preservation diagnostics per palette and tone', async () => {
+		const { diagnostics } = await generateTheme({ seed: '#6750A4', preserveHue: true, tones: [10, 50, 90] });
+
+		expect(diagnostics.hueSpace).toBe('OKLCH');
+		expect(diagnostics.palettes.primary.hueSource).toMatch(/^source color/);
+		expect(diagnostics.palettes.primary.tones.map(tone => tone.tone)).toEqual([10, 50, 90]);
+		expect(diagnostics.palettes.primary.tones[1]).toEqual(expect.objectContaining({
+			maxDeviation: 5,
+			hitMaxDeviation: expect.any(Boolean),
+			highChromaLoss: expect.any(Boolean)
+		}));
+		expect(Object.keys(diagnostics.schemes.light.skipped)).toEqual(expect.arrayContaining(['scrim', 'shadow']));
+
+		expect((await generateTheme({ seed: '#6750A4' })).diagnostics).toBeNull();
+	});
+
+	it('preserves hue of scheme roles whatever the tone set', async () => {
+		const config = { seed: '#6750A4', preserveHue: true, extendedColors: EXTENDED_COLORS };
+		const sparse = await generateTheme({ ...config, tones: [0, 50, 100] });
+		const full = await generateTheme(config);
+
+		expect(Object.keys(sparse.raw.tonalPalettes.primary)).toEqual(['0', '50', '100']);
+		expect(sparse.raw.tonalPalettes.primary[50]).toBe(full.raw.tonalPalettes.primary[50]);
+		expect(sparse.raw.schemes).toEqual(full.raw.schemes);
+	});
+
+	it('does not expose internal source colors', async () => {
+		const { raw } = await generateTheme({ seed: '#6750A4' });
+
+		expect(raw).not.toHaveProperty('sourceColors');
+		expect(raw).not.toHaveProperty('diagnostics');
+	});
+
+	it('builds state layers from the hue preserved schemes', async () => {
+		const { raw } = await generateTheme({ seed: '#0061A4', style: 'VIBRANT', preserveHue: true });
+
+		expect(raw.stateLayers.light.primary.hover.startsWith(raw.schemes.light.primary)).toBe(true);
+		expect(raw.stateLayers.dark.surface.pressed.startsWith(raw.schemes.dark.onSurface)).toBe(true);
+	});
+
+	it('pre-composites opaque state layers over their background', async () => {
+		const { formatted } = await generateTheme({
+			seed: '#6750A4',
+			stateLayers: { roles: ['primary', 'onPrimary'] },
+			export: { namingFormat: 'camelCase', stateLayerMode: 'opaque' }
+		});
+
+		expect(formatted.stateLayers.Light.primary.hover).toMatch(/^#[0-9a-f]{6}$/);
+		expect(formatted.metadata.stateLayers.backgrounds).toEqual({ primary: 'surface', onPrimary: 'primary' });
+	});
+
+	it('adds Display P3 values with sRGB fallbacks', async () => {
+		const { raw, formatted, w3c } = await generateTheme({
+			seed: '#0061A4',
+			style: 'VIBRANT',
+			wideGamut: true,
+			extendedColors: EXTENDED_COLORS,
+			export: { namingFormat: 'kebab-case' }
+		});
+		const toOklch = converter('oklch');
+		const displayP3 = /^color\(display-p3 [\d.]+ [\d.]+ [\d.]+\)$/;
+
+		expect(raw).not.toHaveProperty('colorIntents');
+		expect(raw.wideGamut.schemes.light.warning).toMatch(displayP3);
+		expect(raw.wideGamut.tonalPalettes.primary['40']).toMatch(displayP3);
+		for (const [role, hex] of Object.entries(raw.schemes.light)) {
+			expect(toOklch(raw.wideGamut.schemes.light[role]).c).toBeGreaterThanOrEqual(toOklch(hex).c - 0.001);
+		}
+
+		expect(formatted.schemes.Light.primary).toEqual({ hex: raw.schemes.light.primary, 'wide-gamut': raw.wideGamut.schemes.light.primary });
+		expect(w3c['Semantic colors'].schemes.primary.$value.Light).toMatchObject({
+			colorSpace: 'display-p3',
+			hex: raw.schemes.light.primary
+		});
+	});
+
+	it('exports CSS custom properties honoring the export toggles', async () => {
+		const { raw, css } = await generateTheme({
+			seed: '#6750A4',
+			extendedColors: EXTENDED_COLORS,
+			export: { stateLayers: false, tonalPalettes: false, cssPrefix: 'brand', cssStrategy: 'data-attribute' }
+		});
+
+		expect(css).toContain(`[data-theme="dark"] {\n\t--brand-background: ${raw.schemes.dark.background};`);
+		expect(css).toContain(`\t--brand-on-warning-container: ${raw.schemes.light['on warning container']};`);
+		expect(css).not.toContain('-hover:');
+		expect(css).not.toContain('--brand-primary-40:');
+	});
+
+	it('builds only the outputs that are read', async () => {
+		const { raw } = await generateTheme({ seed: '#6750A4' });
+		const toFiles = vi.spyOn(AndroidExporter, 'toFiles');
+		const toCss = vi.spyOn(CssExporter, 'toCss');
+
+		const theme = formatTheme(raw);
+		expect(theme.css).toBe(theme.css);
+		expect(toCss).toHaveBeenCalledTimes(1);
+		expect(toFiles).not.toHaveBeenCalled();
+
+		toFiles.mockRestore();
+		toCss.mockRestore();
+	});
+
+	it('writes W3C aliases that resolve to the role colors', async () => {
+		const { raw, w3c } = await generateTheme({
+			seed: '#6750A4',
+			spec: 'SPEC_2021',
+			preserveHue: false,
+			extendedColors: EXTENDED_COLORS,
+			export: { w3cAliases: true, namingFormat: 'camelCase' }
+		});
+		const collection = w3c['Semantic colors'];
+		const resolve = reference => reference.slice(1, -1).split('.').slice(1).reduce((group, key) => group[key], collection).$value;
+
+		expect(collection.Schemes.primary.$value.Light).toBe('{Semantic colors.tonalPalettes.primary40}');
+		expect(resolve(collection.Schemes.onWarningContainer.$value.Dark)).toBe(raw.schemes.dark['on warning container']);
+	});
+});
+
@@ -0,0 +1,8 @@
+import { defineConfig } from 'vitest/config';
+
+// Separate from vite.config.js, whose root is ./src
+export default defineConfig({
+	test: {
+		include: ['test/**/*.test.js']
+	}
+});